@@ -7,6 +7,17 @@ export const MODULE_ID = 'token-replacer-fa';
 export const MODULE_TITLE = 'Token Replacer - Forgotten Adventures';
 export const FUSE_CDN = 'https://cdn.jsdelivr.net/npm/fuse.js@7.0.0/dist/fuse.mjs';
 
+/**
+ * Hook names fired for other modules and macros
+ * preReplace is fired with Hooks.call (a handler returning false cancels the replacement);
+ * the others with Hooks.callAll.
+ */
+export const HOOKS = Object.freeze({
+  PRE_REPLACE: 'tokenReplacerFA.preReplace',
+  REPLACED: 'tokenReplacerFA.replaced',
+  INDEX_READY: 'tokenReplacerFA.indexReady',
+});
+
 /**
  * Performance tuning constants
  */
@@ -15,6 +26,49 @@ export const SLOW_MODE_BATCH_SIZE = 6; // Parallel batch size for SLOW mode TVA
 export const INDEX_BATCH_SIZE = 1000; // Batch size for index building
 export const MAX_SCAN_DEPTH = 5; // Maximum directory scan depth
 export const MAX_DISPLAY_RESULTS = 200; // Max results to render in match selection UI
+export const MAX_JOURNAL_RUNS = 10; // Replacement runs kept in the undo journal
+export const MAX_PLAN_ALTERNATIVES = 12; // Alternative paths offered per dry-run plan row
+export const MAX_PICKER_MATCHES = 8; // Matches offered by the inline picker for dropped tokens
+export const MAX_TERM_SUGGESTIONS = 8; // Index terms suggested while typing a search
+export const MAX_FEEDBACK_PATHS = 50; // Paths with accept/skip feedback kept per creature
+export const FEEDBACK_SKIP_DEPTH = 3; // Top matches counted as skipped when a creature is skipped
+export const SPREAD_NEIGHBOR_SQUARES = 1; // Tokens closer than this many grid squares never share art in spread mode
+
+/**
+ * How a run groups tokens into creature groups, each searched and picked once
+ * (see TokenService.groupTokensByCreature)
+ * - creature: same actor name, type and subtype (getCreatureCacheKey)
+ * - actor: same actor, so two actors that share a name stay apart
+ * - name: same token name without numbering, so a renamed "Bandit Captain" leaves the bandits
+ */
+export const GROUPING_MODES = Object.freeze(['creature', 'actor', 'name']);
+
+/**
+ * How the images picked for a creature group are distributed over its tokens
+ * (see VariantAssignmentService)
+ */
+export const ASSIGNMENT_MODES = Object.freeze([
+  'sequential',
+  'random',
+  'name-number',
+  'spread',
+  'weighted',
+  'stable-hash',
+]);
+
+/**
+ * Default weights of the match score components (see ScoringService)
+ * Only components that apply to a creature count, so the weights need not sum to 1.
+ */
+export const DEFAULT_SCORE_WEIGHTS = Object.freeze({
+  name: 0.6,
+  subtype: 0.15,
+  category: 0.15,
+  source: 0.1,
+  pack: 0.1,
+  relevance: 0.1,
+});
+export const DEFAULT_AUTO_REPLACE_CONFIDENCE = 0.9; // Minimum match confidence applied without asking
 
 /**
  * Folders to exclude from token search (assets, props, textures, etc.)
@@ -890,6 +944,142 @@ export const GENERIC_SUBTYPE_INDICATORS = [
   'all',
 ];
 
+/**
+ * Irregular plurals common in creature and token names (singular → plural)
+ * Regular plurals (wolves, harpies, kobolds) are derived by getWordForms()
+ */
+export const IRREGULAR_PLURALS = Object.freeze({
+  child: 'children',
+  cyclops: 'cyclopes',
+  foot: 'feet',
+  fungus: 'fungi',
+  goose: 'geese',
+  incubus: 'incubi',
+  larva: 'larvae',
+  louse: 'lice',
+  mouse: 'mice',
+  ox: 'oxen',
+  person: 'people',
+  succubus: 'succubi',
+  tooth: 'teeth',
+});
+
+/**
+ * Words of actor names recognized by analyzeCreatureName()
+ * Ages and colors only count in dragon names ("Young Red Dragon", not "Young Girl");
+ * templates only in front of another creature ("Zombie Ogre", not "Zombie").
+ * rankPhrases are ranks of two words, taken together ("Orc War Chief" → orc);
+ * rankedCreatures are names whose rank belongs to the creature ("Lizard King" is no lizard).
+ */
+export const CREATURE_NAME_VOCABULARY = Object.freeze({
+  dragonAges: ['wyrmling', 'young', 'adult', 'ancient', 'greatwyrm'],
+  dragonColors: [
+    'black',
+    'blue',
+    'green',
+    'red',
+    'white',
+    'brass',
+    'bronze',
+    'copper',
+    'gold',
+    'silver',
+    'amethyst',
+    'crystal',
+    'emerald',
+    'sapphire',
+    'topaz',
+  ],
+  sizes: ['tiny', 'small', 'medium', 'large', 'huge', 'gargantuan'],
+  ranks: [
+    'boss',
+    'captain',
+    'champion',
+    'chief',
+    'chieftain',
+    'commander',
+    'elite',
+    'king',
+    'leader',
+    'lieutenant',
+    'queen',
+    'sergeant',
+    'shaman',
+    'warchief',
+    'warlord',
+  ],
+  rankPhrases: ['war chief', 'war leader'],
+  rankedCreatures: ['lizard king', 'lizard queen'],
+  templates: [
+    'zombie',
+    'skeleton',
+    'skeletal',
+    'ghost',
+    'spectral',
+    'fiendish',
+    'half-dragon',
+    'half-fiend',
+    'half-celestial',
+  ],
+});
+
+/**
+ * Weight of each kind of search term derived from an actor name
+ * name: the name without numbering; base: without age, size, rank and template;
+ * template: the template alone ("zombie" for "Zombie Ogre")
+ */
+export const NAME_TERM_WEIGHTS = Object.freeze({ name: 1, base: 0.8, template: 0.5 });
+
+/**
+ * Weapon and gear words in Forgotten Adventures token filenames
+ * ("Goblin_Warrior_A1_Scimitar_01"), read by parseTokenFilename()
+ * Also sent to the index worker, which parses filenames the same way
+ */
+export const FA_WEAPON_TERMS = [
+  'axe',
+  'battleaxe',
+  'blowgun',
+  'bow',
+  'club',
+  'crossbow',
+  'dagger',
+  'daggers',
+  'flail',
+  'glaive',
+  'greataxe',
+  'greatclub',
+  'greatsword',
+  'halberd',
+  'hammer',
+  'handaxe',
+  'javelin',
+  'lance',
+  'longbow',
+  'longsword',
+  'mace',
+  'maul',
+  'morningstar',
+  'net',
+  'pike',
+  'quarterstaff',
+  'rapier',
+  'scimitar',
+  'shield',
+  'shortbow',
+  'shortsword',
+  'sickle',
+  'sling',
+  'spear',
+  'staff',
+  'sword',
+  'trident',
+  'unarmed',
+  'wand',
+  'warhammer',
+  'warpick',
+  'whip',
+];
+
 /**
  * Default settings values
  */
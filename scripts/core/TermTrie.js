@@ -0,0 +1,85 @@
+/**
+ * Token Replacer FA - Term Trie
+ * Prefix tree over index terms for autocomplete and partial-word search
+ * @module core/TermTrie
+ */
+
+/**
+ * @typedef {Object} TrieNode
+ * @property {Map<string, TrieNode>} children - Child nodes by next character
+ * @property {string|null} term - Term ending at this node, if any
+ * @property {number} weight - Weight of that term (e.g. how many images have it)
+ */
+
+/**
+ * Create an empty trie node
+ * @returns {TrieNode} Node without children or term
+ */
+function createNode() {
+  return { children: new Map(), term: null, weight: 0 };
+}
+
+/**
+ * TermTrie - Find every term starting with a prefix without scanning all terms
+ * @example
+ * const trie = new TermTrie();
+ * trie.insert('goblin', 40);
+ * trie.insert('goblin boss', 6);
+ * trie.complete('gob'); // ['goblin', 'goblin boss']
+ */
+export class TermTrie {
+  constructor() {
+    this._root = createNode();
+    this.size = 0;
+  }
+
+  /**
+   * Add a term, or update its weight if already present
+   * @param {string} term - Term to add
+   * @param {number} [weight=1] - Ranking weight; heavier terms complete first
+   */
+  insert(term, weight = 1) {
+    if (!term) return;
+    let node = this._root;
+    for (const char of term) {
+      let child = node.children.get(char);
+      if (!child) {
+        child = createNode();
+        node.children.set(char, child);
+      }
+      node = child;
+    }
+    if (node.term === null) this.size++;
+    node.term = term;
+    node.weight = weight;
+  }
+
+  /**
+   * Get the terms starting with a prefix, heaviest first (ties alphabetical)
+   * @param {string} prefix - Prefix to complete; an empty prefix matches nothing
+   * @param {number} [limit=Infinity] - Maximum terms returned
+   * @param {function(string): boolean} [accept] - Keep only terms passing this check
+   * @returns {string[]} Matching terms, the prefix itself included if it is a term
+   */
+  complete(prefix, limit = Infinity, accept = null) {
+    if (!prefix || limit <= 0) return [];
+    let node = this._root;
+    for (const char of prefix) {
+      node = node.children.get(char);
+      if (!node) return [];
+    }
+
+    const found = [];
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current.term !== null && (!accept || accept(current.term))) found.push(current);
+      for (const child of current.children.values()) stack.push(child);
+    }
+
+    return found
+      .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term))
+      .slice(0, limit)
+      .map((entry) => entry.term);
+  }
+}
@@ -7,6 +7,11 @@ import {
   MODULE_ID,
   FUSE_CDN,
   GENERIC_SUBTYPE_INDICATORS,
+  CREATURE_TYPE_MAPPINGS,
+  IRREGULAR_PLURALS,
+  CREATURE_NAME_VOCABULARY,
+  NAME_TERM_WEIGHTS,
+  FA_WEAPON_TERMS,
   EXCLUDED_FOLDERS_SET,
   EXCLUDED_FILENAME_TERMS,
 } from './Constants.js';
@@ -136,6 +141,102 @@ export function matchesAllTerms(text, filterTerms) {
   return filterTerms.every((term) => textLower.includes(term));
 }
 
+/** Query parts: an optionally negated quoted phrase, or a bare word (commas and colons separate words) */
+const QUERY_PART_PATTERN = /(-?)"([^"]*)"?|([^\s,:"]+)/g;
+
+/** Separators between the words of a query part or of matched text (as in tokenizeSearchText) */
+const QUERY_WORD_SEPARATORS = /[/\\\-_\s.,:]+/;
+
+/**
+ * Parse a search query into OR groups of AND clauses
+ * - Words are ANDed: `hill giant` needs both words
+ * - `OR` (or `|`) separates alternatives: `ogre OR troll`
+ * - `-word` or `NOT word` excludes: `goblin -cart`
+ * - `"quoted words"` must appear next to each other: `"red dragon"`; so must words
+ *   joined by `-`, `_` or `.` (`hill_giant`)
+ * Operators are case-sensitive, so the words "or" and "not" are searched as words.
+ * @param {string} text - Query text
+ * @returns {import('../types/typedefs.js').SearchQuery} Parsed query (no groups for empty text)
+ */
+export function parseSearchQuery(text) {
+  const groups = [];
+  let group = { include: [], exclude: [] };
+  let negateNext = false;
+  const closeGroup = () => {
+    if (group.include.length > 0 || group.exclude.length > 0) groups.push(group);
+    group = { include: [], exclude: [] };
+  };
+
+  for (const [, quotedNegation, quoted, bare] of (text || '').matchAll(QUERY_PART_PATTERN)) {
+    if (bare === 'OR' || bare === '|') {
+      closeGroup();
+      negateNext = false;
+      continue;
+    }
+    if (bare === 'NOT') {
+      negateNext = true;
+      continue;
+    }
+
+    let raw = quoted ?? bare;
+    let negate = negateNext || quotedNegation === '-';
+    if (bare?.startsWith('-')) {
+      negate = true;
+      raw = bare.slice(1);
+    }
+    negateNext = false;
+
+    const words = raw
+      .toLowerCase()
+      .split(QUERY_WORD_SEPARATORS)
+      .filter((word) => word.length > 0);
+    if (words.length === 0) continue;
+    (negate ? group.exclude : group.include).push({ words, phrase: words.length > 1 });
+  }
+  closeGroup();
+  return { groups };
+}
+
+/**
+ * Build a query that needs every word of a name, for searching by actor name
+ * Unlike parseSearchQuery(), operators and quotes in the name are plain text and
+ * numbers are dropped ("Goblin 2" → goblin).
+ * @param {string} text - Name to search for
+ * @returns {import('../types/typedefs.js').SearchQuery} Query with one AND group (no groups without words)
+ */
+export function createAllWordsQuery(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 0 && !/^\d+$/.test(word));
+  if (words.length === 0) return { groups: [] };
+  return {
+    groups: [{ include: words.map((word) => ({ words: [word], phrase: false })), exclude: [] }],
+  };
+}
+
+/**
+ * Check if text matches a parsed query
+ * Words match anywhere in the text (as in matchesAllTerms); phrases match when
+ * their words appear in order with only separators between them.
+ * @param {string} text - The text to check (e.g. name and path)
+ * @param {import('../types/typedefs.js').SearchQuery} query - Result of parseSearchQuery()
+ * @returns {boolean} True if any group matches; always true for an empty query
+ */
+export function matchesQuery(text, query) {
+  if (!query?.groups?.length) return true;
+  const textLower = (text || '').toLowerCase();
+  const normalized = textLower
+    .split(QUERY_WORD_SEPARATORS)
+    .filter((word) => word.length > 0)
+    .join(' ');
+  const matches = (clause) =>
+    clause.phrase
+      ? normalized.includes(clause.words.join(' '))
+      : textLower.includes(clause.words[0]);
+  return query.groups.some((group) => group.include.every(matches) && !group.exclude.some(matches));
+}
+
 /**
  * Yield control back to the main thread
  * @param {number} ms - Milliseconds to wait (0 for immediate)
@@ -168,6 +269,174 @@ export function parseSubtypeTerms(subtype) {
     .filter((term) => term.length > 0 && !GENERIC_SUBTYPE_INDICATORS.includes(term));
 }
 
+/**
+ * Remove trailing token numbering from a name, keeping its case
+ * "Goblin 3", "Orc (2)" and "Kobold #4" become "Goblin", "Orc" and "Kobold".
+ * @param {string} name - Actor or token name
+ * @returns {string} Name without numbering
+ */
+export function stripNameNumbering(name) {
+  return (name || '').replace(/(?:\s*(?:[#([]\s*\d+\s*[)\]]?|\d+))+\s*$/, '').trim();
+}
+
+/**
+ * Analyze an actor name into the parts D&D names are built from
+ * "Adult Blue Dragon" → age adult, color blue, base "blue dragon";
+ * "Goblin Boss (2)" → rank boss, base "goblin"; "Orc War Chief" → rank "war chief",
+ * base "orc"; "Zombie Ogre" → template zombie, base "ogre". Ranks that are part of the
+ * creature ("Lizard King") stay in the base. Trailing numbering ("Goblin 3", "Orc (2)",
+ * "Kobold #4") is dropped.
+ * @param {string} name - Actor or token name
+ * @returns {import('../types/typedefs.js').NameAnalysis} Name parts and weighted search terms
+ */
+export function analyzeCreatureName(name) {
+  const { dragonAges, dragonColors, sizes, ranks, rankPhrases, rankedCreatures, templates } =
+    CREATURE_NAME_VOCABULARY;
+  const cleaned = stripNameNumbering(name)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'-]+/gu, ' ')
+    .trim();
+  let words = cleaned.split(' ').filter(Boolean);
+
+  // Remove a recognized word, unless it is all that is left of the name
+  const take = (word, canTake = true) => {
+    if (!word || !canTake || words.length < 2) return word ?? null;
+    words = words.filter((w) => w !== word);
+    return word;
+  };
+
+  // Remove the last rank, with the word before it if they form a rank phrase
+  const takeRank = () => {
+    let at = -1;
+    for (let i = words.length - 1; i >= 0 && at === -1; i--) {
+      if (ranks.includes(words[i])) at = i;
+    }
+    if (at === -1 || rankedCreatures.some((n) => ` ${words.join(' ')} `.includes(` ${n} `))) {
+      return null;
+    }
+    const phrase = words.slice(at - 1, at + 1).join(' ');
+    if (at > 0 && words.length > 2 && rankPhrases.includes(phrase)) {
+      words = words.filter((_, i) => i !== at - 1 && i !== at);
+      return phrase;
+    }
+    return take(words[at]);
+  };
+
+  let age = null;
+  let color = null;
+  if (words.includes('dragon') || words.includes('wyrmling')) {
+    color = words.find((word) => dragonColors.includes(word)) ?? null;
+    // "Brass Wyrmling" has no other creature word, so its age stays in the base
+    age = take(
+      words.find((word) => dragonAges.includes(word)),
+      words.includes('dragon')
+    );
+  }
+  const size = take(words.find((word) => sizes.includes(word)));
+  const rank = takeRank();
+  const template =
+    words.length > 1 ? take([words[0], words.at(-1)].find((w) => templates.includes(w))) : null;
+  const base = words.join(' ');
+
+  const terms = [];
+  for (const [term, kind] of [
+    [cleaned, 'name'],
+    [base, 'base'],
+    [template, 'template'],
+  ]) {
+    if (term && !terms.some((t) => t.term === term)) {
+      terms.push({ term, weight: NAME_TERM_WEIGHTS[kind], kind });
+    }
+  }
+  return { name: cleaned, base, age, color, size, rank, template, terms };
+}
+
+/**
+ * Parse a Forgotten Adventures style token filename into its attributes
+ * FA names list the creature, then a variant code, size, weapons and a copy number:
+ * "Goblin_Warrior_A1_Scimitar_01" → creature "goblin warrior", variant A1, weapon scimitar.
+ * The creature ends at the first word that is not part of it; later unknown words are ignored.
+ * IndexWorker.parseTokenFilename() parses the same way — keep in sync.
+ * @param {string} path - Image path or filename
+ * @param {string[]} [weaponTerms=FA_WEAPON_TERMS] - Lowercase weapon words
+ * @param {string[]} [sizeTerms] - Lowercase size words (default CREATURE_NAME_VOCABULARY.sizes)
+ * @returns {import('../types/typedefs.js').ImageAttributes|null} Attributes, or null if the
+ *   filename names no creature
+ */
+export function parseTokenFilename(
+  path,
+  weaponTerms = FA_WEAPON_TERMS,
+  sizeTerms = CREATURE_NAME_VOCABULARY.sizes
+) {
+  const filename = (path || '')
+    .split(/[/\\]/)
+    .pop()
+    .replace(/\.[a-z0-9]{2,5}$/i, '');
+  const creature = [];
+  const weapons = [];
+  let variant = null;
+  let size = null;
+  let copy = null;
+  let creatureDone = false;
+
+  for (const word of filename.split(/[-_\s.]+/).filter(Boolean)) {
+    const lower = word.toLowerCase();
+    // Nothing before the creature name counts as an attribute ("Shield_Guardian")
+    const code = creature.length > 0 ? /^([A-Z])(\d{0,2})$/.exec(word) : null;
+    if (code && !variant) {
+      variant = { code: word, letter: code[1], number: code[2] ? Number(code[2]) : null };
+    } else if (/^\d+$/.test(word)) {
+      copy = Number(word);
+    } else if (creature.length > 0 && /^scale\d+$/i.test(word)) {
+      // FA scale markers ("Scale150") describe the art, not the creature
+    } else if (creature.length > 0 && sizeTerms.includes(lower)) {
+      size ??= lower;
+    } else if (creature.length > 0 && weaponTerms.includes(lower)) {
+      if (!weapons.includes(lower)) weapons.push(lower);
+    } else {
+      if (!creatureDone) creature.push(lower);
+      continue;
+    }
+    creatureDone = creature.length > 0;
+  }
+
+  if (creature.length === 0) return null;
+  return {
+    creature: creature.join(' '),
+    variant: variant?.code ?? null,
+    variantLetter: variant?.letter ?? null,
+    variantNumber: variant?.number ?? null,
+    weapon: weapons.length > 0 ? weapons.join(' ') : null,
+    size,
+    copy,
+  };
+}
+
+/**
+ * Group matches into variant families by the creature parsed from their filenames
+ * "Goblin_Warrior_A1_Scimitar_01" and "Goblin_Warrior_B2_Spear_03" both join the
+ * "goblin warrior" family. Families come in the order of their first (best) match and
+ * keep their matches in order; a match whose filename names no creature stays alone.
+ * @param {Array<{path: string}>} matches - Matches, best first
+ * @param {function(string): (import('../types/typedefs.js').ImageAttributes|null)} [getAttributes=parseTokenFilename] -
+ *   Attribute lookup for a path (e.g. IndexService.getImageAttributes)
+ * @returns {Array<{key: string, creature: string|null, matches: Array}>} Families, best first
+ */
+export function groupVariantFamilies(matches, getAttributes = parseTokenFilename) {
+  const families = new Map();
+  for (const match of matches || []) {
+    const creature = getAttributes(match?.path)?.creature ?? null;
+    const key = creature ? `family:${creature}` : `path:${match?.path}`;
+    let family = families.get(key);
+    if (!family) {
+      family = { key, creature, matches: [] };
+      families.set(key, family);
+    }
+    family.matches.push(match);
+  }
+  return [...families.values()];
+}
+
 /**
  * Check if subtype is generic (any, any race, etc.) or absent
  * @param {string} subtype - The subtype string
@@ -182,6 +451,106 @@ export function hasGenericSubtype(subtype) {
   );
 }
 
+/**
+ * Check if a folder name, category or path refers to a creature type
+ * Matches the type itself or any of its CREATURE_TYPE_MAPPINGS terms.
+ * @param {string} text - Folder name, category or path to check
+ * @param {string} creatureType - Creature type (e.g., "humanoid")
+ * @returns {boolean} True if the text names the type or one of its terms
+ */
+export function matchesCreatureType(text, creatureType) {
+  if (!text || !creatureType) return false;
+  const textLower = text.toLowerCase();
+  const typeLower = creatureType.toLowerCase();
+
+  // Direct match
+  if (textLower.includes(typeLower)) return true;
+
+  // Check against mappings
+  const mappings = CREATURE_TYPE_MAPPINGS[typeLower];
+  if (mappings) {
+    return mappings.some((term) => textLower.includes(term.toLowerCase()));
+  }
+
+  return false;
+}
+
+/** Irregular plurals looked up from the plural side (plural → singular) */
+const IRREGULAR_SINGULARS = Object.fromEntries(
+  Object.entries(IRREGULAR_PLURALS).map(([singular, plural]) => [plural, singular])
+);
+
+/**
+ * Get the singular and plural forms of a lowercase word
+ * Rule-based, so some forms are not real words ("caves" → "cafe"); they simply
+ * miss when looked up. Words under 3 characters or containing digits have no forms.
+ * e.g., "wolves" → ["wolf", "wolfe", "wolve", "wolv"], "harpy" → ["harpies"]
+ * @param {string} word - Lowercase word
+ * @returns {string[]} Other forms of the word (never the word itself)
+ */
+export function getWordForms(word) {
+  if (!word || word.length < 3 || /\d/.test(word)) return [];
+  const forms = new Set();
+
+  if (IRREGULAR_PLURALS[word]) forms.add(IRREGULAR_PLURALS[word]);
+  if (IRREGULAR_SINGULARS[word]) forms.add(IRREGULAR_SINGULARS[word]);
+
+  // Plural → singular
+  if (word.endsWith('ies') && word.length > 4) forms.add(`${word.slice(0, -3)}y`);
+  if (word.endsWith('ves')) {
+    forms.add(`${word.slice(0, -3)}f`);
+    forms.add(`${word.slice(0, -3)}fe`);
+  }
+  if (word.endsWith('men')) forms.add(`${word.slice(0, -3)}man`);
+  if (word.endsWith('es')) forms.add(word.slice(0, -2));
+  if (word.endsWith('s') && !word.endsWith('ss')) forms.add(word.slice(0, -1));
+
+  // Singular → plural (words ending in a lone "s" are taken as plurals already)
+  if (!word.endsWith('s') || /(ss|us)$/.test(word)) {
+    if (/[^aeiou]y$/.test(word)) forms.add(`${word.slice(0, -1)}ies`);
+    else if (/(s|x|z|ch|sh)$/.test(word)) forms.add(`${word}es`);
+    else forms.add(`${word}s`);
+    if (word.endsWith('f')) forms.add(`${word.slice(0, -1)}ves`);
+    if (word.endsWith('fe')) forms.add(`${word.slice(0, -2)}ves`);
+    if (word.endsWith('man')) forms.add(`${word.slice(0, -3)}men`);
+  }
+
+  forms.delete(word);
+  return [...forms];
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring letters as one edit
+ * Stops early once the distance must exceed maxDistance.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [maxDistance=Infinity] - Largest distance of interest
+ * @returns {number} Distance, or maxDistance + 1 when it is larger than maxDistance
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length] > maxDistance ? maxDistance + 1 : prev[b.length];
+}
+
 /**
  * Generate a unique cache key from creature info
  * All components are lowercased for consistent matching
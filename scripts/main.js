@@ -5,8 +5,14 @@
  * @version 2.12.4
  */
 
-import { MODULE_ID } from './core/Constants.js';
-import { loadFuse, yieldToMain, loadModuleTemplates } from './core/Utils.js';
+import {
+  MODULE_ID,
+  HOOKS,
+  FEEDBACK_SKIP_DEPTH,
+  DEFAULT_SCORE_WEIGHTS,
+  DEFAULT_AUTO_REPLACE_CONFIDENCE,
+} from './core/Constants.js';
+import { loadFuse, yieldToMain, loadModuleTemplates, getCreatureCacheKey } from './core/Utils.js';
 import { tokenService } from './services/TokenService.js';
 import { searchService } from './services/SearchService.js';
 import { searchOrchestrator } from './services/SearchOrchestrator.js';
@@ -15,22 +21,17 @@ import { scanService } from './services/ScanService.js';
 import { indexService } from './services/IndexService.js';
 import { forgeBazaarService } from './services/ForgeBazaarService.js';
 import { storageService } from './services/StorageService.js';
+import { replacementJournalService } from './services/ReplacementJournalService.js';
+import { replacementPlanService } from './services/ReplacementPlanService.js';
+import { actorSourceService } from './services/ActorSourceService.js';
+import { autoAssignService } from './services/AutoAssignService.js';
+import { choiceMemoryService } from './services/ChoiceMemoryService.js';
+import { rankingFeedbackService } from './services/RankingFeedbackService.js';
+import { scoringService } from './services/ScoringService.js';
+import { variantAssignmentService } from './services/VariantAssignmentService.js';
+import { ModuleAPI } from './services/ModuleAPI.js';
 import { uiManager, logI18nCacheStats as logUIManagerI18nCacheStats } from './ui/UIManager.js';
 
-/**
- * Fisher-Yates shuffle for uniform random ordering
- * @param {Array} arr - Array to shuffle
- * @returns {Array} New shuffled array
- */
-function fisherYatesShuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
 /**
  * TokenReplacerApp class - Main application controller
  * Manages module state and orchestrates token replacement workflow
@@ -188,6 +189,16 @@ export class TokenReplacerApp {
       default: false,
     });
 
+    game.settings.register(MODULE_ID, 'autoReplaceConfidence', {
+      name: 'TOKEN_REPLACER_FA.settings.autoReplaceConfidence.name',
+      hint: 'TOKEN_REPLACER_FA.settings.autoReplaceConfidence.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 0.5, max: 1, step: 0.05 },
+      default: DEFAULT_AUTO_REPLACE_CONFIDENCE,
+    });
+
     game.settings.register(MODULE_ID, 'confirmReplace', {
       name: 'TOKEN_REPLACER_FA.settings.confirmReplace.name',
       hint: 'TOKEN_REPLACER_FA.settings.confirmReplace.hint',
@@ -197,6 +208,38 @@ export class TokenReplacerApp {
       default: true,
     });
 
+    game.settings.register(MODULE_ID, 'groupTokensBy', {
+      name: 'TOKEN_REPLACER_FA.settings.groupTokensBy.name',
+      hint: 'TOKEN_REPLACER_FA.settings.groupTokensBy.hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      choices: {
+        creature: 'TOKEN_REPLACER_FA.grouping.creature',
+        actor: 'TOKEN_REPLACER_FA.grouping.actor',
+        name: 'TOKEN_REPLACER_FA.grouping.name',
+      },
+      default: 'creature',
+    });
+
+    game.settings.register(MODULE_ID, 'reviewGroups', {
+      name: 'TOKEN_REPLACER_FA.settings.reviewGroups.name',
+      hint: 'TOKEN_REPLACER_FA.settings.reviewGroups.hint',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false,
+    });
+
+    game.settings.register(MODULE_ID, 'previewOnCanvas', {
+      name: 'TOKEN_REPLACER_FA.settings.previewOnCanvas.name',
+      hint: 'TOKEN_REPLACER_FA.settings.previewOnCanvas.hint',
+      scope: 'client',
+      config: true,
+      type: Boolean,
+      default: true,
+    });
+
     game.settings.register(MODULE_ID, 'fallbackFullSearch', {
       name: 'TOKEN_REPLACER_FA.settings.fallbackFullSearch.name',
       hint: 'TOKEN_REPLACER_FA.settings.fallbackFullSearch.hint',
@@ -248,6 +291,139 @@ export class TokenReplacerApp {
       default: 'weekly',
     });
 
+    game.settings.register(MODULE_ID, 'replaceScopeLinked', {
+      name: 'TOKEN_REPLACER_FA.settings.replaceScopeLinked.name',
+      hint: 'TOKEN_REPLACER_FA.settings.replaceScopeLinked.hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      choices: {
+        token: 'TOKEN_REPLACER_FA.scope.token',
+        prototype: 'TOKEN_REPLACER_FA.scope.prototype',
+        both: 'TOKEN_REPLACER_FA.scope.both',
+      },
+      default: 'both',
+    });
+
+    game.settings.register(MODULE_ID, 'replaceScopeUnlinked', {
+      name: 'TOKEN_REPLACER_FA.settings.replaceScopeUnlinked.name',
+      hint: 'TOKEN_REPLACER_FA.settings.replaceScopeUnlinked.hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      choices: {
+        token: 'TOKEN_REPLACER_FA.scope.token',
+        prototype: 'TOKEN_REPLACER_FA.scope.prototype',
+        both: 'TOKEN_REPLACER_FA.scope.both',
+      },
+      default: 'token',
+    });
+
+    game.settings.register(MODULE_ID, 'replaceActorPortrait', {
+      name: 'TOKEN_REPLACER_FA.settings.replaceActorPortrait.name',
+      hint: 'TOKEN_REPLACER_FA.settings.replaceActorPortrait.hint',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false,
+    });
+
+    game.settings.register(MODULE_ID, 'autoAssignOnCreate', {
+      name: 'TOKEN_REPLACER_FA.settings.autoAssignOnCreate.name',
+      hint: 'TOKEN_REPLACER_FA.settings.autoAssignOnCreate.hint',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false,
+    });
+
+    game.settings.register(MODULE_ID, 'rememberChoices', {
+      name: 'TOKEN_REPLACER_FA.settings.rememberChoices.name',
+      hint: 'TOKEN_REPLACER_FA.settings.rememberChoices.hint',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: true,
+    });
+
+    game.settings.register(MODULE_ID, 'learnFromChoices', {
+      name: 'TOKEN_REPLACER_FA.settings.learnFromChoices.name',
+      hint: 'TOKEN_REPLACER_FA.settings.learnFromChoices.hint',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: true,
+    });
+
+    game.settings.register(MODULE_ID, 'preferredPacks', {
+      name: 'TOKEN_REPLACER_FA.settings.preferredPacks.name',
+      hint: 'TOKEN_REPLACER_FA.settings.preferredPacks.hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: '',
+    });
+
+    game.settings.register(MODULE_ID, 'scoreWeightName', {
+      name: 'TOKEN_REPLACER_FA.settings.scoreWeightName.name',
+      hint: 'TOKEN_REPLACER_FA.settings.scoreWeightName.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 0, max: 1, step: 0.05 },
+      default: DEFAULT_SCORE_WEIGHTS.name,
+    });
+
+    game.settings.register(MODULE_ID, 'scoreWeightSubtype', {
+      name: 'TOKEN_REPLACER_FA.settings.scoreWeightSubtype.name',
+      hint: 'TOKEN_REPLACER_FA.settings.scoreWeightSubtype.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 0, max: 1, step: 0.05 },
+      default: DEFAULT_SCORE_WEIGHTS.subtype,
+    });
+
+    game.settings.register(MODULE_ID, 'scoreWeightCategory', {
+      name: 'TOKEN_REPLACER_FA.settings.scoreWeightCategory.name',
+      hint: 'TOKEN_REPLACER_FA.settings.scoreWeightCategory.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 0, max: 1, step: 0.05 },
+      default: DEFAULT_SCORE_WEIGHTS.category,
+    });
+
+    game.settings.register(MODULE_ID, 'scoreWeightSource', {
+      name: 'TOKEN_REPLACER_FA.settings.scoreWeightSource.name',
+      hint: 'TOKEN_REPLACER_FA.settings.scoreWeightSource.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 0, max: 1, step: 0.05 },
+      default: DEFAULT_SCORE_WEIGHTS.source,
+    });
+
+    game.settings.register(MODULE_ID, 'scoreWeightPack', {
+      name: 'TOKEN_REPLACER_FA.settings.scoreWeightPack.name',
+      hint: 'TOKEN_REPLACER_FA.settings.scoreWeightPack.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 0, max: 1, step: 0.05 },
+      default: DEFAULT_SCORE_WEIGHTS.pack,
+    });
+
+    game.settings.register(MODULE_ID, 'scoreWeightRelevance', {
+      name: 'TOKEN_REPLACER_FA.settings.scoreWeightRelevance.name',
+      hint: 'TOKEN_REPLACER_FA.settings.scoreWeightRelevance.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 0, max: 1, step: 0.05 },
+      default: DEFAULT_SCORE_WEIGHTS.relevance,
+    });
+
     game.settings.register(MODULE_ID, 'debugMode', {
       name: 'TOKEN_REPLACER_FA.settings.debugMode.name',
       hint: 'TOKEN_REPLACER_FA.settings.debugMode.hint',
@@ -256,30 +432,87 @@ export class TokenReplacerApp {
       type: Boolean,
       default: false,
     });
+
+    // Undo journal storage (managed by ReplacementJournalService, not user-editable)
+    game.settings.register(MODULE_ID, 'replacementJournal', {
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: [],
+    });
+
+    // Remembered art choices (managed by ChoiceMemoryService, not user-editable)
+    game.settings.register(MODULE_ID, 'rememberedArt', {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+    });
+
+    game.settings.register(MODULE_ID, 'rankingFeedback', {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+    });
   }
 
   /**
    * Replace token image using TVA or direct update
+   * Successful replacements are recorded in the undo journal when a run is active.
+   * Fires tokenReplacerFA.preReplace first; a handler returning false cancels the
+   * replacement and handlers may change hookData.path. tokenReplacerFA.replaced follows a success.
    * @param {Token} token - Foundry token to update
    * @param {string} imagePath - Path to new token image
+   * @param {{key: string, label: string}} [group] - Creature group for the journal entry
    * @returns {Promise<boolean>} True if replacement succeeded
    */
-  async replaceTokenImage(token, imagePath) {
+  async replaceTokenImage(token, imagePath, group = null) {
     try {
+      const scope = tokenService.resolveReplacementScope(token);
+      const document = token.document ?? token.actor;
+      const hookData = { path: imagePath, scope, group };
+      if (Hooks.call(HOOKS.PRE_REPLACE, document, hookData) === false) {
+        this._debugLog(`Replacement of "${token.name}" cancelled by a preReplace hook`);
+        return false;
+      }
+      imagePath = hookData.path;
+
       this._debugLog(`Replacing token "${token.name}" with image: ${imagePath}`);
+      this._debugLog('Replacement scope:', scope);
+      const previousState = replacementJournalService.captureState(token, scope);
       if (this.hasTVA && this.tvaAPI?.updateTokenImage) {
         this._debugLog('Using TVA API for token update');
-        await this.tvaAPI.updateTokenImage(imagePath, {
-          token: token,
-          actor: token.actor,
-          imgName: imagePath.split('/').pop(),
-        });
+        const imgName = imagePath.split('/').pop();
+        // TVA updates the placed token when given a token, the prototype when given only an actor
+        if (scope.token) {
+          await this.tvaAPI.updateTokenImage(imagePath, {
+            token: token.isSceneTokenTarget ? token.document : token,
+            imgName,
+          });
+        }
+        if (scope.prototype) {
+          await this.tvaAPI.updateTokenImage(imagePath, {
+            actor: tokenService.getBaseActor(token),
+            imgName,
+          });
+        }
+        if (scope.portrait) {
+          await tokenService.updateActorImages(token, imagePath, {
+            prototype: false,
+            portrait: true,
+          });
+        }
         this._debugLog('Token updated successfully via TVA');
+        this._onReplaced(document, previousState, imagePath, group);
         return true;
       }
       this._debugLog('Using direct token update (TVA not available)');
-      const result = await tokenService.replaceTokenImage(token, imagePath);
+      const result = await tokenService.replaceTokenImage(token, imagePath, scope);
       this._debugLog(`Token update result: ${result ? 'success' : 'failed'}`);
+      if (result) {
+        this._onReplaced(document, previousState, imagePath, group);
+      }
       return result;
     } catch (error) {
       console.error(`${MODULE_ID} | Failed to update token:`, error);
@@ -288,22 +521,56 @@ export class TokenReplacerApp {
     }
   }
 
+  /**
+   * Record a successful replacement in the journal and announce it to other modules
+   * @param {TokenDocument|Actor} document - Replaced token document (actor for actor targets)
+   * @param {Object} previousState - Snapshot from replacementJournalService.captureState()
+   * @param {string} imagePath - Applied image path
+   * @param {{key: string, label: string}|null} group - Creature group for the journal entry
+   * @private
+   */
+  _onReplaced(document, previousState, imagePath, group) {
+    replacementJournalService.recordReplacement(previousState, imagePath, group);
+    Hooks.callAll(HOOKS.REPLACED, document, {
+      path: imagePath,
+      previousImage: previousState?.previousTokenImage ?? null,
+      scope: previousState?.scope,
+      group,
+    });
+  }
+
   /**
    * Main replacement process - orchestrates the entire token replacement workflow
+   * @param {Object} [options={}] - Run options
+   * @param {boolean} [options.dryRun=false] - Build and review a plan instead of replacing immediately
+   * @param {string|null} [options.sourceId=null] - Actor source (compendium pack or folder) to process instead of the active scene
+   * @param {string|null} [options.sceneId=null] - Scene to process instead of the active scene (tokens of all NPCs, ignoring selection)
+   * @param {{localIndex: Array, indexReady: boolean}|null} [options.session=null] - Multi-scene session state; keeps the search cache and token index between runs
+   * @param {boolean} [options.repick=false] - Ignore remembered choices and search every creature again
+   * @returns {Promise<{replaced: number, failed: number, aborted: boolean}|undefined>} Run summary, undefined if the run did not start
    */
-  async processTokenReplacement() {
+  async processTokenReplacement(options = {}) {
+    const {
+      dryRun = false,
+      sourceId = null,
+      sceneId = null,
+      session = null,
+      repick = false,
+    } = options;
     if (this.isProcessing) {
       ui.notifications.warn(this.i18n('notifications.inProgress'));
       return;
     }
 
     this.isProcessing = true;
-    this._debugLog('Starting token replacement process');
+    this._debugLog(`Starting token replacement process${dryRun ? ' (dry run)' : ''}`);
 
     let dialog = null;
 
     try {
-      searchService.clearCache();
+      if (!session) {
+        searchService.clearCache();
+      }
 
       // Load Fuse.js
       this._debugLog('Loading Fuse.js library');
@@ -317,22 +584,53 @@ export class TokenReplacerApp {
       }
       this._debugLog('Fuse.js loaded successfully');
 
-      // Check for active scene
-      if (!canvas?.scene) {
-        const error = this._createError('no_tokens_selected', 'No active scene found', [
-          'check_console',
-        ]);
-        ui.notifications.warn(this.i18n('notifications.noScene'));
-        throw error;
-      }
-      this._debugLog('Active scene found:', canvas.scene.name);
-
-      // Get NPC tokens
-      const npcTokens = tokenService.getSceneNPCTokens();
-      if (npcTokens.length === 0) {
-        ui.notifications.info(this.i18n('notifications.noTokens'));
-        this._debugLog('No NPC tokens found on scene');
-        return; // Not an error, just nothing to do
+      let npcTokens;
+      if (sourceId) {
+        // Actor source: compendium/folder actors wrapped as token-shaped targets
+        const source = actorSourceService.getSource(sourceId);
+        this._debugLog('Processing actor source:', sourceId);
+        npcTokens = await actorSourceService.getTargets(sourceId);
+        replacementJournalService.beginRun({ id: null, name: source?.label ?? sourceId });
+        if (npcTokens.length === 0) {
+          ui.notifications.info(this.i18n('notifications.noActors'));
+          this._debugLog('No eligible actors found in source');
+          return;
+        }
+      } else if (sceneId) {
+        // Explicit scene (multi-scene run): all NPC tokens, whether or not the scene is viewed
+        const scene = game.scenes.get(sceneId);
+        if (!scene) {
+          ui.notifications.warn(this.i18n('notifications.noScene'));
+          throw this._createError('no_tokens_selected', `Scene "${sceneId}" not found`, [
+            'check_console',
+          ]);
+        }
+        this._debugLog('Processing scene:', scene.name);
+        replacementJournalService.beginRun(scene);
+        npcTokens = tokenService.getSceneTokenTargets(scene);
+        if (npcTokens.length === 0) {
+          this._debugLog('No NPC tokens found on scene');
+          return;
+        }
+      } else {
+        // Check for active scene
+        if (!canvas?.scene) {
+          const error = this._createError('no_tokens_selected', 'No active scene found', [
+            'check_console',
+          ]);
+          ui.notifications.warn(this.i18n('notifications.noScene'));
+          throw error;
+        }
+        this._debugLog('Active scene found:', canvas.scene.name);
+        replacementJournalService.beginRun(canvas.scene);
+
+        // Get NPC tokens
+        npcTokens = tokenService.getSceneNPCTokens();
+        if (npcTokens.length === 0) {
+          ui.notifications.info(this.i18n('notifications.noTokens'));
+          this._debugLog('No NPC tokens found on scene');
+          return; // Not an error, just nothing to do
+        }
       }
       this._debugLog('Found', npcTokens.length, 'NPC tokens');
 
@@ -358,7 +656,11 @@ export class TokenReplacerApp {
       const refreshTVACache = this.getSetting('refreshTVACache');
       let localIndex = [];
 
-      if (this.hasTVA && useTVACache) {
+      if (session?.indexReady) {
+        // Index already built earlier in this multi-scene session
+        this._debugLog('Reusing token index from session');
+        localIndex = session.localIndex;
+      } else if (this.hasTVA && useTVACache) {
         this._debugLog('Using TVA cache');
         uiManager.updateDialogContent(await uiManager.createTVACacheHTML(false));
         await yieldToMain(100);
@@ -416,6 +718,10 @@ export class TokenReplacerApp {
         localIndex = await scanService.buildLocalTokenIndex();
         this._debugLog('Local index built:', localIndex.length, 'images');
       }
+      if (session) {
+        session.localIndex = localIndex;
+        session.indexReady = true;
+      }
 
       // Check for search sources
       if (!this.hasTVA && localIndex.length === 0) {
@@ -429,8 +735,16 @@ export class TokenReplacerApp {
         throw error;
       }
 
-      // Group tokens by creature type
-      const creatureGroups = tokenService.groupTokensByCreature(npcTokens);
+      // Group tokens by creature type; with review on, the GM can regroup, split and merge first
+      const groupBy = this.getSetting('groupTokensBy');
+      let creatureGroups = tokenService.groupTokensByCreature(npcTokens, groupBy);
+      if (this.getSetting('confirmReplace') && this.getSetting('reviewGroups')) {
+        creatureGroups = await this._reviewCreatureGroups(npcTokens, creatureGroups, groupBy);
+        if (creatureGroups === null) {
+          this._debugLog('Creature group review closed, stopping run');
+          return this._summarizeRun([]);
+        }
+      }
       const uniqueCreatures = creatureGroups.size;
 
       this._debugLog(
@@ -441,12 +755,26 @@ export class TokenReplacerApp {
         'tokens'
       );
 
+      // Remembered choices skip the search; with confirmation on, the GM can send any back to a fresh pick
+      const rememberedGroups = repick ? new Map() : this._recallGroups(creatureGroups);
+      if (rememberedGroups.size > 0 && this.getSetting('confirmReplace')) {
+        const repickKeys = await this._reviewRememberedChoices(creatureGroups, rememberedGroups);
+        if (repickKeys === null) {
+          this._debugLog('Remembered choices review closed, stopping run');
+          return this._summarizeRun([]);
+        }
+        for (const key of repickKeys) rememberedGroups.delete(key);
+      }
+      const groupsToSearch = new Map(
+        [...creatureGroups].filter(([key]) => !rememberedGroups.has(key))
+      );
+
       // PHASE 2: Parallel search
-      this._debugLog('Starting parallel search for', uniqueCreatures, 'creature types');
+      this._debugLog('Starting parallel search for', groupsToSearch.size, 'creature types');
       uiManager.updateDialogContent(
         await uiManager.createParallelSearchHTML(
           0,
-          uniqueCreatures,
+          groupsToSearch.size,
           uniqueCreatures,
           npcTokens.length,
           []
@@ -454,8 +782,8 @@ export class TokenReplacerApp {
       );
       await yieldToMain(50);
 
-      const searchResults = await searchService.parallelSearchCreatures(
-        creatureGroups,
+      const foundResults = await searchService.parallelSearchCreatures(
+        groupsToSearch,
         localIndex,
         async (info) => {
           if (info.type === 'batch' && uiManager.isDialogOpen()) {
@@ -472,10 +800,17 @@ export class TokenReplacerApp {
         }
       );
 
+      const searchResults = this._withRememberedGroups(
+        creatureGroups,
+        rememberedGroups,
+        foundResults
+      );
       this._debugLog(
         'Parallel search completed, found matches for',
-        searchResults.size,
-        'creature types'
+        foundResults.size,
+        'creature types,',
+        rememberedGroups.size,
+        'remembered'
       );
 
       // PHASE 3: Process tokens
@@ -483,14 +818,13 @@ export class TokenReplacerApp {
       const results = [];
       const autoReplace = this.getSetting('autoReplace');
       const confirmReplace = this.getSetting('confirmReplace');
-      const threshold = this.getSetting('fuzzyThreshold');
       this._debugLog(
         'Settings: autoReplace =',
         autoReplace,
         ', confirmReplace =',
         confirmReplace,
-        ', threshold =',
-        threshold
+        ', autoReplaceConfidence =',
+        scoringService.getAutoReplaceConfidence()
       );
 
       const updateProgress = async (current, total, status, result = null) => {
@@ -500,6 +834,11 @@ export class TokenReplacerApp {
         );
       };
 
+      if (dryRun) {
+        await this._reviewAndApplyPlan(searchResults, npcTokens.length, updateProgress, results);
+        return this._summarizeRun(results);
+      }
+
       await updateProgress(0, npcTokens.length, this.i18n('dialog.replacing'), null);
       await yieldToMain(50);
 
@@ -509,6 +848,7 @@ export class TokenReplacerApp {
         if (!uiManager.isDialogOpen()) break;
 
         const { matches, tokens, creatureInfo } = data;
+        const journalGroup = { key, label: creatureInfo.actorName };
 
         // No matches - show category browser
         if (matches.length === 0) {
@@ -541,22 +881,34 @@ export class TokenReplacerApp {
 
             const selectedPaths = selectionResult.paths;
             const assignmentMode = selectionResult.mode || 'sequential';
+            await this._rememberChoice(
+              creatureInfo,
+              tokens,
+              selectedPaths,
+              assignmentMode,
+              selectionResult.weights
+            );
+            await this._recordFeedback(creatureInfo, [], selectedPaths);
             let pathIndex = 0;
 
-            const shuffledPaths =
-              assignmentMode === 'random' ? fisherYatesShuffle(selectedPaths) : selectedPaths;
+            const assignedPaths = variantAssignmentService.assign(
+              tokens,
+              selectedPaths,
+              assignmentMode,
+              { weights: selectionResult.weights }
+            );
 
             for (const token of tokens) {
               if (!uiManager.isDialogOpen()) break;
               tokenIndex++;
 
-              const pathForToken = shuffledPaths[pathIndex % shuffledPaths.length];
+              const pathForToken = assignedPaths[pathIndex];
               const matchName = pathForToken
                 .split('/')
                 .pop()
                 .replace(/\.[^/.]+$/, '');
 
-              const success = await this.replaceTokenImage(token, pathForToken);
+              const success = await this.replaceTokenImage(token, pathForToken, journalGroup);
               await updateProgress(tokenIndex, npcTokens.length, this.i18n('dialog.replacing'), {
                 name: `${creatureInfo.actorName} (${token.name})`,
                 status: success ? 'success' : 'failed',
@@ -585,17 +937,25 @@ export class TokenReplacerApp {
 
         // Has matches
         const bestMatch = matches[0];
-        const matchScore = bestMatch.score !== undefined ? 1 - bestMatch.score : 0.8;
+        const confidence = scoringService.getConfidence(bestMatch);
         this._debugLog(
-          `Found ${matches.length} match(es) for "${creatureInfo.actorName}", best score: ${matchScore.toFixed(2)}`
+          `Found ${matches.length} match(es) for "${creatureInfo.actorName}", best confidence: ${confidence.toFixed(2)}`
         );
 
         let selectedPaths = null;
         let assignmentMode = 'sequential';
-
-        if (autoReplace && matchScore >= 1 - threshold) {
+        let weights = null;
+        // Image per token when the user set them in the assignment table
+        let assignments = null;
+
+        if (data.remembered) {
+          this._debugLog(`Using remembered art for "${creatureInfo.actorName}"`);
+          selectedPaths = data.remembered.paths;
+          assignmentMode = data.remembered.mode || 'sequential';
+          weights = data.remembered.weights ?? null;
+        } else if (autoReplace && scoringService.meetsAutoReplace(bestMatch)) {
           this._debugLog(
-            `Auto-replacing with best match (score ${matchScore.toFixed(2)} >= threshold ${(1 - threshold).toFixed(2)})`
+            `Auto-replacing with best match (confidence ${confidence.toFixed(2)} >= ${scoringService.getAutoReplaceConfidence()})`
           );
           selectedPaths = [bestMatch.path];
         } else if (confirmReplace) {
@@ -608,16 +968,28 @@ export class TokenReplacerApp {
 
           const dialogEl = uiManager.getDialogElement();
           if (dialogEl) {
-            const selectionResult = await uiManager.setupMatchSelectionHandlers(dialogEl);
+            const selectionResult = await uiManager.setupMatchSelectionHandlers(dialogEl, tokens);
 
             if (selectionResult?.paths) {
               selectedPaths = selectionResult.paths;
               assignmentMode = selectionResult.mode || 'sequential';
+              weights = selectionResult.weights ?? null;
+              assignments = selectionResult.assignments ?? null;
+              await this._rememberChoice(
+                creatureInfo,
+                tokens,
+                selectedPaths,
+                assignmentMode,
+                weights
+              );
+              await this._recordFeedback(creatureInfo, matches, selectedPaths);
               this._debugLog(
                 `User selected ${selectedPaths.length} image(s), mode: ${assignmentMode}`
               );
             } else {
               this._debugLog('No selection made by user');
+              // Closing the dialog ends the run; only an explicit skip counts against the matches
+              if (uiManager.isDialogOpen()) await this._recordFeedback(creatureInfo, matches, null);
             }
           }
 
@@ -630,14 +1002,13 @@ export class TokenReplacerApp {
 
         // Apply selected paths
         let pathIndex = 0;
-        const shuffledPaths =
-          assignmentMode === 'random' && selectedPaths
-            ? fisherYatesShuffle(selectedPaths)
-            : selectedPaths;
+        const assignedPaths =
+          assignments ??
+          variantAssignmentService.assign(tokens, selectedPaths, assignmentMode, { weights });
 
-        if (shuffledPaths?.length > 0) {
+        if (assignedPaths.length > 0) {
           this._debugLog(
-            `Applying ${shuffledPaths.length} path(s) to ${tokens.length} token(s) in ${assignmentMode} mode`
+            `Applying ${selectedPaths.length} path(s) to ${tokens.length} token(s) in ${assignmentMode} mode`
           );
         } else {
           this._debugLog(`Skipping ${tokens.length} token(s) - no paths selected`);
@@ -648,14 +1019,14 @@ export class TokenReplacerApp {
 
           tokenIndex++;
 
-          if (shuffledPaths?.length > 0) {
-            const pathForToken = shuffledPaths[pathIndex % shuffledPaths.length];
+          if (assignedPaths.length > 0) {
+            const pathForToken = assignedPaths[pathIndex];
             const matchName = pathForToken
               .split('/')
               .pop()
               .replace(/\.[^/.]+$/, '');
 
-            const success = await this.replaceTokenImage(token, pathForToken);
+            const success = await this.replaceTokenImage(token, pathForToken, journalGroup);
             await updateProgress(tokenIndex, npcTokens.length, this.i18n('dialog.replacing'), {
               name: `${creatureInfo.actorName} (${token.name})`,
               status: success ? 'success' : 'failed',
@@ -692,6 +1063,7 @@ export class TokenReplacerApp {
       }
 
       this._debugLog('Token replacement process completed successfully');
+      return this._summarizeRun(results);
     } catch (error) {
       // Handle errors gracefully with user-friendly messages
       console.error(`${MODULE_ID} | Error during token replacement:`, error);
@@ -750,17 +1122,721 @@ export class TokenReplacerApp {
         this._debugLog('Error displayed via notification');
       }
     } finally {
+      // Persist whatever was replaced, including partial runs that errored or were closed
+      try {
+        await replacementJournalService.finishRun();
+      } catch (error) {
+        console.warn(`${MODULE_ID} | Failed to save replacement journal:`, error);
+      }
       // Always reset processing flag, even on errors
       this.isProcessing = false;
       this._debugLog('Token replacement process ended, isProcessing reset to false');
     }
   }
+
+  /**
+   * Look up remembered choices for creature groups
+   * @param {Map<string, {creatureInfo: Object, tokens: Array}>} creatureGroups - Groups from groupTokensByCreature()
+   * @returns {Map<string, import('./types/typedefs.js').RememberedChoice>} Remembered choices by group key
+   * @private
+   */
+  _recallGroups(creatureGroups) {
+    const remembered = new Map();
+    for (const [key, group] of creatureGroups) {
+      const choice = choiceMemoryService.recall(group.creatureInfo, group.tokens[0]?.actor);
+      if (choice) remembered.set(key, choice);
+    }
+    return remembered;
+  }
+
+  /**
+   * Let the GM change how tokens are grouped before searching
+   * Shows the groups until the GM continues; each regroup, split or merge is applied
+   * through TokenService and the groups are shown again.
+   * @param {Array} tokens - Tokens of the run
+   * @param {Map<string, import('./types/typedefs.js').CreatureGroup>} creatureGroups - Groups from groupTokensByCreature()
+   * @param {string} groupBy - Grouping mode the groups were made with
+   * @returns {Promise<Map<string, import('./types/typedefs.js').CreatureGroup>|null>} Reviewed groups,
+   *   or null if the dialog was closed
+   * @private
+   */
+  async _reviewCreatureGroups(tokens, creatureGroups, groupBy) {
+    let groups = creatureGroups;
+    let mode = groupBy;
+    for (;;) {
+      uiManager.updateDialogContent(await uiManager.createGroupReviewHTML(groups, mode));
+      await yieldToMain(50);
+
+      const dialogEl = uiManager.getDialogElement();
+      const action = dialogEl ? await uiManager.setupGroupReviewHandlers(dialogEl) : null;
+      switch (action?.type) {
+        case 'regroup':
+          mode = action.groupBy;
+          groups = tokenService.groupTokensByCreature(tokens, mode);
+          break;
+        case 'split':
+          groups = tokenService.splitGroup(groups, action.key, action.tokenIds);
+          break;
+        case 'merge':
+          groups = tokenService.mergeGroups(groups, action.keys);
+          break;
+        case 'continue':
+          return groups;
+        default:
+          return null;
+      }
+    }
+  }
+
+  /**
+   * Let the GM pick which remembered choices to search again
+   * @param {Map<string, {creatureInfo: Object, tokens: Array}>} creatureGroups - All creature groups
+   * @param {Map<string, import('./types/typedefs.js').RememberedChoice>} rememberedGroups - Remembered choices by group key
+   * @returns {Promise<string[]|null>} Group keys to re-pick, or null if the dialog was closed
+   * @private
+   */
+  async _reviewRememberedChoices(creatureGroups, rememberedGroups) {
+    const items = [...rememberedGroups].map(([key, choice]) => ({
+      key,
+      label: creatureGroups.get(key).creatureInfo.actorName,
+      tokenCount: creatureGroups.get(key).tokens.length,
+      paths: choice.paths,
+      mode: choice.mode,
+    }));
+    uiManager.updateDialogContent(await uiManager.createRememberedHTML(items));
+    await yieldToMain(50);
+
+    const dialogEl = uiManager.getDialogElement();
+    return dialogEl ? await uiManager.setupRememberedHandlers(dialogEl) : null;
+  }
+
+  /**
+   * Merge remembered groups into the search results, keeping the original group order
+   * Remembered paths stand in for matches so the plan and replacement phases treat them alike.
+   * @param {Map<string, {creatureInfo: Object, tokens: Array}>} creatureGroups - All creature groups
+   * @param {Map<string, import('./types/typedefs.js').RememberedChoice>} rememberedGroups - Remembered choices by group key
+   * @param {Map<string, {matches: Array, tokens: Array, creatureInfo: Object}>} foundResults - Search results for the other groups
+   * @returns {Map<string, {matches: Array, tokens: Array, creatureInfo: Object, remembered?: Object}>} Results for every group
+   * @private
+   */
+  _withRememberedGroups(creatureGroups, rememberedGroups, foundResults) {
+    const results = new Map();
+    for (const [key, group] of creatureGroups) {
+      const remembered = rememberedGroups.get(key);
+      if (remembered) {
+        results.set(key, {
+          creatureInfo: group.creatureInfo,
+          tokens: group.tokens,
+          matches: remembered.paths.map((path) => ({
+            path,
+            name: path
+              .split('/')
+              .pop()
+              .replace(/\.[^/.]+$/, ''),
+            score: 0,
+            source: 'remembered',
+          })),
+          remembered,
+        });
+      } else if (foundResults.has(key)) {
+        results.set(key, foundResults.get(key));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Remember a GM's pick for a creature group; failures only log a warning
+   * @param {Object} creatureInfo - Creature info of the group
+   * @param {Array} tokens - Tokens of the group (the first token's actor supplies the source key)
+   * @param {string[]} paths - Picked paths
+   * @param {string} mode - Assignment mode
+   * @param {number[]|null} [weights=null] - Weight per path (weighted mode)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _rememberChoice(creatureInfo, tokens, paths, mode, weights = null) {
+    try {
+      await choiceMemoryService.remember(creatureInfo, tokens[0]?.actor, paths, mode, weights);
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Failed to remember art choice:`, error);
+    }
+  }
+  /**
+   * Feed a selection outcome to the learning ranker
+   * @param {import('./types/typedefs.js').CreatureInfo} creatureInfo - Creature the matches were shown for
+   * @param {Array<{path: string, source?: string}>} matches - Matches in the order they were shown
+   * @param {string[]|null} paths - Picked paths, or null if the creature was skipped
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordFeedback(creatureInfo, matches, paths) {
+    try {
+      if (paths?.length > 0) {
+        await rankingFeedbackService.recordAccept(creatureInfo, paths);
+        return;
+      }
+      const shown = matches
+        .filter((match) => match.source !== 'remembered')
+        .slice(0, FEEDBACK_SKIP_DEPTH)
+        .map((match) => match.path);
+      await rankingFeedbackService.recordSkip(creatureInfo, shown);
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Failed to record ranking feedback:`, error);
+    }
+  }
+
+  /**
+   * Download the ranking feedback of this world as JSON
+   * @returns {void}
+   */
+  exportRankingFeedback() {
+    const data = JSON.stringify(rankingFeedbackService.export(), null, 2);
+    foundry.utils.saveDataToFile(
+      data,
+      'application/json',
+      `${MODULE_ID}-feedback-${game.world.id}.json`
+    );
+  }
+
+  /**
+   * Load ranking feedback exported from this or another world
+   * @param {Object|string} data - Export data or its JSON
+   * @param {Object} [options={}] - Import options
+   * @param {boolean} [options.merge=false] - Add to the current feedback instead of replacing it
+   * @returns {Promise<void>}
+   */
+  async importRankingFeedback(data, options = {}) {
+    const count = await rankingFeedbackService.import(data, options);
+    ui.notifications.info(this.i18n('notifications.feedbackImported', { count }));
+  }
+
+  /**
+   * Forget all learned ranking feedback
+   * @returns {Promise<void>}
+   */
+  async resetRankingFeedback() {
+    await rankingFeedbackService.reset();
+    ui.notifications.info(this.i18n('notifications.feedbackReset'));
+  }
+
+  /**
+   * Forget every remembered art choice
+   * @returns {Promise<void>}
+   */
+  async clearRememberedChoices() {
+    await choiceMemoryService.clear();
+    ui.notifications.info(this.i18n('notifications.rememberedCleared'));
+  }
+
+  /**
+   * Summarize a finished replacement run
+   * @param {Array} results - Per-token results collected by updateProgress()
+   * @returns {{replaced: number, failed: number, aborted: boolean}} Counts, aborted when the dialog was closed
+   * @private
+   */
+  _summarizeRun(results) {
+    return {
+      replaced: results.filter((r) => r.status === 'success').length,
+      failed: results.filter((r) => r.status === 'failed').length,
+      aborted: !uiManager.isDialogOpen(),
+    };
+  }
+
+  /**
+   * Pick scenes and run the replacement flow across them in one session
+   * @returns {Promise<void>}
+   */
+  async showWorldRunDialog() {
+    if (this.isProcessing) {
+      ui.notifications.warn(this.i18n('notifications.inProgress'));
+      return;
+    }
+
+    const scenes = this._createSceneStatuses([...game.scenes]);
+    if (!scenes.some((scene) => scene.tokenCount > 0)) {
+      ui.notifications.info(this.i18n('notifications.noTokens'));
+      return;
+    }
+
+    const dialog = await uiManager.createMainDialog(
+      await uiManager.createWorldScenesHTML(scenes),
+      () => this._debugLog('Multi-scene dialog closed by user')
+    );
+    await dialog.render({ force: true });
+    await yieldToMain(50);
+
+    const dialogEl = uiManager.getDialogElement();
+    const selection = dialogEl ? await uiManager.setupWorldScenesHandlers(dialogEl) : null;
+
+    if (selection) {
+      await this.processWorldReplacement(selection);
+    } else {
+      await uiManager.closeDialog();
+    }
+  }
+
+  /**
+   * Process NPC tokens on several scenes in one session
+   * The search cache and token index are built once and shared by every scene, so a
+   * creature searched on the first scene is not searched again on a later one.
+   * Each scene gets its own journal run and can be reverted on its own.
+   * @param {Object} [options={}] - Run options
+   * @param {string[]} [options.sceneIds=[]] - Scenes to process, in order
+   * @param {boolean} [options.dryRun=false] - Review a plan for each scene before replacing
+   * @param {boolean} [options.pauseBetweenScenes=true] - Ask to process, skip or stop before each scene
+   * @returns {Promise<void>}
+   */
+  async processWorldReplacement(options = {}) {
+    const { sceneIds = [], dryRun = false, pauseBetweenScenes = true } = options;
+    if (this.isProcessing) {
+      ui.notifications.warn(this.i18n('notifications.inProgress'));
+      return;
+    }
+
+    const scenes = this._createSceneStatuses(
+      sceneIds.map((id) => game.scenes.get(id)).filter(Boolean)
+    );
+    const session = { localIndex: [], indexReady: false };
+    searchService.clearCache();
+    this._debugLog(`Starting multi-scene run over ${scenes.length} scenes`);
+
+    // Why the run ended early: 'user' (Stop), 'failed' (error shown in the dialog) or 'closed'
+    let stopReason = null;
+    for (const [index, entry] of scenes.entries()) {
+      if (entry.status === 'empty') continue;
+      if (stopReason) {
+        entry.status = 'stopped';
+        continue;
+      }
+
+      if (pauseBetweenScenes) {
+        const choice = await this._promptWorldRun(scenes, index);
+        if (choice === 'skip') {
+          entry.status = 'skipped';
+          continue;
+        }
+        if (choice !== 'process') {
+          entry.status = 'stopped';
+          stopReason = choice === 'stop' ? 'user' : 'closed';
+          continue;
+        }
+      }
+
+      entry.status = 'running';
+      const summary = await this.processTokenReplacement({ sceneId: entry.id, dryRun, session });
+      entry.replaced = summary?.replaced ?? 0;
+      if (!summary || summary.aborted) {
+        entry.status = 'stopped';
+        stopReason = summary ? 'closed' : 'failed';
+      } else {
+        entry.status = 'done';
+      }
+      this._debugLog(`Scene "${entry.name}" ${entry.status}: ${entry.replaced} replaced`);
+    }
+
+    const replaced = scenes.reduce((sum, scene) => sum + scene.replaced, 0);
+    const processed = scenes.filter((scene) => scene.status === 'done').length;
+    ui.notifications.info(
+      this.i18n('notifications.worldComplete', { scenes: processed, count: replaced })
+    );
+
+    // Leave a failed scene's error or a closed dialog alone; otherwise end on the per-scene summary
+    if (!stopReason || stopReason === 'user') {
+      await this._promptWorldRun(scenes, -1);
+      await uiManager.closeDialog();
+    }
+  }
+
+  /**
+   * Build per-scene status entries for a multi-scene run
+   * @param {Scene[]} scenes - Scenes to include
+   * @returns {import('./types/typedefs.js').SceneRunStatus[]} Status entries
+   * @private
+   */
+  _createSceneStatuses(scenes) {
+    return scenes.map((scene) => {
+      const tokenCount = tokenService.getSceneTokenTargets(scene).length;
+      return {
+        id: scene.id,
+        name: scene.name,
+        tokenCount,
+        status: tokenCount > 0 ? 'pending' : 'empty',
+        replaced: 0,
+      };
+    });
+  }
+
+  /**
+   * Show the multi-scene status view and wait for the user's choice
+   * @param {import('./types/typedefs.js').SceneRunStatus[]} scenes - Scenes in the run
+   * @param {number} currentIndex - Scene about to be processed (-1 for the final summary)
+   * @returns {Promise<'process'|'skip'|'stop'|'close'|null>} Chosen action, null if the dialog was closed
+   * @private
+   */
+  async _promptWorldRun(scenes, currentIndex) {
+    const html = await uiManager.createWorldRunHTML(scenes, currentIndex);
+    if (uiManager.isDialogOpen()) {
+      uiManager.updateDialogContent(html);
+    } else {
+      const dialog = await uiManager.createMainDialog(html, () =>
+        this._debugLog('Multi-scene dialog closed by user')
+      );
+      await dialog.render({ force: true });
+    }
+    await yieldToMain(50);
+
+    const dialogEl = uiManager.getDialogElement();
+    return dialogEl ? await uiManager.setupWorldRunHandlers(dialogEl) : null;
+  }
+
+  /**
+   * Dry-run phase: show the replacement plan and apply the edited rows once committed
+   * No document is touched until the user applies the plan.
+   * @param {Map} searchResults - Output of parallelSearchCreatures()
+   * @param {number} totalTokens - Total tokens in the run (for progress display)
+   * @param {Function} updateProgress - Progress renderer from processTokenReplacement()
+   * @param {Array} results - Shared results array filled by updateProgress()
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _reviewAndApplyPlan(searchResults, totalTokens, updateProgress, results) {
+    let rows = replacementPlanService.buildPlan(searchResults);
+    uiManager.updateDialogContent(await uiManager.createPlanHTML(rows));
+    await yieldToMain(50);
+
+    const dialogEl = uiManager.getDialogElement();
+    const edits = dialogEl ? await uiManager.setupPlanHandlers(dialogEl) : null;
+    if (!edits) {
+      this._debugLog('Dry-run plan cancelled, no documents changed');
+      await uiManager.closeDialog();
+      return;
+    }
+
+    rows = replacementPlanService.applyEdits(rows, edits);
+    this._debugLog(
+      `Applying dry-run plan: ${rows.filter((r) => r.path).length} row(s) with a path`
+    );
+    await updateProgress(0, totalTokens, this.i18n('dialog.replacing'), null);
+
+    let tokenIndex = 0;
+    for (const row of rows) {
+      if (!uiManager.isDialogOpen()) break;
+      tokenIndex++;
+      const name = `${row.groupLabel} (${row.tokenName})`;
+
+      if (!row.path) {
+        await updateProgress(tokenIndex, totalTokens, this.i18n('dialog.skipped'), {
+          name,
+          status: 'skipped',
+        });
+        continue;
+      }
+
+      const success = await this.replaceTokenImage(row.token, row.path, {
+        key: row.groupKey,
+        label: row.groupLabel,
+      });
+      await updateProgress(tokenIndex, totalTokens, this.i18n('dialog.replacing'), {
+        name,
+        status: success ? 'success' : 'failed',
+        match: row.path
+          .split('/')
+          .pop()
+          .replace(/\.[^/.]+$/, ''),
+      });
+    }
+
+    if (uiManager.isDialogOpen()) {
+      await updateProgress(totalTokens, totalTokens, this.i18n('dialog.complete'), null);
+      ui.notifications.info(
+        this.i18n('notifications.complete', {
+          count: results.filter((r) => r.status === 'success').length,
+        })
+      );
+    }
+  }
+
+  /**
+   * Pick a compendium pack or Actors folder and run the replacement flow on its NPC actors
+   * Only prototype tokens (and optionally portraits) are changed; no scene is needed.
+   * @returns {Promise<void>}
+   */
+  async showActorSourceDialog() {
+    if (this.isProcessing) {
+      ui.notifications.warn(this.i18n('notifications.inProgress'));
+      return;
+    }
+
+    const sources = actorSourceService.listSources();
+    if (sources.length === 0) {
+      ui.notifications.info(this.i18n('notifications.noActorSources'));
+      return;
+    }
+
+    const dialog = await uiManager.createMainDialog(
+      await uiManager.createActorSourceHTML(sources),
+      () => this._debugLog('Actor source dialog closed by user')
+    );
+    await dialog.render({ force: true });
+    await yieldToMain(50);
+
+    const dialogEl = uiManager.getDialogElement();
+    const selection = dialogEl ? await uiManager.setupActorSourceHandlers(dialogEl) : null;
+    await uiManager.closeDialog();
+
+    if (selection) {
+      await this.processTokenReplacement(selection);
+    }
+  }
+
+  /**
+   * Assign art to an NPC token that was just placed on a scene
+   * Applies the remembered choice, or the best match when it reaches the auto-replace
+   * confidence, otherwise opens the inline picker. Skipped while a replacement run is in progress.
+   * @param {TokenDocument} tokenDoc - Created token document
+   * @param {string} userId - ID of the user who created the token
+   * @returns {Promise<void>}
+   */
+  async handleTokenCreated(tokenDoc, userId) {
+    if (!autoAssignService.shouldHandle(tokenDoc, userId)) return;
+    if (this.isProcessing) {
+      this._debugLog(`Replacement run in progress, not auto-assigning "${tokenDoc.name}"`);
+      return;
+    }
+
+    await autoAssignService.enqueue(async () => {
+      const target = tokenService.createSceneTokenTarget(tokenDoc);
+      const { creatureInfo, matches, action, path } = await autoAssignService.resolveMatch(target);
+      this._debugLog(`Auto-assign "${tokenDoc.name}": ${action}`);
+
+      let chosenPath = action === 'apply' ? path : null;
+      if (action === 'pick') {
+        chosenPath = await uiManager.showAutoAssignPicker(creatureInfo, matches);
+        if (chosenPath) {
+          await this._rememberChoice(creatureInfo, [target], [chosenPath], 'sequential');
+          await this._recordFeedback(creatureInfo, matches, [chosenPath]);
+        }
+      }
+      // The token may have been deleted while searching or picking
+      if (chosenPath && tokenDoc.parent?.tokens?.has(tokenDoc.id)) {
+        await this.replaceTokenImage(target, chosenPath);
+      }
+    });
+  }
+
+  /**
+   * Pick art for one token or actor without the scene-wide flow
+   * Searches just that creature and opens the match selection (or the category
+   * browser when nothing matches). Used by the Token HUD button and the actor sheet header control.
+   * @param {Token|TokenDocument|Actor} subject - Token placeable, token document or actor
+   * @returns {Promise<boolean>} True if new art was applied
+   */
+  async replaceSingle(subject) {
+    if (this.isProcessing) {
+      ui.notifications.warn(this.i18n('notifications.inProgress'));
+      return false;
+    }
+
+    const target = tokenService.toReplacementTarget(subject);
+    const creatureInfo = tokenService.isEligibleActor(target?.actor)
+      ? tokenService.extractCreatureInfo(target)
+      : null;
+    if (!creatureInfo) {
+      ui.notifications.warn(this.i18n('notifications.notEligible', { name: subject?.name ?? '' }));
+      return false;
+    }
+
+    this.isProcessing = true;
+    this._debugLog(`Single replacement for "${target.name}"`);
+    let applied = false;
+
+    try {
+      const dialog = await uiManager.createMainDialog(
+        await uiManager.createParallelSearchHTML(0, 1, 1, 1, [creatureInfo.actorName]),
+        () => this._debugLog('Single replacement dialog closed by user')
+      );
+      await dialog.render({ force: true });
+
+      searchService.init();
+      const localIndex = await this._getSingleSearchIndex();
+      const matches = await searchService.searchTokenArt(creatureInfo, localIndex);
+      if (!uiManager.isDialogOpen()) return false;
+
+      uiManager.updateDialogContent(
+        matches.length > 0
+          ? await uiManager.createMatchSelectionHTML(creatureInfo, matches, 1)
+          : await uiManager.createNoMatchHTML(creatureInfo, 1)
+      );
+      await yieldToMain(50);
+
+      const dialogEl = uiManager.getDialogElement();
+      let selection = null;
+      if (dialogEl) {
+        selection =
+          matches.length > 0
+            ? await uiManager.setupMatchSelectionHandlers(dialogEl, [target])
+            : await uiManager.setupNoMatchHandlers(
+                dialogEl,
+                creatureInfo,
+                localIndex,
+                1,
+                (type, idx, term, cb) => searchService.searchByCategory(type, idx, term, cb)
+              );
+      }
+
+      if (selection?.paths?.length > 0) {
+        const mode = selection.mode || 'sequential';
+        const [path] = variantAssignmentService.assign([target], selection.paths, mode, {
+          weights: selection.weights,
+        });
+        await this._rememberChoice(
+          creatureInfo,
+          [target],
+          selection.paths,
+          mode,
+          selection.weights
+        );
+        await this._recordFeedback(creatureInfo, matches, selection.paths);
+
+        replacementJournalService.beginRun(
+          target.document?.parent ?? { id: null, name: creatureInfo.actorName }
+        );
+        try {
+          applied = await this.replaceTokenImage(target, path, {
+            key: getCreatureCacheKey(creatureInfo),
+            label: creatureInfo.actorName,
+          });
+        } finally {
+          await replacementJournalService.finishRun();
+        }
+
+        if (applied) {
+          ui.notifications.info(this.i18n('notifications.singleReplaced', { name: target.name }));
+        }
+      } else {
+        this._debugLog(`No selection made for "${target.name}"`);
+        if (uiManager.isDialogOpen()) await this._recordFeedback(creatureInfo, matches, null);
+      }
+      await uiManager.closeDialog();
+    } catch (error) {
+      console.error(`${MODULE_ID} | Single replacement failed:`, error);
+      if (error.errorType && uiManager.isDialogOpen()) {
+        uiManager.updateDialogContent(await uiManager.createErrorHTML(error));
+      } else {
+        ui.notifications.error(
+          this.i18n('notifications.processingError', { error: error.message || String(error) })
+        );
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return applied;
+  }
+
+  /**
+   * Make a search source ready for a single-creature search
+   * The TVA cache is loaded if needed; without TVA or a built index, the local scan is the only source.
+   * @returns {Promise<Array>} Local token index (empty when the index or TVA covers the search)
+   * @private
+   */
+  async _getSingleSearchIndex() {
+    if (this.hasTVA) {
+      if (this.getSetting('useTVACache') && !tvaCacheService.isTVACacheLoaded) {
+        await tvaCacheService.loadTVACache();
+      }
+      return [];
+    }
+    return indexService.isBuilt ? [] : await scanService.buildLocalTokenIndex();
+  }
+
+  /**
+   * Revert the most recent replacement run
+   * @returns {Promise<void>}
+   */
+  async revertLastRun() {
+    const run = replacementJournalService.getLastRun();
+    if (!run) {
+      ui.notifications.info(this.i18n('notifications.journalEmpty'));
+      return;
+    }
+    await this._revertRun(run.id, null);
+  }
+
+  /**
+   * Show the journal of past runs and revert the chosen run or creature groups
+   * @returns {Promise<void>}
+   */
+  async showRevertDialog() {
+    if (this.isProcessing) {
+      ui.notifications.warn(this.i18n('notifications.inProgress'));
+      return;
+    }
+
+    const runs = replacementJournalService.getRuns();
+    if (runs.length === 0) {
+      ui.notifications.info(this.i18n('notifications.journalEmpty'));
+      return;
+    }
+
+    const dialog = await uiManager.createMainDialog(
+      await uiManager.createRevertHTML(
+        runs.map((run) => ({ ...run, groups: replacementJournalService.getRunGroups(run) }))
+      ),
+      () => this._debugLog('Revert dialog closed by user')
+    );
+    await dialog.render({ force: true });
+    await yieldToMain(50);
+
+    const dialogEl = uiManager.getDialogElement();
+    const selection = dialogEl ? await uiManager.setupRevertHandlers(dialogEl) : null;
+    await uiManager.closeDialog();
+
+    if (selection) {
+      await this._revertRun(selection.runId, selection.groupKeys);
+    }
+  }
+
+  /**
+   * Revert a journal run and report the outcome
+   * @param {string} runId - Journal run ID
+   * @param {string[]|null} groupKeys - Creature groups to revert (null = whole run)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _revertRun(runId, groupKeys) {
+    if (this.isProcessing) {
+      ui.notifications.warn(this.i18n('notifications.inProgress'));
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      this._debugLog(`Reverting journal run ${runId}`, groupKeys ?? 'all groups');
+      const { reverted, failed } = await replacementJournalService.revertRun(runId, groupKeys);
+      ui.notifications.info(this.i18n('notifications.reverted', { count: reverted }));
+      if (failed > 0) {
+        ui.notifications.warn(this.i18n('notifications.revertFailed', { count: failed }));
+      }
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to revert run:`, error);
+      ui.notifications.error(
+        this.i18n('notifications.processingError', { error: error.message || String(error) })
+      );
+    } finally {
+      this.isProcessing = false;
+    }
+  }
 }
 
 // Create singleton instance
 export const tokenReplacerApp = new TokenReplacerApp();
 
-// Backward compatibility - expose on window
+// Public API, published on the module in the init hook
+export const moduleAPI = new ModuleAPI({ app: tokenReplacerApp });
+
+// Backward compatibility - expose on window (use game.modules.get(MODULE_ID).api instead)
 window.TokenReplacerFA = /** @type {any} */ (tokenReplacerApp);
 
 /**
@@ -773,6 +1849,9 @@ Hooks.once('init', async () => {
     // Register settings FIRST - _debugLog() needs 'debugMode' setting to exist
     tokenReplacerApp.registerSettings();
 
+    // Publish the API early so other modules can use it from their own ready hooks
+    /** @type {any} */ (game.modules.get(MODULE_ID)).api = moduleAPI;
+
     // Preload Handlebars templates
     tokenReplacerApp._debugLog('Preloading Handlebars templates');
     await loadModuleTemplates([
@@ -784,6 +1863,14 @@ Hooks.once('init', async () => {
       'modules/token-replacer-fa/templates/progress.hbs',
       'modules/token-replacer-fa/templates/match-selection.hbs',
       'modules/token-replacer-fa/templates/no-match.hbs',
+      'modules/token-replacer-fa/templates/revert-runs.hbs',
+      'modules/token-replacer-fa/templates/replacement-plan.hbs',
+      'modules/token-replacer-fa/templates/actor-source.hbs',
+      'modules/token-replacer-fa/templates/world-scenes.hbs',
+      'modules/token-replacer-fa/templates/world-run.hbs',
+      'modules/token-replacer-fa/templates/auto-assign-picker.hbs',
+      'modules/token-replacer-fa/templates/remembered-choices.hbs',
+      'modules/token-replacer-fa/templates/group-review.hbs',
     ]);
     tokenReplacerApp._debugLog('Templates preloaded successfully');
     tokenReplacerApp._debugLog('Module initialization complete');
@@ -896,6 +1983,8 @@ Hooks.once('ready', async () => {
               `Index build completed successfully - ${stats.totalImages} images indexed`
             );
 
+            Hooks.callAll(HOOKS.INDEX_READY, moduleAPI.getIndexStats());
+
             if (!hasCache) {
               tokenReplacerApp._debugLog('Showing index build completion notification');
               ui.notifications.info(
@@ -938,6 +2027,72 @@ Hooks.once('ready', async () => {
   tokenReplacerApp._debugLog('Ready hook complete');
 });
 
+/**
+ * Assign art to NPC tokens as they are dropped on a scene
+ */
+Hooks.on('createToken', (tokenDoc, _options, userId) => {
+  tokenReplacerApp.handleTokenCreated(tokenDoc, userId).catch((error) => {
+    console.error(`${MODULE_ID} | Failed to auto-assign token art:`, error);
+  });
+});
+
+/**
+ * Add a single-token replace button to the Token HUD
+ */
+Hooks.on('renderTokenHUD', (hud, html) => {
+  try {
+    const token = hud.object;
+    if (!game.user.isGM || !tokenService.isEligibleActor(token?.actor)) return;
+
+    const root = html instanceof HTMLElement ? html : html[0];
+    const column = root?.querySelector('.col.right');
+    if (!column) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('control-icon', 'token-replacer-fa-hud');
+    button.dataset.tooltip = tokenReplacerApp.i18n('button.singleTitle');
+    button.innerHTML = '<i class="fas fa-wand-magic-sparkles"></i>';
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      tokenReplacerApp.replaceSingle(token);
+    });
+    column.append(button);
+  } catch (error) {
+    console.error(`${MODULE_ID} | Failed to add Token HUD button:`, error);
+  }
+});
+
+/**
+ * Add a replace control to NPC actor sheet headers (ApplicationV2 sheets)
+ */
+// @ts-expect-error fvtt-types beta does not include getHeaderControlsActorSheetV2 hook type
+Hooks.on('getHeaderControlsActorSheetV2', (sheet, controls) => {
+  const actor = sheet.document;
+  if (!game.user.isGM || !tokenService.isEligibleActor(actor)) return;
+  controls.push({
+    icon: 'fas fa-wand-magic-sparkles',
+    label: 'TOKEN_REPLACER_FA.button.singleTitle',
+    action: 'tokenReplacerFA',
+    onClick: () => tokenReplacerApp.replaceSingle(actor),
+  });
+});
+
+/**
+ * Add a replace button to NPC actor sheet headers (legacy Application sheets)
+ */
+// @ts-expect-error fvtt-types beta does not include getActorSheetHeaderButtons hook type
+Hooks.on('getActorSheetHeaderButtons', (sheet, buttons) => {
+  const actor = sheet.actor;
+  if (!game.user.isGM || !tokenService.isEligibleActor(actor)) return;
+  buttons.unshift({
+    label: tokenReplacerApp.i18n('button.sheetLabel'),
+    class: 'token-replacer-fa',
+    icon: 'fas fa-wand-magic-sparkles',
+    onclick: () => tokenReplacerApp.replaceSingle(actor),
+  });
+});
+
 /**
  * Add button to scene controls
  */
@@ -949,23 +2104,57 @@ Hooks.on('getSceneControlButtons', (controls) => {
       return;
     }
 
-    tokenReplacerApp._debugLog('Adding scene control button');
+    tokenReplacerApp._debugLog('Adding scene control buttons');
+
+    // Module tools; titles are localized from their title keys below
+    const moduleTools = [
+      {
+        name: 'tokenReplacerFA',
+        titleKey: 'button.title',
+        icon: 'fas fa-wand-magic-sparkles',
+        action: () => tokenReplacerApp.processTokenReplacement(),
+      },
+      {
+        name: 'tokenReplacerFADryRun',
+        titleKey: 'button.dryRunTitle',
+        icon: 'fas fa-clipboard-list',
+        action: () => tokenReplacerApp.processTokenReplacement({ dryRun: true }),
+      },
+      {
+        name: 'tokenReplacerFAWorld',
+        titleKey: 'button.worldTitle',
+        icon: 'fas fa-map',
+        action: () => tokenReplacerApp.showWorldRunDialog(),
+      },
+      {
+        name: 'tokenReplacerFAActors',
+        titleKey: 'button.actorsTitle',
+        icon: 'fas fa-book-skull',
+        action: () => tokenReplacerApp.showActorSourceDialog(),
+      },
+      {
+        name: 'tokenReplacerFARevert',
+        titleKey: 'button.revertTitle',
+        icon: 'fas fa-rotate-left',
+        action: () => tokenReplacerApp.showRevertDialog(),
+      },
+    ].map(({ name, titleKey, icon, action }) => ({
+      name,
+      title: game.i18n.localize(`TOKEN_REPLACER_FA.${titleKey}`),
+      icon,
+      button: true,
+      visible: true,
+      onChange: action, // v13+ uses onChange
+      onClick: action, // v12 fallback
+    }));
 
     // Handle both v12 (array) and v13 (object) formats
     if (Array.isArray(controls)) {
       tokenReplacerApp._debugLog('Using v12 control format (array)');
       const tokenControls = controls.find((c) => c.name === 'token');
       if (tokenControls) {
-        tokenControls.tools.push({
-          name: 'tokenReplacerFA',
-          title: game.i18n.localize('TOKEN_REPLACER_FA.button.title'),
-          icon: 'fas fa-wand-magic-sparkles',
-          button: true,
-          visible: true,
-          onChange: () => tokenReplacerApp.processTokenReplacement(), // v13+ uses onChange
-          onClick: () => tokenReplacerApp.processTokenReplacement(), // v12 fallback
-        });
-        tokenReplacerApp._debugLog('Scene control button added successfully');
+        tokenControls.tools.push(...moduleTools);
+        tokenReplacerApp._debugLog('Scene control buttons added successfully');
       } else {
         tokenReplacerApp._debugLog('Token controls not found in array format');
       }
@@ -978,17 +2167,10 @@ Hooks.on('getSceneControlButtons', (controls) => {
       }
 
       const toolCount = Object.keys(tokenControls.tools || {}).length;
-      tokenControls.tools.tokenReplacerFA = {
-        name: 'tokenReplacerFA',
-        title: game.i18n.localize('TOKEN_REPLACER_FA.button.title'),
-        icon: 'fas fa-wand-magic-sparkles',
-        order: toolCount + 1,
-        button: true,
-        visible: true,
-        onChange: () => tokenReplacerApp.processTokenReplacement(), // v13+ uses onChange
-        onClick: () => tokenReplacerApp.processTokenReplacement(), // v12 fallback
-      };
-      tokenReplacerApp._debugLog('Scene control button added successfully');
+      moduleTools.forEach((tool, i) => {
+        tokenControls.tools[tool.name] = { ...tool, order: toolCount + i + 1 };
+      });
+      tokenReplacerApp._debugLog('Scene control buttons added successfully');
     }
   } catch (error) {
     console.error(`${MODULE_ID} | Failed to add scene control button:`, error);
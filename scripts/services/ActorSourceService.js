@@ -0,0 +1,126 @@
+/**
+ * Token Replacer FA - Actor Source Service
+ * Lists compendium packs and Actors folders and turns their NPCs into replacement targets
+ * @module services/ActorSourceService
+ */
+
+import { createModuleError, createDebugLogger } from '../core/Utils.js';
+import { tokenService } from './TokenService.js';
+
+/**
+ * ActorSourceService - Source abstraction for batch replacement outside the canvas
+ *
+ * A source is either an Actor compendium pack or a sidebar Actors folder
+ * (including its subfolders). getTargets() returns ActorTarget objects that
+ * TokenService.groupTokensByCreature() and the replacement flow accept like tokens.
+ */
+export class ActorSourceService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(): Iterable<Object>} [deps.getPacks] - Compendium collection (default: game.packs)
+   * @param {function(): Iterable<Object>} [deps.getFolders] - Folder collection (default: game.folders)
+   * @param {Object} [deps.tokenService] - Token service instance (default: imported singleton)
+   */
+  constructor(deps = {}) {
+    const {
+      getPacks = () => game.packs ?? [],
+      getFolders = () => game.folders ?? [],
+      tokenService: injectedTokenService = tokenService,
+    } = deps;
+
+    this._getPacks = getPacks;
+    this._getFolders = getFolders;
+    this._tokenService = injectedTokenService;
+    this._debugLog = createDebugLogger('ActorSourceService');
+  }
+
+  /**
+   * List available actor sources
+   * @returns {import('../types/typedefs.js').ActorSource[]} Packs first, then folders, each sorted by label
+   */
+  listSources() {
+    const byLabel = (a, b) => a.label.localeCompare(b.label);
+
+    const packs = [...this._getPacks()]
+      .filter((pack) => pack.documentName === 'Actor')
+      .map((pack) => ({
+        id: `pack:${pack.collection}`,
+        type: /** @type {'pack'} */ ('pack'),
+        label: pack.title ?? pack.metadata?.label ?? pack.collection,
+        locked: !!pack.locked,
+      }))
+      .sort(byLabel);
+
+    const folders = [...this._getFolders()]
+      .filter((folder) => folder.type === 'Actor')
+      .map((folder) => ({
+        id: `folder:${folder.id}`,
+        type: /** @type {'folder'} */ ('folder'),
+        label: folder.name,
+        locked: false,
+      }))
+      .sort(byLabel);
+
+    return [...packs, ...folders];
+  }
+
+  /**
+   * Get a source descriptor by ID
+   * @param {string} sourceId - Source ID from listSources()
+   * @returns {import('../types/typedefs.js').ActorSource|null} Source or null if unknown
+   */
+  getSource(sourceId) {
+    return this.listSources().find((source) => source.id === sourceId) ?? null;
+  }
+
+  /**
+   * Load the eligible actors of a source as replacement targets
+   * @param {string} sourceId - Source ID from listSources()
+   * @returns {Promise<import('../types/typedefs.js').ActorTarget[]>} Actor targets
+   * @throws {Object} Structured error if the source is unknown or locked
+   */
+  async getTargets(sourceId) {
+    const [type, ...rest] = String(sourceId).split(':');
+    const key = rest.join(':');
+    let actors;
+
+    if (type === 'pack') {
+      const pack = [...this._getPacks()].find((p) => p.collection === key);
+      if (!pack || pack.documentName !== 'Actor') {
+        throw createModuleError('actor_source_missing', `Compendium "${key}" not found`, [
+          'check_console',
+        ]);
+      }
+      if (pack.locked) {
+        throw createModuleError('compendium_locked', `Compendium "${key}" is locked`, [
+          'unlock_compendium',
+        ]);
+      }
+      actors = await pack.getDocuments();
+    } else if (type === 'folder') {
+      const folder = [...this._getFolders()].find((f) => f.id === key);
+      if (!folder || folder.type !== 'Actor') {
+        throw createModuleError('actor_source_missing', `Actor folder "${key}" not found`, [
+          'check_console',
+        ]);
+      }
+      const subfolders = folder.getSubfolders?.(true) ?? [];
+      actors = [folder, ...subfolders].flatMap((f) => f.contents ?? []);
+    } else {
+      throw createModuleError('actor_source_missing', `Unknown actor source "${sourceId}"`, [
+        'check_console',
+      ]);
+    }
+
+    const targets = actors
+      .filter((actor) => this._tokenService.isEligibleActor(actor))
+      .map((actor) => this._tokenService.createActorTarget(actor));
+    this._debugLog(
+      `Actor source ${sourceId}: ${targets.length} eligible of ${actors.length} actors`
+    );
+    return targets;
+  }
+}
+
+// Export singleton instance
+export const actorSourceService = new ActorSourceService();
@@ -0,0 +1,166 @@
+/**
+ * Token Replacer FA - Auto Assign Service
+ * Picks art for NPC tokens as they are dropped on a scene
+ * @module services/AutoAssignService
+ */
+
+import { MODULE_ID } from '../core/Constants.js';
+import { getCreatureCacheKey, createDebugLogger, createDefaultGetSetting } from '../core/Utils.js';
+import { tokenService } from './TokenService.js';
+import { searchService } from './SearchService.js';
+import { indexService } from './IndexService.js';
+import { tvaCacheService } from './TVACacheService.js';
+import { choiceMemoryService } from './ChoiceMemoryService.js';
+import { variantAssignmentService } from './VariantAssignmentService.js';
+import { ScoringService } from './ScoringService.js';
+
+/**
+ * AutoAssignService - Decides what to do with a freshly created token
+ *
+ * Uses the remembered choice for the creature if there is one, assigned as if the
+ * dropped token were the last of the creature's tokens on its scene (so sequential,
+ * spread and name-number modes continue from the tokens already placed); otherwise
+ * searches the prebuilt index (or TVA cache) and returns either a path to apply
+ * straight away, when autoReplace is on and the best match reaches the
+ * auto-replace confidence, or the matches for a quick pick.
+ * Tasks run one at a time so dropping several tokens at once does not stack
+ * pickers or run concurrent searches.
+ */
+export class AutoAssignService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(string, string): *} [deps.getSetting] - Settings accessor (default: game.settings.get)
+   * @param {function(): Object} [deps.getUser] - Current user accessor (default: game.user)
+   * @param {Object} [deps.tokenService] - Token service instance (default: imported singleton)
+   * @param {Object} [deps.searchService] - Search service instance (default: imported singleton)
+   * @param {Object} [deps.indexService] - Index service instance (default: imported singleton)
+   * @param {Object} [deps.tvaCacheService] - TVA cache service instance (default: imported singleton)
+   * @param {Object} [deps.choiceMemoryService] - Choice memory service instance (default: imported singleton)
+   * @param {Object} [deps.variantAssignmentService] - Variant assignment service instance (default: imported singleton)
+   * @param {Object} [deps.scoringService] - Scoring service (default: one reading the same settings)
+   */
+  constructor(deps = {}) {
+    const {
+      getSetting = createDefaultGetSetting(),
+      getUser = () => game.user,
+      tokenService: injectedTokenService = tokenService,
+      searchService: injectedSearchService = searchService,
+      indexService: injectedIndexService = indexService,
+      tvaCacheService: injectedTVACacheService = tvaCacheService,
+      choiceMemoryService: injectedChoiceMemoryService = choiceMemoryService,
+      variantAssignmentService: injectedVariantAssignmentService = variantAssignmentService,
+      scoringService: injectedScoringService = new ScoringService({ getSetting }),
+    } = deps;
+
+    this._getSetting = getSetting;
+    this._getUser = getUser;
+    this._tokenService = injectedTokenService;
+    this._searchService = injectedSearchService;
+    this._indexService = injectedIndexService;
+    this._tvaCacheService = injectedTVACacheService;
+    this._choiceMemoryService = injectedChoiceMemoryService;
+    this._variantAssignmentService = injectedVariantAssignmentService;
+    this._scoringService = injectedScoringService;
+    this._queue = Promise.resolve();
+    this._debugLog = createDebugLogger('AutoAssignService');
+  }
+
+  /**
+   * Whether a search source is ready without scanning (drops must stay fast)
+   * @returns {boolean} True if the image index is built or the TVA cache is loaded
+   */
+  isSearchReady() {
+    return !!(this._indexService?.isBuilt || this._tvaCacheService?.isTVACacheLoaded);
+  }
+
+  /**
+   * Check whether a created token should get art assigned
+   * Only the GM who created the token handles it, so other clients never duplicate the work.
+   * @param {TokenDocument} tokenDoc - Created token document
+   * @param {string} userId - ID of the user who created the token
+   * @returns {boolean} True if the token should be processed
+   */
+  shouldHandle(tokenDoc, userId) {
+    if (!this._getSetting(MODULE_ID, 'autoAssignOnCreate')) return false;
+    const user = this._getUser();
+    if (!user?.isGM || user.id !== userId) return false;
+    return this._tokenService.isEligibleActor(/** @type {any} */ (tokenDoc)?.actor);
+  }
+
+  /**
+   * Decide between applying the best match and asking the user
+   * @param {Array<{path: string, score?: number}>} matches - Matches, best first
+   * @returns {{action: 'apply'|'pick'|'none', path: string|null}} Decision and best path
+   */
+  decide(matches) {
+    const best = matches?.[0];
+    if (!best) return { action: 'none', path: null };
+
+    const autoReplace = this._getSetting(MODULE_ID, 'autoReplace');
+    const action = autoReplace && this._scoringService.meetsAutoReplace(best) ? 'apply' : 'pick';
+    this._debugLog(
+      `Best match confidence ${this._scoringService.getConfidence(best).toFixed(2)}: ${action}`
+    );
+    return { action, path: best.path };
+  }
+
+  /**
+   * Search art for a target and decide what to do with it
+   * @param {import('../types/typedefs.js').SceneTokenTarget} target - Token-shaped target
+   * @returns {Promise<{creatureInfo: import('../types/typedefs.js').CreatureInfo|null, matches: Array, action: 'apply'|'pick'|'none', path: string|null}>} Search outcome
+   */
+  async resolveMatch(target) {
+    const creatureInfo = this._tokenService.extractCreatureInfo(target);
+    if (!creatureInfo) {
+      return { creatureInfo: null, matches: [], action: 'none', path: null };
+    }
+
+    const remembered = this._choiceMemoryService.recall(creatureInfo, target.actor);
+    if (remembered) {
+      const { paths, mode, weights } = remembered;
+      const tokens = [...this._getPlacedTokens(target, creatureInfo), target];
+      const path = this._variantAssignmentService.assign(tokens, paths, mode, { weights }).at(-1);
+      this._debugLog(`Using remembered art for "${creatureInfo.actorName}"`);
+      return { creatureInfo, matches: [], action: 'apply', path };
+    }
+
+    if (!this.isSearchReady()) {
+      this._debugLog(`Index not ready, skipping "${creatureInfo.actorName}"`);
+      return { creatureInfo, matches: [], action: 'none', path: null };
+    }
+
+    const matches = await this._searchService.searchTokenArt(creatureInfo);
+    return { creatureInfo, matches, ...this.decide(matches) };
+  }
+
+  /**
+   * Get the other tokens of a creature on the target's scene, in creation order
+   * @param {import('../types/typedefs.js').SceneTokenTarget} target - Dropped token target
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info of the target
+   * @returns {import('../types/typedefs.js').SceneTokenTarget[]} Targets for the placed tokens
+   * @private
+   */
+  _getPlacedTokens(target, creatureInfo) {
+    const key = getCreatureCacheKey(creatureInfo);
+    return this._tokenService.getSceneTokenTargets(target.document?.parent).filter((other) => {
+      if (other.id === target.id) return false;
+      const info = this._tokenService.extractCreatureInfo(other);
+      return !!info && getCreatureCacheKey(info) === key;
+    });
+  }
+
+  /**
+   * Run a task after all previously queued tasks have settled
+   * A failed task does not stop the queue; its error is left to the caller to report.
+   * @param {function(): Promise<*>} task - Task to run
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+}
+
+// Export singleton instance
+export const autoAssignService = new AutoAssignService();
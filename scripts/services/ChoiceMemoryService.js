@@ -0,0 +1,171 @@
+/**
+ * Token Replacer FA - Choice Memory Service
+ * Remembers the art a GM picked for a creature so later runs can reuse it
+ * @module services/ChoiceMemoryService
+ */
+
+import { MODULE_ID } from '../core/Constants.js';
+import {
+  getCreatureCacheKey,
+  stripNameNumbering,
+  createDebugLogger,
+  createDefaultGetSetting,
+} from '../core/Utils.js';
+
+/** World setting key holding the remembered choices */
+const MEMORY_SETTING = 'rememberedArt';
+
+/**
+ * ChoiceMemoryService - World-level mapping of creatures to picked art
+ *
+ * A choice is stored under up to two keys: the actor's compendium source
+ * (so every copy imported from the same compendium entry shares it) and the
+ * creature cache key from getCreatureCacheKey() (so actors with the same name
+ * and type share it). recall() prefers the source key. A creature named after its
+ * token instead of its actor (a "Bandit Captain" group split off the Bandit actor) has
+ * only the creature key, so it never shares art with the rest of the actor's tokens.
+ * @example
+ * const remembered = choiceMemoryService.recall(creatureInfo, token.actor);
+ * if (!remembered) {
+ *   const { paths, mode } = await pickArt();
+ *   await choiceMemoryService.remember(creatureInfo, token.actor, paths, mode);
+ * }
+ */
+export class ChoiceMemoryService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(string, string): *} [deps.getSetting] - Settings accessor (default: game.settings.get)
+   * @param {function(string, string, *): Promise<*>} [deps.setSetting] - Settings mutator (default: game.settings.set)
+   */
+  constructor(deps = {}) {
+    const {
+      getSetting = createDefaultGetSetting(),
+      setSetting = (moduleId, key, value) =>
+        game.settings.set(/** @type {any} */ (moduleId), /** @type {any} */ (key), value),
+    } = deps;
+
+    this._getSetting = getSetting;
+    this._setSetting = setSetting;
+    this._debugLog = createDebugLogger('ChoiceMemoryService');
+  }
+
+  /**
+   * Whether remembering choices is enabled
+   * @returns {boolean} Value of the rememberChoices setting
+   */
+  get isEnabled() {
+    return this._getSetting(MODULE_ID, 'rememberChoices') !== false;
+  }
+
+  /**
+   * Get the compendium entry an actor was imported from
+   * Compendium actors are their own source.
+   * @param {Actor|null} actor - World, synthetic or compendium actor
+   * @returns {string|null} Source UUID or null
+   */
+  getSourceId(actor) {
+    /** @type {any} */
+    const a = actor;
+    if (!a) return null;
+    if (a.pack || a.uuid?.startsWith('Compendium.')) return a.uuid ?? null;
+    return a._stats?.compendiumSource ?? a.flags?.core?.sourceId ?? null;
+  }
+
+  /**
+   * Get the memory keys for a creature, most specific first
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {Actor|null} actor - Actor the creature info was read from
+   * @returns {string[]} Memory keys
+   */
+  getKeys(creatureInfo, actor) {
+    const keys = [];
+    const sourceId = this.getSourceId(actor);
+    const namedAfterActor =
+      stripNameNumbering(creatureInfo.actorName).toLowerCase() ===
+      stripNameNumbering(actor?.name).toLowerCase();
+    if (sourceId && namedAfterActor) keys.push(`source:${sourceId}`);
+    keys.push(`creature:${getCreatureCacheKey(creatureInfo)}`);
+    return keys;
+  }
+
+  /**
+   * Look up the remembered choice for a creature
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {Actor|null} actor - Actor the creature info was read from
+   * @returns {import('../types/typedefs.js').RememberedChoice|null} Remembered choice or null
+   */
+  recall(creatureInfo, actor) {
+    if (!this.isEnabled) return null;
+    const memory = this._getMemory();
+    for (const key of this.getKeys(creatureInfo, actor)) {
+      const choice = memory[key];
+      if (choice?.paths?.length > 0) {
+        this._debugLog(`Recalled ${key} for "${creatureInfo.actorName}"`);
+        return choice;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remember the art picked for a creature
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {Actor|null} actor - Actor the creature info was read from
+   * @param {string[]} paths - Picked image paths
+   * @param {string} [mode='sequential'] - Assignment mode used with the paths
+   * @param {number[]|null} [weights=null] - Weight per path, kept for weighted mode
+   * @returns {Promise<void>}
+   */
+  async remember(creatureInfo, actor, paths, mode = 'sequential', weights = null) {
+    if (!this.isEnabled || !paths?.length) return;
+    const choice = {
+      paths: [...paths],
+      mode,
+      label: creatureInfo.actorName,
+      timestamp: Date.now(),
+    };
+    if (mode === 'weighted' && weights?.length === paths.length) choice.weights = [...weights];
+    const memory = { ...this._getMemory() };
+    for (const key of this.getKeys(creatureInfo, actor)) {
+      memory[key] = choice;
+    }
+    await this._setSetting(MODULE_ID, MEMORY_SETTING, memory);
+    this._debugLog(`Remembered ${paths.length} path(s) for "${creatureInfo.actorName}"`);
+  }
+
+  /**
+   * Forget the remembered choice for a creature
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {Actor|null} actor - Actor the creature info was read from
+   * @returns {Promise<void>}
+   */
+  async forget(creatureInfo, actor) {
+    const memory = { ...this._getMemory() };
+    for (const key of this.getKeys(creatureInfo, actor)) {
+      delete memory[key];
+    }
+    await this._setSetting(MODULE_ID, MEMORY_SETTING, memory);
+  }
+
+  /**
+   * Forget every remembered choice
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._setSetting(MODULE_ID, MEMORY_SETTING, {});
+    console.log(`${MODULE_ID} | Remembered art choices cleared`);
+  }
+
+  /**
+   * Read the persisted mapping
+   * @returns {Object<string, import('../types/typedefs.js').RememberedChoice>} Choices by key
+   * @private
+   */
+  _getMemory() {
+    const memory = this._getSetting(MODULE_ID, MEMORY_SETTING);
+    return memory && typeof memory === 'object' ? memory : {};
+  }
+}
+
+// Export singleton instance
+export const choiceMemoryService = new ChoiceMemoryService();
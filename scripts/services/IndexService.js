@@ -10,19 +10,94 @@ import {
   CREATURE_TYPE_MAPPINGS,
   EXCLUDED_FOLDERS,
   EXCLUDED_FILENAME_TERMS,
+  MAX_TERM_SUGGESTIONS,
+  FA_WEAPON_TERMS,
+  CREATURE_NAME_VOCABULARY,
 } from '../core/Constants.js';
 import {
   extractPathFromTVAResult,
   extractNameFromTVAResult,
   isExcludedPath,
+  getWordForms,
+  editDistance,
+  parseSearchQuery,
+  parseTokenFilename,
   createModuleError,
   createDebugLogger,
   createDefaultGetSetting,
 } from '../core/Utils.js';
+import { TermTrie } from '../core/TermTrie.js';
 import { storageService } from './StorageService.js';
 
 const CACHE_KEY = 'token-replacer-fa-index-v3';
-const INDEX_VERSION = 14; // v2.10.0: Added termIndex for O(1) search term lookups
+const INDEX_VERSION = 16; // Added parsed filename attributes to allPaths
+
+/** Shortest search token matched by edit distance; shorter ones are too ambiguous */
+const FUZZY_MIN_LENGTH = 5;
+
+/** Tokens this long tolerate two edits instead of one */
+const FUZZY_TWO_EDIT_LENGTH = 8;
+
+/** Shortest part on either side of a compound split ("mindflayer" → "mind" + "flayer") */
+const COMPOUND_MIN_PART = 3;
+
+/** Shortest search token completed as a prefix ("gob" → "goblin") when nothing else matches */
+const PREFIX_MIN_LENGTH = 3;
+
+/** Most index terms a prefix expands to, most common first */
+const PREFIX_MAX_TERMS = 20;
+
+/** Images sampled per name word when looking for related terms in suggestForName() */
+const RELATED_SAMPLE_PATHS = 200;
+
+/** Most creature categories suggested for a name */
+const MAX_CATEGORY_SUGGESTIONS = 3;
+
+/** BM25 term frequency saturation */
+const BM25_K1 = 1.2;
+
+/** BM25 length normalization: 0 ignores how many words a name has, 1 fully normalizes */
+const BM25_B = 0.75;
+
+/** Weight of a term found only in the folders of a path, relative to one in the file name */
+const FOLDER_TERM_WEIGHT = 0.3;
+
+/**
+ * Trigrams of a term with start and end markers, so edits near either end still share one
+ * @param {string} term - Index term or search token
+ * @returns {Set<string>} Trigrams
+ */
+function getTrigrams(term) {
+  const padded = `^${term}$`;
+  const grams = new Set();
+  for (let i = 0; i <= padded.length - 3; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+/**
+ * Keep only the paths present in both hit maps, merging their matched terms into target
+ * @param {Map<string, Set<string>>} target - Hits so far (mutated)
+ * @param {Map<string, Set<string>>} hits - Hits of the next clause
+ */
+function intersectHits(target, hits) {
+  for (const [path, terms] of target) {
+    const other = hits.get(path);
+    if (!other) target.delete(path);
+    else for (const term of other) terms.add(term);
+  }
+}
+
+/**
+ * Join neighbouring tokens so "mind flayer" also finds files named "mindflayer"
+ * @param {string[]} tokens - Tokens of one search term, in order
+ * @returns {string[]} Joined pairs that are not tokens themselves
+ */
+function joinAdjacentTokens(tokens) {
+  return tokens
+    .slice(1)
+    .map((token, i) => tokens[i] + token)
+    .filter((joined) => !/\d/.test(joined) && !tokens.includes(joined));
+}
 
 // Update frequency in milliseconds
 const UPDATE_FREQUENCIES = {
@@ -44,7 +119,7 @@ const UPDATE_FREQUENCIES = {
  *     beast: { wolf: [...], bear: [...] },
  *     ...
  *   },
- *   allPaths: { "path": { name, category, subcategories: [] } },
+ *   allPaths: { "path": { name, category, subcategories: [], attributes: {creature, variant, weapon, ...} } },
  *   termIndex: { "term": ["path1", "path2", ...] }
  * }
  */
@@ -66,6 +141,12 @@ export class IndexService {
     this.isBuilt = false;
     this.buildPromise = null;
     this.termCategoryMap = this.buildTermCategoryMap();
+    /** @type {{termIndex: Object, trigrams: Map<string, string[]>}|null} Built by _getTermTrigrams() */
+    this._termTrigrams = null;
+    /** @type {{termIndex: Object, trie: TermTrie}|null} Built by _getTermTrie() */
+    this._termTrie = null;
+    /** @type {{termIndex: Object, pathCount: number, avgNameLength: number}|null} Built by _getRankingStats() */
+    this._rankingStats = null;
     this.worker = null;
     this._workerInitialized = false;
     // Shared utilities
@@ -220,6 +301,45 @@ export class IndexService {
     return [...new Set(terms)];
   }
 
+  /**
+   * Get adjacent word pairs for phrase search ("hill giant")
+   * Pairs stay within one path segment (extension dropped) and skip numbers,
+   * so "Giants/Hill_Giant_01.webp" gives only "hill giant".
+   * Keep in sync with IndexWorker.js termIndex builder
+   * @param {string} text - Path or image name
+   * @returns {string[]} Unique "word word" pairs
+   */
+  tokenizeBigrams(text) {
+    if (!text) return [];
+    const pairs = new Set();
+    for (const segment of text.toLowerCase().split(/[/\\]+/)) {
+      const words = segment.replace(/\.[a-z0-9]{2,5}$/, '').split(/[-_\s.]+/);
+      for (let i = 1; i < words.length; i++) {
+        const [first, second] = [words[i - 1], words[i]];
+        if (first && second && !/^\d+$/.test(first) && !/^\d+$/.test(second)) {
+          pairs.add(`${first} ${second}`);
+        }
+      }
+    }
+    return [...pairs];
+  }
+
+  /**
+   * Get every termIndex key for an image: its words and its adjacent word pairs
+   * @param {string} path - Image path
+   * @param {string} name - Image name
+   * @returns {string[]} Unique terms
+   */
+  getIndexTerms(path, name) {
+    return [
+      ...new Set([
+        ...this.tokenizeSearchText(`${path} ${name}`),
+        ...this.tokenizeBigrams(path),
+        ...this.tokenizeBigrams(name),
+      ]),
+    ];
+  }
+
   /**
    * Load index from storage
    * @returns {Promise<boolean>} True if loaded successfully
@@ -258,7 +378,7 @@ export class IndexService {
         console.log(`${MODULE_ID} | Rebuilding termIndex from cached allPaths...`);
         this.index.termIndex = {};
         for (const [path, pathData] of Object.entries(this.index.allPaths)) {
-          const searchTerms = this.tokenizeSearchText(`${path} ${pathData.name}`);
+          const searchTerms = this.getIndexTerms(path, pathData.name);
           for (const term of searchTerms) {
             if (!this.index.termIndex[term]) {
               this.index.termIndex[term] = [];
@@ -384,13 +504,17 @@ export class IndexService {
         name: imageName,
         category: category || null,
         subcategories: subcategories || [],
+        attributes: parseTokenFilename(path),
       };
 
       // Populate termIndex for O(1) search term lookups
-      const searchTerms = this.tokenizeSearchText(`${path} ${imageName}`);
+      const searchTerms = this.getIndexTerms(path, imageName);
+      this._rankingStats = null;
+      this._termTrie = null;
       for (const term of searchTerms) {
         if (!this.index.termIndex[term]) {
           this.index.termIndex[term] = [];
+          this._termTrigrams = null;
         }
         this.index.termIndex[term].push(path);
       }
@@ -1014,6 +1138,8 @@ export class IndexService {
             creatureTypeMappings: CREATURE_TYPE_MAPPINGS,
             excludedFolders: EXCLUDED_FOLDERS,
             excludedFilenameTerms: EXCLUDED_FILENAME_TERMS,
+            weaponTerms: FA_WEAPON_TERMS,
+            sizeTerms: CREATURE_NAME_VOCABULARY.sizes,
           },
         });
       } catch (error) {
@@ -1505,6 +1631,8 @@ export class IndexService {
 
   /**
    * Search by term across all categories using O(1) termIndex lookup
+   * Returns images matching any word of the term, most relevant first (see _rankResults);
+   * use searchQuery() to require all words.
    * @param {string} term - Search term
    * @returns {Array} Matching images
    */
@@ -1524,32 +1652,12 @@ export class IndexService {
     try {
       const termLower = term.toLowerCase();
       const tokens = this.tokenizeSearchText(termLower);
-      const seenPaths = new Set();
-      const results = [];
 
       this._debugLog(`Searching for term: "${term}" (tokens: ${tokens.join(', ')})`);
 
-      // O(1) lookup in termIndex for each token
-      for (const token of tokens) {
-        const paths = this.index.termIndex[token];
-        if (paths) {
-          for (const path of paths) {
-            if (!seenPaths.has(path)) {
-              seenPaths.add(path);
-              const data = this.index.allPaths[path];
-              if (data) {
-                results.push({
-                  path,
-                  name: data.name,
-                  source: 'index',
-                  category: data.category,
-                });
-              }
-            }
-          }
-        }
-      }
-
+      const results = this._rankResults(
+        this._collectTermMatches(tokens, joinAdjacentTokens(tokens))
+      );
       this._debugLog(`Found ${results.length} results for term: "${term}"`);
       return results;
     } catch (error) {
@@ -1561,7 +1669,7 @@ export class IndexService {
   /**
    * Search multiple terms (OR logic) - optimized to use termIndex directly
    * @param {string[]} terms - Search terms
-   * @returns {Array} Combined results
+   * @returns {Array} Combined results, most relevant first
    */
   searchMultiple(terms) {
     // Validate terms parameter
@@ -1577,17 +1685,18 @@ export class IndexService {
     }
 
     try {
-      const seenPaths = new Set();
-      const results = [];
-
       // Tokenize all terms once and collect unique tokens
       const allTokens = new Set();
+      const joinedTokens = new Set();
       for (const term of terms) {
         if (term && typeof term === 'string') {
           const tokens = this.tokenizeSearchText(term.toLowerCase());
           for (const token of tokens) {
             allTokens.add(token);
           }
+          for (const joined of joinAdjacentTokens(tokens)) {
+            joinedTokens.add(joined);
+          }
         }
       }
 
@@ -1595,35 +1704,526 @@ export class IndexService {
         `Searching for multiple terms: [${terms.join(', ')}] (${allTokens.size} unique tokens)`
       );
 
-      // O(1) lookup in termIndex for each unique token
-      for (const token of allTokens) {
-        const paths = this.index.termIndex[token];
-        if (paths) {
-          for (const path of paths) {
-            if (!seenPaths.has(path)) {
-              seenPaths.add(path);
-              const data = this.index.allPaths[path];
-              if (data) {
-                results.push({
-                  path,
-                  name: data.name,
-                  source: 'index',
-                  category: data.category,
-                });
-              }
-            }
+      const results = this._rankResults(this._collectTermMatches(allTokens, joinedTokens));
+
+      this._debugLog(`Found ${results.length} results for multiple terms`);
+      return results;
+    } catch (error) {
+      this._debugLog('Error searching multiple terms:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Search with a query: words ANDed, OR between alternatives, -word exclusions, "quoted phrases"
+   * Words are looked up like search() does (plurals, compounds, typos); phrases use
+   * the adjacent word pairs in termIndex. Results with neighbouring query words also
+   * adjacent in the image come first, so "hill giant" ranks Hill_Giant above
+   * Giants/Hill_Top_Giant. A group of only exclusions matches nothing here, since
+   * termIndex cannot list "everything except".
+   * @param {string|import('../types/typedefs.js').SearchQuery} query - Query text (see parseSearchQuery) or a parsed query
+   * @returns {Array<{path: string, name: string, source: string, category: string, matchedTokens: string[], relevance: number, score: number, adjacency: number}>} Matching images
+   */
+  searchQuery(query) {
+    if (!this.isBuilt || !this.index?.allPaths || !this.index?.termIndex) {
+      this._debugLog('Index not built or incomplete, cannot run query');
+      return [];
+    }
+
+    const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+    if (!parsed?.groups?.length) return [];
+
+    try {
+      /** @type {Map<string, {terms: Set<string>, adjacency: number}>} */
+      const merged = new Map();
+      for (const group of parsed.groups) {
+        if (group.include.length === 0) continue;
+
+        let matched = null;
+        for (const clause of group.include) {
+          const hits = this._matchClause(clause);
+          if (matched) intersectHits(matched, hits);
+          else matched = hits;
+          if (matched.size === 0) break;
+        }
+        for (const clause of group.exclude) {
+          if (matched.size === 0) break;
+          for (const path of this._matchClause(clause).keys()) matched.delete(path);
+        }
+
+        const pairHits = group.include
+          .slice(1)
+          .map((clause, i) => [group.include[i], clause])
+          .filter(([first, second]) => !first.phrase && !second.phrase)
+          .map(([first, second]) => this._matchPhrase([first.words[0], second.words[0]]));
+
+        for (const [path, terms] of matched) {
+          let adjacency = 0;
+          for (const hits of pairHits) {
+            const pairTerms = hits.get(path);
+            if (!pairTerms) continue;
+            adjacency++;
+            for (const term of pairTerms) terms.add(term);
+          }
+          const existing = merged.get(path);
+          if (existing) {
+            for (const term of terms) existing.terms.add(term);
+            existing.adjacency = Math.max(existing.adjacency, adjacency);
+          } else {
+            merged.set(path, { terms, adjacency });
           }
         }
       }
 
-      this._debugLog(`Found ${results.length} results for multiple terms`);
+      const results = [];
+      for (const [path, { terms, adjacency }] of merged) {
+        const data = this.index.allPaths[path];
+        if (!data) continue;
+        results.push({
+          path,
+          name: data.name,
+          source: 'index',
+          category: data.category,
+          matchedTokens: [...terms],
+          relevance: 0, // relevance and score are set by _rankResults()
+          score: 0,
+          adjacency,
+        });
+      }
+      // Stable sort: adjacent matches first, by relevance otherwise
+      this._rankResults(results).sort((a, b) => b.adjacency - a.adjacency);
+
+      this._debugLog(`Query matched ${results.length} results`);
       return results;
     } catch (error) {
-      this._debugLog('Error searching multiple terms:', error);
+      this._debugLog('Error running query:', error);
       return [];
     }
   }
 
+  /**
+   * Suggest index terms completing what the user is typing, most common first
+   * Word pairs are included, so "gob" suggests "goblin" as well as "goblin boss".
+   * @param {string} prefix - Start of a word
+   * @param {number} [limit=MAX_TERM_SUGGESTIONS] - Maximum suggestions
+   * @returns {string[]} Index terms starting with the prefix (none if the index is not built)
+   */
+  suggestTerms(prefix, limit = MAX_TERM_SUGGESTIONS) {
+    if (!this.isBuilt || !this.index?.termIndex) return [];
+    const prefixLower = typeof prefix === 'string' ? prefix.trim().toLowerCase() : '';
+    if (!prefixLower) return [];
+    return this._getTermTrie().complete(prefixLower, limit, (term) => !/^\d+$/.test(term));
+  }
+
+  /**
+   * Suggest index terms and creature categories for a name that found no images
+   * Terms come from each word of the name: the word itself if indexed, or else its
+   * closest indexed words (plural, compound, prefix or typo, as in search()), then the
+   * words most often found on the same images ("bog" → "swamp"), skipping words on
+   * half the library or more. Categories are ranked by how many CREATURE_TYPE_MAPPINGS
+   * entries share a word with the name ("horror" → aberration, from hook horror) plus
+   * how many of the images found they hold; the mappings work without a built index.
+   * @param {string} name - Actor name
+   * @param {number} [limit=MAX_TERM_SUGGESTIONS] - Maximum terms
+   * @returns {{terms: string[], categories: string[]}} Suggestions, best first
+   */
+  suggestForName(name, limit = MAX_TERM_SUGGESTIONS) {
+    const words = [
+      ...new Set(
+        (typeof name === 'string' ? name : '')
+          .toLowerCase()
+          .split(/[^\p{L}\p{N}]+/u)
+          .filter((word) => word.length >= PREFIX_MIN_LENGTH && !/\d/.test(word))
+      ),
+    ];
+    const categoryCounts = new Map();
+    const countCategory = (category) => {
+      if (category) categoryCounts.set(category, (categoryCounts.get(category) ?? 0) + 1);
+    };
+    for (const word of words) {
+      const forms = new Set([word, ...getWordForms(word)]);
+      for (const [term, { category }] of this.termCategoryMap) {
+        if (term.split(/[\s-]+/).some((part) => forms.has(part))) countCategory(category);
+      }
+    }
+    const byCount = (counts) =>
+      [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+
+    const terms = new Set();
+    if (this.isBuilt && this.index?.allPaths && this.index?.termIndex) {
+      const termIndex = this.index.termIndex;
+      const { pathCount } = this._getRankingStats();
+      const sampled = new Set();
+      for (const word of words) {
+        for (const { terms: hitTerms, paths } of this._lookupToken(word)) {
+          hitTerms.forEach((term) => terms.add(term));
+          for (const path of paths.slice(0, RELATED_SAMPLE_PATHS)) sampled.add(path);
+        }
+      }
+
+      const related = new Map();
+      for (const path of sampled) {
+        const data = this.index.allPaths[path];
+        if (!data) continue;
+        countCategory(data.category);
+        for (const term of this.tokenizeSearchText(`${path} ${data.name}`)) {
+          if (
+            terms.has(term) ||
+            words.includes(term) ||
+            term.length < PREFIX_MIN_LENGTH ||
+            /\d/.test(term) ||
+            Object.hasOwn(CREATURE_TYPE_MAPPINGS, term) ||
+            (termIndex[term]?.length ?? 0) * 2 >= pathCount
+          ) {
+            continue;
+          }
+          related.set(term, (related.get(term) ?? 0) + 1);
+        }
+      }
+
+      byCount(related).forEach((term) => terms.add(term));
+    }
+
+    this._debugLog(`Suggestions for "${name}": ${[...terms].join(', ')}`);
+    return {
+      terms: [...terms].slice(0, limit),
+      categories: byCount(categoryCounts).slice(0, MAX_CATEGORY_SUGGESTIONS),
+    };
+  }
+
+  /**
+   * Get the attributes parsed from an image filename (creature, variant, weapon, size)
+   * Indexed images return what was stored at indexing; other paths are parsed on the spot.
+   * @param {string} path - Image path
+   * @returns {import('../types/typedefs.js').ImageAttributes|null} Attributes, or null if
+   *   the filename names no creature
+   */
+  getImageAttributes(path) {
+    if (!path || typeof path !== 'string') return null;
+    const data = this.index?.allPaths?.[path];
+    return data?.attributes !== undefined ? data.attributes : parseTokenFilename(path);
+  }
+
+  /**
+   * Keep the results whose filename attributes match every given criterion
+   * Comparisons ignore case; a weapon matches any of an image's weapons, so
+   * { weapon: 'shield' } keeps "Orc_A2_Longsword_Shield_01". Results without
+   * attributes are dropped as soon as any criterion is given.
+   * @param {Array<{path: string}>} results - Results from any search source
+   * @param {{creature?: string, variant?: string, variantLetter?: string, weapon?: string, size?: string}} criteria - Wanted attributes
+   * @returns {Array} Matching results, in their original order
+   */
+  filterByAttributes(results, criteria = {}) {
+    const wanted = Object.entries(criteria)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => [key, String(value).toLowerCase()]);
+    if (!Array.isArray(results) || wanted.length === 0) return results ?? [];
+
+    return results.filter((result) => {
+      const attributes = this.getImageAttributes(result?.path);
+      if (!attributes) return false;
+      return wanted.every(([key, value]) => {
+        const actual = attributes[key]?.toString().toLowerCase();
+        if (!actual) return false;
+        return key === 'weapon' ? actual.split(' ').includes(value) : actual === value;
+      });
+    });
+  }
+
+  /**
+   * Find the images matching one query clause
+   * @param {import('../types/typedefs.js').QueryClause} clause - Word or phrase
+   * @returns {Map<string, Set<string>>} Matched index terms by path
+   * @private
+   */
+  _matchClause(clause) {
+    if (clause.phrase) return this._matchPhrase(clause.words);
+    const hits = new Map();
+    for (const { terms, paths } of this._lookupToken(clause.words[0])) {
+      for (const path of paths) {
+        const pathTerms = hits.get(path);
+        if (pathTerms) terms.forEach((term) => pathTerms.add(term));
+        else hits.set(path, new Set(terms));
+      }
+    }
+    return hits;
+  }
+
+  /**
+   * Find the images containing words next to each other
+   * Every neighbouring pair must be a word pair in termIndex, each word in any
+   * singular/plural form ("red dragons" finds "red dragon"). Numbers are ignored,
+   * and a phrase with a single remaining word is looked up as a word.
+   * @param {string[]} words - Phrase words in order
+   * @returns {Map<string, Set<string>>} Matched word pairs by path
+   * @private
+   */
+  _matchPhrase(words) {
+    const phraseWords = words.filter((word) => !/^\d+$/.test(word));
+    if (phraseWords.length < 2) {
+      return phraseWords.length === 1
+        ? this._matchClause({ words: phraseWords, phrase: false })
+        : new Map();
+    }
+
+    const termIndex = this.index.termIndex;
+    let matched = null;
+    for (let i = 1; i < phraseWords.length; i++) {
+      const hits = new Map();
+      for (const first of [phraseWords[i - 1], ...getWordForms(phraseWords[i - 1])]) {
+        for (const second of [phraseWords[i], ...getWordForms(phraseWords[i])]) {
+          const pair = `${first} ${second}`;
+          if (!Object.hasOwn(termIndex, pair)) continue;
+          for (const path of termIndex[pair]) {
+            const pathTerms = hits.get(path);
+            if (pathTerms) pathTerms.add(pair);
+            else hits.set(path, new Set([pair]));
+          }
+        }
+      }
+      if (matched) intersectHits(matched, hits);
+      else matched = hits;
+      if (matched.size === 0) break;
+    }
+    return matched;
+  }
+
+  /**
+   * Look up tokens in termIndex and build one result per path
+   * Each result lists the index terms that hit it in matchedTokens, so the match
+   * explanation can show why an image was found (e.g. "wolf" for the token "wolves").
+   * @param {Iterable<string>} tokens - Search tokens
+   * @param {Iterable<string>} [joinedTokens=[]] - Neighbouring tokens joined together, matched without typo tolerance
+   * @returns {Array<{path: string, name: string, source: string, category: string, matchedTokens: string[]}>} Results in lookup order
+   * @private
+   */
+  _collectTermMatches(tokens, joinedTokens = []) {
+    const byPath = new Map();
+    const addHit = ({ terms, paths }) => {
+      for (const path of paths) {
+        const existing = byPath.get(path);
+        if (existing) {
+          for (const term of terms) {
+            if (!existing.matchedTokens.includes(term)) existing.matchedTokens.push(term);
+          }
+          continue;
+        }
+        const data = this.index.allPaths[path];
+        if (data) {
+          byPath.set(path, {
+            path,
+            name: data.name,
+            source: 'index',
+            category: data.category,
+            matchedTokens: [...terms],
+          });
+        }
+      }
+    };
+
+    for (const token of tokens) this._lookupToken(token).forEach(addHit);
+    for (const token of joinedTokens) this._lookupToken(token, false).forEach(addHit);
+    return [...byPath.values()];
+  }
+
+  /**
+   * Score results by BM25 relevance of their matched terms and sort them best first
+   * Rare terms weigh more than common ones: "goblin" on 40 images counts far more
+   * than "token" or "fa" on nearly all of them. A term in the file name counts fully,
+   * one only in a parent folder FOLDER_TERM_WEIGHT, and long file names are normalized
+   * against the average (BM25_B), so Goblin.webp outranks Goblins/Camp_Fire.webp.
+   * Ties keep lookup order.
+   * @param {Array<{path: string, name: string, matchedTokens: string[], relevance?: number, score?: number}>} results -
+   *   Results to rank (mutated)
+   * @returns {Array} The same results with `relevance` (raw BM25) and `score` (0 for the
+   *   best, up to 1 for the least relevant, lower is better as with Fuse), sorted
+   * @private
+   */
+  _rankResults(results) {
+    if (results.length === 0) return results;
+    const termIndex = this.index.termIndex;
+    const { pathCount, avgNameLength } = this._getRankingStats();
+
+    for (const result of results) {
+      const fileName = result.path.split('/').pop();
+      const nameTerms = new Set(this.getIndexTerms(fileName, result.name));
+      const lengthNorm =
+        1 - BM25_B + (BM25_B * this.tokenizeSearchText(result.name).length) / avgNameLength;
+
+      let relevance = 0;
+      for (const term of result.matchedTokens) {
+        // Count singular and plural together, so "bandits" is no rarer than "bandit"
+        const docCount = Math.min(
+          [term, ...getWordForms(term)].reduce(
+            (sum, form) => sum + (Object.hasOwn(termIndex, form) ? termIndex[form].length : 0),
+            0
+          ),
+          pathCount
+        );
+        const idf = Math.log(1 + (pathCount - docCount + 0.5) / (docCount + 0.5));
+        const tf = nameTerms.has(term) ? 1 : FOLDER_TERM_WEIGHT;
+        relevance += (idf * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+      }
+      result.relevance = Math.round(relevance * 1000) / 1000;
+    }
+
+    results.sort((a, b) => b.relevance - a.relevance);
+    const best = results[0].relevance;
+    for (const result of results) {
+      result.score = best > 0 ? Math.round((1 - result.relevance / best) * 1000) / 1000 : 0;
+    }
+    return results;
+  }
+
+  /**
+   * Find the index terms for one search token
+   * Tries, stopping at the first step that finds anything:
+   * 1. The token and its singular/plural forms ("wolves" → "wolf"), all O(1) lookups
+   * 2. The token split into two index terms, keeping paths with both ("mindflayer" → "mind" + "flayer")
+   * 3. The index terms starting with the token ("gob" → "goblin", "goblins"), up to
+   *    PREFIX_MAX_TERMS of the most common, through the term trie
+   * 4. The closest index terms by edit distance ("gobiln" → "goblin"), found through
+   *    the trigram index so only terms sharing a trigram are compared
+   * @param {string} token - Lowercase search token
+   * @param {boolean} [tolerant=true] - Allow steps 2 to 4
+   * @returns {Array<{terms: string[], paths: string[]}>} Matched index terms with their paths
+   * @private
+   */
+  _lookupToken(token, tolerant = true) {
+    const termIndex = this.index.termIndex;
+    const pathsOf = (term) => (Object.hasOwn(termIndex, term) ? termIndex[term] : null);
+
+    const words = [token, ...getWordForms(token)];
+    const hits = words.filter(pathsOf).map((word) => ({ terms: [word], paths: pathsOf(word) }));
+    if (hits.length > 0 || !tolerant) return hits;
+
+    for (const word of words) {
+      for (let i = COMPOUND_MIN_PART; i <= word.length - COMPOUND_MIN_PART; i++) {
+        const left = word.slice(0, i);
+        const right = word.slice(i);
+        const leftPaths = pathsOf(left);
+        const rightPaths = leftPaths && pathsOf(right);
+        if (!rightPaths) continue;
+        const inRight = new Set(rightPaths);
+        const paths = leftPaths.filter((path) => inRight.has(path));
+        if (paths.length > 0) hits.push({ terms: [left, right], paths });
+      }
+    }
+    if (hits.length > 0 || token.length < PREFIX_MIN_LENGTH || /\d/.test(token)) return hits;
+
+    const completions = this._getTermTrie().complete(
+      token,
+      PREFIX_MAX_TERMS,
+      (term) => !term.includes(' ')
+    );
+    if (completions.length > 0) {
+      return completions.map((term) => ({ terms: [term], paths: termIndex[term] }));
+    }
+    if (token.length < FUZZY_MIN_LENGTH) return hits;
+
+    return this._findSimilarTerms(token).map((term) => ({ terms: [term], paths: termIndex[term] }));
+  }
+
+  /**
+   * Find the index terms closest to a token by edit distance
+   * Tolerates one edit, or two for tokens of FUZZY_TWO_EDIT_LENGTH or more characters.
+   * @param {string} token - Lowercase search token
+   * @returns {string[]} All terms at the smallest distance found, or none if beyond tolerance
+   * @private
+   */
+  _findSimilarTerms(token) {
+    const maxDistance = token.length >= FUZZY_TWO_EDIT_LENGTH ? 2 : 1;
+    const trigrams = this._getTermTrigrams();
+    const candidates = new Set();
+    for (const gram of getTrigrams(token)) {
+      for (const term of trigrams.get(gram) ?? []) candidates.add(term);
+    }
+
+    let bestDistance = maxDistance + 1;
+    let best = [];
+    for (const term of candidates) {
+      const distance = editDistance(token, term, maxDistance);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = [term];
+      } else if (distance === bestDistance && distance <= maxDistance) {
+        best.push(term);
+      }
+    }
+    if (best.length > 0) {
+      this._debugLog(
+        `No exact term for "${token}", using ${best.join(', ')} (edit distance ${bestDistance})`
+      );
+    }
+    return best;
+  }
+
+  /**
+   * Get the trigram index over termIndex terms, rebuilding it after termIndex changed
+   * Derived data kept in memory only, so the cached index format is unchanged.
+   * Terms shorter than FUZZY_MIN_LENGTH - 1, word pairs and terms with digits are left out.
+   * @returns {Map<string, string[]>} Terms by trigram
+   * @private
+   */
+  _getTermTrigrams() {
+    const termIndex = this.index.termIndex;
+    if (this._termTrigrams?.termIndex === termIndex) return this._termTrigrams.trigrams;
+
+    const trigrams = new Map();
+    for (const term of Object.keys(termIndex)) {
+      if (term.length < FUZZY_MIN_LENGTH - 1 || /[\d ]/.test(term)) continue;
+      for (const gram of getTrigrams(term)) {
+        const terms = trigrams.get(gram);
+        if (terms) terms.push(term);
+        else trigrams.set(gram, [term]);
+      }
+    }
+    this._termTrigrams = { termIndex, trigrams };
+    this._debugLog(`Built trigram index: ${trigrams.size} trigrams`);
+    return trigrams;
+  }
+
+  /**
+   * Get the prefix trie over termIndex terms, rebuilding it after the index changed
+   * Each term weighs its image count, so completions list common terms first.
+   * Kept in memory only, like the trigram index.
+   * @returns {TermTrie} Trie of every termIndex key, word pairs included
+   * @private
+   */
+  _getTermTrie() {
+    const termIndex = this.index.termIndex;
+    if (this._termTrie?.termIndex === termIndex) return this._termTrie.trie;
+
+    const trie = new TermTrie();
+    for (const [term, paths] of Object.entries(termIndex)) trie.insert(term, paths.length);
+    this._termTrie = { termIndex, trie };
+    this._debugLog(`Built term trie: ${trie.size} terms`);
+    return trie;
+  }
+
+  /**
+   * Get the corpus statistics BM25 ranking needs, recomputing them after the index changed
+   * Kept in memory only, like the trigram index.
+   * @returns {{pathCount: number, avgNameLength: number}} Indexed image count and mean words per image name
+   * @private
+   */
+  _getRankingStats() {
+    const termIndex = this.index.termIndex;
+    if (this._rankingStats?.termIndex === termIndex) return this._rankingStats;
+
+    const names = Object.values(this.index.allPaths);
+    const totalLength = names.reduce(
+      (sum, data) => sum + this.tokenizeSearchText(data.name).length,
+      0
+    );
+    this._rankingStats = {
+      termIndex,
+      pathCount: names.length,
+      avgNameLength: names.length > 0 ? Math.max(totalLength / names.length, 1) : 1,
+    };
+    return this._rankingStats;
+  }
+
   /**
    * Get index statistics
    * @returns {Object} Stats
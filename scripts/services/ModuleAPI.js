@@ -0,0 +1,330 @@
+/**
+ * Token Replacer FA - Module API
+ * Public API published at game.modules.get('token-replacer-fa').api
+ * @module services/ModuleAPI
+ */
+
+import { HOOKS, MAX_DISPLAY_RESULTS } from '../core/Constants.js';
+import { getCreatureCacheKey, createModuleError, createDebugLogger } from '../core/Utils.js';
+import { tokenService } from './TokenService.js';
+import { searchService } from './SearchService.js';
+import { indexService } from './IndexService.js';
+import { tvaCacheService } from './TVACacheService.js';
+import { choiceMemoryService } from './ChoiceMemoryService.js';
+import { replacementJournalService } from './ReplacementJournalService.js';
+import { systemAdapterService } from './SystemAdapterService.js';
+import { rankingFeedbackService } from './RankingFeedbackService.js';
+import { variantAssignmentService } from './VariantAssignmentService.js';
+
+/**
+ * ModuleAPI - Stable entry points for macros and other modules
+ *
+ * Unlike window.TokenReplacerFA (the app object, kept for debugging), this
+ * surface is documented and kept backward compatible. Replacements made
+ * through replace() go through the same scope settings, hooks and undo journal
+ * as the dialog flow.
+ * @example
+ * const api = game.modules.get('token-replacer-fa').api;
+ * const matches = await api.searchArt(actor, { limit: 5 });
+ * await api.replace(canvas.tokens.controlled, { path: matches[0].path });
+ */
+export class ModuleAPI {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.app - TokenReplacerApp instance (replaceTokenImage, processTokenReplacement, ...)
+   * @param {Object} [deps.tokenService] - Token service instance (default: imported singleton)
+   * @param {Object} [deps.searchService] - Search service instance (default: imported singleton)
+   * @param {Object} [deps.indexService] - Index service instance (default: imported singleton)
+   * @param {Object} [deps.tvaCacheService] - TVA cache service instance (default: imported singleton)
+   * @param {Object} [deps.choiceMemoryService] - Choice memory service instance (default: imported singleton)
+   * @param {Object} [deps.journalService] - Replacement journal service instance (default: imported singleton)
+   * @param {Object} [deps.systemAdapters] - System adapter registry (default: imported singleton)
+   * @param {Object} [deps.feedbackService] - Ranking feedback service instance (default: imported singleton)
+   * @param {Object} [deps.variantAssignmentService] - Variant assignment service instance (default: imported singleton)
+   * @throws {TypeError} If deps.app is missing
+   */
+  constructor(deps) {
+    const {
+      app,
+      tokenService: injectedTokenService = tokenService,
+      searchService: injectedSearchService = searchService,
+      indexService: injectedIndexService = indexService,
+      tvaCacheService: injectedTVACacheService = tvaCacheService,
+      choiceMemoryService: injectedChoiceMemoryService = choiceMemoryService,
+      journalService = replacementJournalService,
+      systemAdapters = systemAdapterService,
+      feedbackService = rankingFeedbackService,
+      variantAssignmentService: injectedVariantAssignmentService = variantAssignmentService,
+    } = deps ?? {};
+    if (!app) throw new TypeError('ModuleAPI requires deps.app (the TokenReplacerApp instance)');
+
+    this._app = app;
+    this._tokenService = injectedTokenService;
+    this._searchService = injectedSearchService;
+    this._indexService = injectedIndexService;
+    this._tvaCacheService = injectedTVACacheService;
+    this._choiceMemoryService = injectedChoiceMemoryService;
+    this._journalService = journalService;
+    this._systemAdapters = systemAdapters;
+    this._feedbackService = feedbackService;
+    this._variantAssignmentService = injectedVariantAssignmentService;
+    this._debugLog = createDebugLogger('ModuleAPI');
+
+    /** Hook names fired by the module */
+    this.hooks = HOOKS;
+  }
+
+  /**
+   * Search token art for a creature
+   * @param {Actor|Token|TokenDocument|import('../types/typedefs.js').CreatureInfo} subject - What to search art for
+   * @param {Object} [options={}] - Search options
+   * @param {number} [options.limit=200] - Maximum number of matches returned
+   * @param {{creature?: string, variant?: string, variantLetter?: string, weapon?: string, size?: string}} [options.attributes] -
+   *   Keep only images whose filename attributes match (see IndexService.filterByAttributes),
+   *   e.g. { weapon: 'shortbow' }; applied before the limit
+   * @returns {Promise<Array<{path: string, name: string, score?: number, source?: string}>>} Matches, best first
+   * @throws {Object} Structured error if the subject is not supported or the search fails
+   */
+  async searchArt(subject, options = {}) {
+    const { limit = MAX_DISPLAY_RESULTS, attributes } = options;
+    const creatureInfo = this._toCreatureInfo(subject);
+    let matches = await this._searchService.searchTokenArt(creatureInfo);
+    if (attributes) matches = this._indexService.filterByAttributes(matches, attributes);
+    return matches.slice(0, limit);
+  }
+
+  /**
+   * Replace the art of one or more tokens
+   * Without a path, each creature gets its remembered art (distributed over its tokens with
+   * the remembered mode) or the best search match.
+   * The replacements are recorded as one undo journal run unless a run is already recording.
+   * @param {Token|TokenDocument|Actor|Array<Token|TokenDocument|Actor>} tokens - Tokens (or actors, for their prototype token)
+   * @param {Object} [options={}] - Replacement options
+   * @param {string|null} [options.path=null] - Image to apply to every token
+   * @param {string[]|null} [options.paths=null] - Images to distribute over the tokens
+   * @param {string} [options.mode='sequential'] - How paths are distributed (one of ASSIGNMENT_MODES)
+   * @param {number[]} [options.weights] - Weight per path for weighted mode
+   * @param {boolean} [options.useRemembered=true] - Use remembered art when no path is given
+   * @returns {Promise<Array<{id: string, name: string, path: string|null, success: boolean}>>} Outcome per token
+   * @throws {Object} Structured error if a replacement run is in progress or a token is not supported
+   */
+  async replace(tokens, options = {}) {
+    const { path = null, mode = 'sequential', weights, useRemembered = true } = options;
+    const paths = options.paths ?? (path ? [path] : null);
+
+    if (this._app.isProcessing) {
+      throw createModuleError('replacement_in_progress', 'A replacement run is in progress', [
+        'wait_for_run',
+      ]);
+    }
+
+    const targets = [tokens]
+      .flat()
+      .filter(Boolean)
+      .map((token) => this._toTarget(token));
+    const ownRun = !this._journalService.isRecording;
+    if (ownRun) {
+      const scene = targets.find((t) => t.document?.parent)?.document.parent;
+      this._journalService.beginRun(scene ?? { id: null, name: 'API' });
+    }
+
+    const results = [];
+    try {
+      const creatureInfos = targets.map((target) => this._tokenService.extractCreatureInfo(target));
+      const assignedPaths = paths
+        ? this._variantAssignmentService.assign(targets, paths, mode, { weights })
+        : await this._resolvePaths(targets, creatureInfos, useRemembered);
+
+      for (const [index, target] of targets.entries()) {
+        const creatureInfo = creatureInfos[index];
+        const chosenPath = assignedPaths[index] ?? null;
+
+        const group = creatureInfo
+          ? { key: getCreatureCacheKey(creatureInfo), label: creatureInfo.actorName }
+          : null;
+        const success = chosenPath
+          ? await this._app.replaceTokenImage(target, chosenPath, group)
+          : false;
+        results.push({ id: target.id, name: target.name, path: chosenPath, success });
+      }
+    } finally {
+      if (ownRun) await this._journalService.finishRun();
+    }
+
+    this._debugLog(
+      `Replaced ${results.filter((r) => r.success).length} of ${results.length} token(s)`
+    );
+    return results;
+  }
+
+  /**
+   * Get image index statistics
+   * @returns {Object} Index stats (isBuilt, totalImages, categories, ...) plus TVA cache stats
+   */
+  getIndexStats() {
+    return {
+      ...this._indexService.getStats(),
+      tvaCache: this._tvaCacheService.getTVACacheStats(),
+    };
+  }
+
+  /**
+   * Rebuild the image index from scratch
+   * Fires tokenReplacerFA.indexReady with the new stats on success.
+   * @returns {Promise<boolean>} True if the index was rebuilt
+   */
+  async rebuildIndex() {
+    if (this._tvaCacheService.hasTVA && !this._tvaCacheService.isTVACacheLoaded) {
+      await this._tvaCacheService.loadTVACache();
+    }
+    const tvaCacheImages = this._tvaCacheService.isTVACacheLoaded
+      ? this._tvaCacheService.tvaCacheImages
+      : null;
+
+    const success = await this._indexService.build(true, null, tvaCacheImages);
+    if (success) {
+      Hooks.callAll(HOOKS.INDEX_READY, this.getIndexStats());
+    }
+    return success;
+  }
+
+  /**
+   * Run the interactive replacement flow (same as the scene control button)
+   * @param {Object} [options={}] - Options for processTokenReplacement()
+   * @returns {Promise<Object|undefined>} Run summary
+   */
+  run(options = {}) {
+    return this._app.processTokenReplacement(options);
+  }
+
+  /**
+   * Open the match selection for a single token or actor
+   * @param {Token|TokenDocument|Actor} subject - Token placeable, token document or actor
+   * @returns {Promise<boolean>} True if new art was applied
+   */
+  replaceSingle(subject) {
+    return this._app.replaceSingle(subject);
+  }
+
+  /**
+   * Revert the most recent replacement run
+   * @returns {Promise<void>}
+   */
+  revertLastRun() {
+    return this._app.revertLastRun();
+  }
+
+  /**
+   * Export the learned ranking feedback of this world
+   * @returns {{version: number, exported: number, world: string|null, feedback: Object}} Export data (JSON-serializable)
+   */
+  exportFeedback() {
+    return this._feedbackService.export();
+  }
+
+  /**
+   * Import ranking feedback from exportFeedback() output
+   * @param {Object|string} data - Export data or its JSON
+   * @param {Object} [options={}] - Import options
+   * @param {boolean} [options.merge=false] - Add to the current feedback instead of replacing it
+   * @returns {Promise<number>} Number of creatures imported
+   * @throws {Object} Structured error if the data is not a feedback export
+   */
+  importFeedback(data, options = {}) {
+    return this._feedbackService.import(data, options);
+  }
+
+  /**
+   * Forget all learned ranking feedback
+   * @returns {Promise<void>}
+   */
+  resetFeedback() {
+    return this._feedbackService.reset();
+  }
+
+  /**
+   * Register an adapter for a game system, replacing any existing one for that system
+   * @param {import('../types/typedefs.js').SystemAdapter} adapter - Adapter with id, isEligibleActor() and extractCreatureData()
+   * @throws {Object} Structured error if the adapter is incomplete
+   */
+  registerSystemAdapter(adapter) {
+    this._systemAdapters.register(adapter);
+  }
+
+  /**
+   * Normalize an API subject to creature info
+   * @param {*} subject - Actor, Token, TokenDocument or CreatureInfo
+   * @returns {import('../types/typedefs.js').CreatureInfo} Creature info
+   * @throws {Object} Structured error for unsupported subjects
+   * @private
+   */
+  _toCreatureInfo(subject) {
+    if (Array.isArray(subject?.searchTerms)) return subject;
+    const creatureInfo = subject
+      ? this._tokenService.extractCreatureInfo(this._toTarget(subject))
+      : null;
+    if (!creatureInfo) {
+      throw createModuleError(
+        'invalid_api_target',
+        'Subject has no actor to read creature info from',
+        ['check_console']
+      );
+    }
+    return creatureInfo;
+  }
+
+  /**
+   * Normalize a token, token document or actor to a replacement target
+   * @param {*} subject - Token placeable, TokenDocument or Actor
+   * @returns {Object} Token-shaped target accepted by the replacement pipeline
+   * @throws {Object} Structured error for unsupported subjects
+   * @private
+   */
+  _toTarget(subject) {
+    const target = this._tokenService.toReplacementTarget(subject);
+    if (!target) {
+      throw createModuleError('invalid_api_target', `Unsupported API target: ${String(subject)}`, [
+        'check_console',
+      ]);
+    }
+    return target;
+  }
+
+  /**
+   * Find paths for tokens without an explicit choice: remembered art first, then the best match
+   * Tokens are resolved per creature, so remembered art is distributed over all tokens of the
+   * creature with its mode and each creature is searched once.
+   * @param {Array<Object>} targets - Replacement targets
+   * @param {Array<import('../types/typedefs.js').CreatureInfo|null>} creatureInfos - Creature info per target
+   * @param {boolean} useRemembered - Whether remembered art may be used
+   * @returns {Promise<Array<string|null>>} Path per target, null if nothing was found
+   * @private
+   */
+  async _resolvePaths(targets, creatureInfos, useRemembered) {
+    const groups = new Map();
+    for (const [index, creatureInfo] of creatureInfos.entries()) {
+      if (!creatureInfo) continue;
+      const key = getCreatureCacheKey(creatureInfo);
+      if (!groups.has(key)) groups.set(key, { creatureInfo, indices: [] });
+      groups.get(key).indices.push(index);
+    }
+
+    const resolved = new Array(targets.length).fill(null);
+    for (const { creatureInfo, indices } of groups.values()) {
+      const groupTargets = indices.map((index) => targets[index]);
+      const remembered = useRemembered
+        ? this._choiceMemoryService.recall(creatureInfo, groupTargets[0].actor)
+        : null;
+      let groupPaths;
+      if (remembered) {
+        const { paths, mode, weights } = remembered;
+        groupPaths = this._variantAssignmentService.assign(groupTargets, paths, mode, { weights });
+      } else {
+        const matches = await this._searchService.searchTokenArt(creatureInfo);
+        groupPaths = groupTargets.map(() => matches[0]?.path ?? null);
+      }
+      indices.forEach((index, i) => (resolved[index] = groupPaths[i] ?? null));
+    }
+    return resolved;
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Token Replacer FA - Ranking Feedback Service
+ * Learns from accepted and skipped matches to reorder search results
+ * @module services/RankingFeedbackService
+ */
+
+import { MODULE_ID, MAX_FEEDBACK_PATHS } from '../core/Constants.js';
+import {
+  getCreatureCacheKey,
+  createModuleError,
+  createDebugLogger,
+  createDefaultGetSetting,
+} from '../core/Utils.js';
+
+/** World setting key holding the feedback store */
+const FEEDBACK_SETTING = 'rankingFeedback';
+
+/** Export format version */
+const EXPORT_VERSION = 1;
+
+/** A skip counts half as much as an accept: one skip should not bury a good image */
+const SKIP_WEIGHT = 0.5;
+
+/** Weight at or below which a path sinks to the bottom (two skips, no accepts) */
+const SINK_WEIGHT = -1;
+
+/**
+ * RankingFeedbackService - Per-world accept/skip counts per creature and path
+ *
+ * Every selection in the match grid records an accept for the picked paths;
+ * skipping a creature records a skip for the matches that were shown first.
+ * rank() moves paths with a positive weight (accepts minus half the skips)
+ * above everything else and paths at or below SINK_WEIGHT below everything
+ * else, keeping the search order otherwise. Feedback is keyed like the search
+ * cache, so it applies to creatures with the same name and type.
+ * @example
+ * const ranked = rankingFeedbackService.rank(creatureInfo, results);
+ * await rankingFeedbackService.recordAccept(creatureInfo, [chosen.path]);
+ */
+export class RankingFeedbackService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(string, string): *} [deps.getSetting] - Settings accessor (default: game.settings.get)
+   * @param {function(string, string, *): Promise<*>} [deps.setSetting] - Settings mutator (default: game.settings.set)
+   * @param {function(): number} [deps.now] - Clock (default: Date.now)
+   */
+  constructor(deps = {}) {
+    const {
+      getSetting = createDefaultGetSetting(),
+      setSetting = (moduleId, key, value) =>
+        game.settings.set(/** @type {any} */ (moduleId), /** @type {any} */ (key), value),
+      now = () => Date.now(),
+    } = deps;
+
+    this._getSetting = getSetting;
+    this._setSetting = setSetting;
+    this._now = now;
+    this._debugLog = createDebugLogger('RankingFeedbackService');
+  }
+
+  /**
+   * Whether learning from choices is enabled
+   * @returns {boolean} Value of the learnFromChoices setting
+   */
+  get isEnabled() {
+    return this._getSetting(MODULE_ID, 'learnFromChoices') !== false;
+  }
+
+  /**
+   * Record that paths were picked for a creature
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {string[]} paths - Picked paths
+   * @returns {Promise<void>}
+   */
+  async recordAccept(creatureInfo, paths) {
+    await this._record(creatureInfo, paths, 'accepts');
+  }
+
+  /**
+   * Record that paths were shown for a creature and passed over
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {string[]} paths - Skipped paths
+   * @returns {Promise<void>}
+   */
+  async recordSkip(creatureInfo, paths) {
+    await this._record(creatureInfo, paths, 'skips');
+  }
+
+  /**
+   * Get the learned weight of each path for a creature
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @returns {Map<string, number>} Weight by path (accepts - skips / 2); paths without feedback are absent
+   */
+  getWeights(creatureInfo) {
+    const weights = new Map();
+    if (!this.isEnabled || !creatureInfo) return weights;
+    const entry = this._getStore()[getCreatureCacheKey(creatureInfo)];
+    for (const [path, counts] of Object.entries(entry?.paths ?? {})) {
+      weights.set(path, counts.accepts - counts.skips * SKIP_WEIGHT);
+    }
+    return weights;
+  }
+
+  /**
+   * Reorder search results by learned feedback
+   * Boosted paths come first (highest weight first), sunk paths last; the rest keep
+   * their order. Results with feedback get a feedbackWeight property. The input is not mutated.
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {Array<{path: string}>} results - Search results in search order
+   * @returns {Array<{path: string, feedbackWeight?: number}>} Reordered results
+   */
+  rank(creatureInfo, results) {
+    const weights = this.getWeights(creatureInfo);
+    if (weights.size === 0 || !results?.length) return results;
+
+    const tier = (weight) => (weight > 0 ? 0 : weight <= SINK_WEIGHT ? 2 : 1);
+    return results
+      .map((result, index) => {
+        const weight = weights.get(result.path) ?? 0;
+        return {
+          result: weight !== 0 ? { ...result, feedbackWeight: weight } : result,
+          index,
+          weight,
+        };
+      })
+      .sort((a, b) => {
+        const tierDiff = tier(a.weight) - tier(b.weight);
+        if (tierDiff !== 0) return tierDiff;
+        if (a.weight !== b.weight && tier(a.weight) !== 1) return b.weight - a.weight;
+        return a.index - b.index;
+      })
+      .map(({ result }) => result);
+  }
+
+  /**
+   * Serialize the feedback store for backup or transfer to another world
+   * @returns {{version: number, exported: number, world: string|null, feedback: Object}} Export data
+   */
+  export() {
+    return {
+      version: EXPORT_VERSION,
+      exported: this._now(),
+      world: game.world?.id ?? null,
+      feedback: this._getStore(),
+    };
+  }
+
+  /**
+   * Load feedback from export data
+   * @param {Object|string} data - Result of export(), or its JSON
+   * @param {Object} [options={}] - Import options
+   * @param {boolean} [options.merge=false] - Add counts to the current store instead of replacing it
+   * @returns {Promise<number>} Number of creatures imported
+   * @throws {Object} Structured error if the data is not a feedback export
+   */
+  async import(data, options = {}) {
+    const { merge = false } = options;
+    let parsed = data;
+    try {
+      if (typeof data === 'string') parsed = JSON.parse(data);
+    } catch {
+      parsed = null;
+    }
+    if (
+      parsed?.version !== EXPORT_VERSION ||
+      !parsed.feedback ||
+      typeof parsed.feedback !== 'object'
+    ) {
+      throw createModuleError('invalid_feedback_data', 'Not a ranking feedback export', [
+        'check_console',
+      ]);
+    }
+
+    const store = merge ? structuredClone(this._getStore()) : {};
+    for (const [key, entry] of Object.entries(parsed.feedback)) {
+      if (!entry || typeof entry.paths !== 'object') continue;
+      const target = (store[key] ??= { label: entry.label ?? key, paths: {} });
+      for (const [path, counts] of Object.entries(entry.paths)) {
+        const current = target.paths[path] ?? { accepts: 0, skips: 0, updated: 0 };
+        target.paths[path] = {
+          accepts: current.accepts + (Number(counts?.accepts) || 0),
+          skips: current.skips + (Number(counts?.skips) || 0),
+          updated: Math.max(current.updated, Number(counts?.updated) || 0),
+        };
+      }
+      this._prune(target);
+    }
+
+    await this._setSetting(MODULE_ID, FEEDBACK_SETTING, store);
+    const count = Object.keys(parsed.feedback).length;
+    this._debugLog(`Imported feedback for ${count} creature(s)${merge ? ' (merged)' : ''}`);
+    return count;
+  }
+
+  /**
+   * Forget all feedback
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await this._setSetting(MODULE_ID, FEEDBACK_SETTING, {});
+    console.log(`${MODULE_ID} | Ranking feedback reset`);
+  }
+
+  /**
+   * Count creatures and paths with feedback
+   * @returns {{creatures: number, paths: number}} Store size
+   */
+  getStats() {
+    const entries = Object.values(this._getStore());
+    return {
+      creatures: entries.length,
+      paths: entries.reduce((sum, entry) => sum + Object.keys(entry.paths ?? {}).length, 0),
+    };
+  }
+
+  /**
+   * Add one accept or skip to each path
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {string[]} paths - Paths to count
+   * @param {'accepts'|'skips'} field - Counter to increment
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _record(creatureInfo, paths, field) {
+    if (!this.isEnabled || !creatureInfo || !paths?.length) return;
+    const key = getCreatureCacheKey(creatureInfo);
+    const store = structuredClone(this._getStore());
+    const entry = (store[key] ??= { label: creatureInfo.actorName, paths: {} });
+    const updated = this._now();
+
+    for (const path of new Set(paths)) {
+      const counts = entry.paths[path] ?? { accepts: 0, skips: 0, updated };
+      counts[field] += 1;
+      counts.updated = updated;
+      entry.paths[path] = counts;
+    }
+    this._prune(entry);
+
+    await this._setSetting(MODULE_ID, FEEDBACK_SETTING, store);
+    this._debugLog(`Recorded ${field} for ${paths.length} path(s) of "${creatureInfo.actorName}"`);
+  }
+
+  /**
+   * Keep the most recently updated paths of a creature within MAX_FEEDBACK_PATHS
+   * @param {{paths: Object}} entry - Creature entry (mutated)
+   * @private
+   */
+  _prune(entry) {
+    const paths = Object.entries(entry.paths);
+    if (paths.length <= MAX_FEEDBACK_PATHS) return;
+    paths.sort(([, a], [, b]) => b.updated - a.updated);
+    entry.paths = Object.fromEntries(paths.slice(0, MAX_FEEDBACK_PATHS));
+  }
+
+  /**
+   * Read the persisted store
+   * @returns {Object<string, {label: string, paths: Object<string, import('../types/typedefs.js').FeedbackCounts>}>} Feedback by creature key
+   * @private
+   */
+  _getStore() {
+    const store = this._getSetting(MODULE_ID, FEEDBACK_SETTING);
+    return store && typeof store === 'object' ? store : {};
+  }
+}
+
+// Export singleton instance
+export const rankingFeedbackService = new RankingFeedbackService();
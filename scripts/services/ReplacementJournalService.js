@@ -0,0 +1,287 @@
+/**
+ * Token Replacer FA - Replacement Journal Service
+ * Records the previous images of every replacement run so runs can be rolled back
+ * @module services/ReplacementJournalService
+ */
+
+import { MODULE_ID, MAX_JOURNAL_RUNS } from '../core/Constants.js';
+import { createModuleError, createDebugLogger, createDefaultGetSetting } from '../core/Utils.js';
+
+/** World setting key holding the persisted journal */
+const JOURNAL_SETTING = 'replacementJournal';
+
+/**
+ * ReplacementJournalService - Undo journal for token replacement runs
+ *
+ * A run is opened with beginRun(), filled by recordReplacement() after each
+ * successful image update and persisted by finishRun(). Only the last
+ * MAX_JOURNAL_RUNS runs are kept.
+ * @example
+ * const previous = replacementJournalService.captureState(token);
+ * if (await updateImage(token, path)) {
+ *   replacementJournalService.recordReplacement(previous, path, { key, label });
+ * }
+ */
+export class ReplacementJournalService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(string, string): *} [deps.getSetting] - Settings accessor (default: game.settings.get)
+   * @param {function(string, string, *): Promise<*>} [deps.setSetting] - Settings mutator (default: game.settings.set)
+   * @param {function(string): Object|undefined} [deps.getScene] - Scene lookup by ID (default: game.scenes.get)
+   * @param {function(string): Object|Promise<Object>|undefined} [deps.getActor] - Actor lookup by UUID, world or compendium (default: foundry.utils.fromUuid)
+   */
+  constructor(deps = {}) {
+    const {
+      getSetting = createDefaultGetSetting(),
+      setSetting = (moduleId, key, value) =>
+        game.settings.set(/** @type {any} */ (moduleId), /** @type {any} */ (key), value),
+      getScene = (id) => game.scenes?.get(id),
+      getActor = (uuid) => foundry.utils.fromUuid(uuid),
+    } = deps;
+
+    this._getSetting = getSetting;
+    this._setSetting = setSetting;
+    this._getScene = getScene;
+    this._getActor = getActor;
+
+    /** @type {import('../types/typedefs.js').JournalRun|null} */
+    this._activeRun = null;
+    this._debugLog = createDebugLogger('ReplacementJournalService');
+  }
+
+  /**
+   * Open a new run; replacements recorded until finishRun() belong to it
+   * @param {Object|null} scene - Scene the run operates on
+   * @returns {import('../types/typedefs.js').JournalRun} The active run
+   */
+  beginRun(scene) {
+    this._activeRun = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: Date.now(),
+      sceneId: scene?.id ?? null,
+      sceneName: scene?.name ?? '',
+      entries: [],
+    };
+    this._debugLog(`Journal run ${this._activeRun.id} started`);
+    return this._activeRun;
+  }
+
+  /**
+   * Whether a run is currently open
+   * @returns {boolean} True between beginRun() and finishRun()
+   */
+  get isRecording() {
+    return this._activeRun !== null;
+  }
+
+  /**
+   * Snapshot the images a replacement is about to overwrite
+   * Must be called before the token is updated
+   * @param {Token} token - Token about to be replaced
+   * @param {import('../types/typedefs.js').ReplacementScope} [scope] - Documents the replacement will update
+   * @returns {Object} Snapshot passed to recordReplacement()
+   */
+  captureState(token, scope = { token: true, prototype: true, portrait: false }) {
+    /** @type {any} */
+    const doc = token.document;
+    // Prototype and portrait live on the world actor, not an unlinked token's synthetic actor
+    /** @type {any} */
+    const actor = doc?.baseActor ?? token.actor;
+    return {
+      sceneId: doc?.parent?.id ?? this._activeRun?.sceneId ?? null,
+      tokenId: doc?.id ?? token.id,
+      tokenName: token.name,
+      actorId: actor?.id ?? doc?.actorId ?? null,
+      actorUuid: actor?.uuid ?? (actor?.id ? `Actor.${actor.id}` : null),
+      previousTokenImage: doc?.texture?.src ?? null,
+      previousPrototypeImage: actor?.prototypeToken?.texture?.src ?? null,
+      previousPortraitImage: actor?.img ?? null,
+      scope: { ...scope },
+    };
+  }
+
+  /**
+   * Record a successful replacement in the active run
+   * No-op when no run is open (e.g. replacements triggered outside a run)
+   * @param {Object} snapshot - Result of captureState() taken before the update
+   * @param {string} newImage - Image path that was applied
+   * @param {{key: string, label: string}} [group] - Creature group the token belongs to
+   * @returns {void}
+   */
+  recordReplacement(snapshot, newImage, group = null) {
+    if (!this._activeRun) return;
+    this._activeRun.entries.push({
+      ...snapshot,
+      groupKey: group?.key ?? snapshot.tokenId,
+      groupLabel: group?.label ?? snapshot.tokenName,
+      newImage,
+    });
+  }
+
+  /**
+   * Close the active run and persist it if anything was replaced
+   * @returns {Promise<import('../types/typedefs.js').JournalRun|null>} Persisted run or null
+   */
+  async finishRun() {
+    const run = this._activeRun;
+    this._activeRun = null;
+    if (!run || run.entries.length === 0) {
+      this._debugLog('Journal run closed with no replacements, nothing to persist');
+      return null;
+    }
+
+    const runs = [run, ...this.getRuns()].slice(0, MAX_JOURNAL_RUNS);
+    await this._saveRuns(runs);
+    console.log(
+      `${MODULE_ID} | Journal recorded run ${run.id} (${run.entries.length} replacements)`
+    );
+    return run;
+  }
+
+  /**
+   * Get persisted runs, newest first
+   * @returns {import('../types/typedefs.js').JournalRun[]} Journal runs
+   */
+  getRuns() {
+    try {
+      const runs = this._getSetting(MODULE_ID, JOURNAL_SETTING);
+      return Array.isArray(runs) ? runs : [];
+    } catch (error) {
+      this._debugLog('Failed to read journal setting:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the most recent persisted run
+   * @returns {import('../types/typedefs.js').JournalRun|null} Latest run or null
+   */
+  getLastRun() {
+    return this.getRuns()[0] ?? null;
+  }
+
+  /**
+   * Summarize a run's entries by creature group
+   * @param {import('../types/typedefs.js').JournalRun} run - Journal run
+   * @returns {Array<{key: string, label: string, count: number}>} Groups in recording order
+   */
+  getRunGroups(run) {
+    const groups = new Map();
+    for (const entry of run?.entries ?? []) {
+      if (!groups.has(entry.groupKey)) {
+        groups.set(entry.groupKey, { key: entry.groupKey, label: entry.groupLabel, count: 0 });
+      }
+      groups.get(entry.groupKey).count++;
+    }
+    return [...groups.values()];
+  }
+
+  /**
+   * Restore the images overwritten by a run
+   * Reverted entries are removed from the journal; a run with no entries left is dropped.
+   * @param {string} runId - ID of the run to revert
+   * @param {string[]|null} [groupKeys=null] - Only revert these creature groups (null = whole run)
+   * @returns {Promise<{reverted: number, failed: number}>} Token counts
+   * @throws {Object} Structured error if the run does not exist
+   */
+  async revertRun(runId, groupKeys = null) {
+    const runs = this.getRuns();
+    const run = runs.find((r) => r.id === runId);
+    if (!run) {
+      throw createModuleError('journal_run_missing', `Journal run "${runId}" not found`, [
+        'check_console',
+      ]);
+    }
+
+    const keySet = groupKeys ? new Set(groupKeys) : null;
+    const selected = run.entries.filter((e) => !keySet || keySet.has(e.groupKey));
+    let reverted = 0;
+    let failed = 0;
+
+    // Tokens: undo newest first so repeated replacements of one token end on the oldest image
+    for (const entry of [...selected].reverse()) {
+      if (!entry.scope?.token) {
+        // Actor-level only replacement, restored below
+        reverted++;
+        continue;
+      }
+      try {
+        const tokenDoc = this._getScene(entry.sceneId)?.tokens?.get(entry.tokenId);
+        if (!tokenDoc) {
+          this._debugLog(`Token ${entry.tokenName} (${entry.tokenId}) no longer exists`);
+          failed++;
+          continue;
+        }
+        if (entry.previousTokenImage) {
+          await tokenDoc.update(/** @type {any} */ ({ 'texture.src': entry.previousTokenImage }));
+        }
+        reverted++;
+      } catch (error) {
+        console.warn(`${MODULE_ID} | Failed to revert token ${entry.tokenName}:`, error);
+        failed++;
+      }
+    }
+
+    // Actors: the first entry per actor holds the images from before the run
+    const actorUpdates = new Map();
+    for (const entry of selected) {
+      if (!entry.actorUuid) continue;
+      const update = actorUpdates.get(entry.actorUuid) ?? {};
+      if (
+        entry.scope?.prototype &&
+        entry.previousPrototypeImage &&
+        !('prototypeToken.texture.src' in update)
+      ) {
+        update['prototypeToken.texture.src'] = entry.previousPrototypeImage;
+      }
+      if (entry.scope?.portrait && entry.previousPortraitImage && !('img' in update)) {
+        update.img = entry.previousPortraitImage;
+      }
+      actorUpdates.set(entry.actorUuid, update);
+    }
+    for (const [actorUuid, update] of actorUpdates) {
+      if (Object.keys(update).length === 0) continue;
+      try {
+        const actor = await this._getActor(actorUuid);
+        if (actor) {
+          await actor.update(/** @type {any} */ (update));
+        }
+      } catch (error) {
+        console.warn(`${MODULE_ID} | Failed to revert images for actor ${actorUuid}:`, error);
+      }
+    }
+
+    const remaining = run.entries.filter((e) => keySet && !keySet.has(e.groupKey));
+    const updatedRuns =
+      remaining.length > 0
+        ? runs.map((r) => (r.id === runId ? { ...r, entries: remaining } : r))
+        : runs.filter((r) => r.id !== runId);
+    await this._saveRuns(updatedRuns);
+
+    console.log(
+      `${MODULE_ID} | Reverted journal run ${runId}: ${reverted} restored, ${failed} failed`
+    );
+    return { reverted, failed };
+  }
+
+  /**
+   * Remove all persisted runs
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._saveRuns([]);
+  }
+
+  /**
+   * Persist the run list
+   * @param {import('../types/typedefs.js').JournalRun[]} runs - Runs to store
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveRuns(runs) {
+    await this._setSetting(MODULE_ID, JOURNAL_SETTING, runs);
+  }
+}
+
+// Export singleton instance
+export const replacementJournalService = new ReplacementJournalService();
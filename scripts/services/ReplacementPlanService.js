@@ -0,0 +1,96 @@
+/**
+ * Token Replacer FA - Replacement Plan Service
+ * Builds a reviewable dry-run plan from parallel search results
+ * @module services/ReplacementPlanService
+ */
+
+import { MAX_PLAN_ALTERNATIVES } from '../core/Constants.js';
+import { createDebugLogger, createDefaultGetSetting } from '../core/Utils.js';
+import { ScoringService } from './ScoringService.js';
+
+/**
+ * ReplacementPlanService - Turns search results into per-token plan rows
+ *
+ * Each row holds the path the auto-replace flow would apply (the best match)
+ * plus a short list of alternatives the user can switch to before committing.
+ * Nothing here touches documents; main.js applies the committed rows.
+ */
+export class ReplacementPlanService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(string, string): *} [deps.getSetting] - Settings accessor (default: game.settings.get)
+   * @param {Object} [deps.scoringService] - Scoring service (default: one reading the same settings)
+   */
+  constructor(deps = {}) {
+    const {
+      getSetting = createDefaultGetSetting(),
+      scoringService = new ScoringService({ getSetting }),
+    } = deps;
+    this._scoringService = scoringService;
+    this._debugLog = createDebugLogger('ReplacementPlanService');
+  }
+
+  /**
+   * Build a replacement plan
+   * @param {Map<string, {matches: Array, tokens: Token[], creatureInfo: import('../types/typedefs.js').CreatureInfo}>} searchResults - Output of parallelSearchCreatures()
+   * @returns {import('../types/typedefs.js').PlanRow[]} One row per token, in group order
+   */
+  buildPlan(searchResults) {
+    const rows = [];
+
+    for (const [groupKey, data] of searchResults) {
+      const { matches = [], tokens = [], creatureInfo } = data;
+      const alternatives = matches.slice(0, MAX_PLAN_ALTERNATIVES).map((m) => ({
+        path: m.path,
+        name: m.name,
+        score: m.score,
+        source: m.source || '',
+      }));
+      const best = alternatives[0] ?? null;
+      const meetsThreshold = this._scoringService.meetsAutoReplace(best);
+
+      for (const token of tokens) {
+        rows.push({
+          rowId: `${groupKey}::${token.id}`,
+          groupKey,
+          groupLabel: creatureInfo.actorName,
+          token,
+          tokenName: token.name,
+          path: best?.path ?? null,
+          score: best?.score,
+          source: best?.source ?? '',
+          meetsThreshold,
+          alternatives,
+        });
+      }
+    }
+
+    this._debugLog(
+      `Built plan with ${rows.length} rows (${rows.filter((r) => r.path).length} with a path)`
+    );
+    return rows;
+  }
+
+  /**
+   * Apply per-row edits from the plan editor
+   * A null path skips the row; paths outside the row's alternatives are ignored.
+   * @param {import('../types/typedefs.js').PlanRow[]} rows - Plan rows
+   * @param {Object<string, string|null>} edits - Chosen path keyed by rowId
+   * @returns {import('../types/typedefs.js').PlanRow[]} New rows with edits applied
+   */
+  applyEdits(rows, edits) {
+    return rows.map((row) => {
+      if (!edits || !(row.rowId in edits)) return row;
+      const path = edits[row.rowId];
+      if (path === null) {
+        return { ...row, path: null, score: undefined, source: '' };
+      }
+      const alternative = row.alternatives.find((a) => a.path === path);
+      if (!alternative) return row;
+      return { ...row, path, score: alternative.score, source: alternative.source };
+    });
+  }
+}
+
+// Export singleton instance
+export const replacementPlanService = new ReplacementPlanService();
@@ -0,0 +1,350 @@
+/**
+ * Token Replacer FA - Scoring Service
+ * Scores search results on one scale and explains each score
+ * @module services/ScoringService
+ */
+
+import {
+  MODULE_ID,
+  DEFAULT_SCORE_WEIGHTS,
+  DEFAULT_AUTO_REPLACE_CONFIDENCE,
+} from '../core/Constants.js';
+import {
+  parseSubtypeTerms,
+  matchesCreatureType,
+  createDebugLogger,
+  createDefaultGetSetting,
+} from '../core/Utils.js';
+
+/** Setting key holding the weight of each score component */
+const WEIGHT_SETTINGS = {
+  name: 'scoreWeightName',
+  subtype: 'scoreWeightSubtype',
+  category: 'scoreWeightCategory',
+  source: 'scoreWeightSource',
+  pack: 'scoreWeightPack',
+  relevance: 'scoreWeightRelevance',
+};
+
+/** Result sources that belong to each searchPriority preference */
+const PREFERRED_SOURCES = {
+  faNexus: ['local'],
+  forgeBazaar: ['tva', 'tva-direct', 'forge-bazaar'],
+};
+
+/** Confidence assumed for matches that never went through the scorer */
+const UNSCORED_CONFIDENCE = 0.8;
+
+/**
+ * Round to three decimals so scores compare and display consistently
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Split a name or file name into lowercase words, dropping the extension and numbering
+ * "Goblin_Boss_02.webp" → ["goblin", "boss"]
+ * @param {string} text - Text to split
+ * @returns {string[]} Words
+ */
+function toWords(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\.[a-z0-9]{2,5}$/, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word && !/^\d+$/.test(word));
+}
+
+/**
+ * Get the display name of a result, falling back to its file name
+ * @param {{name?: string, path?: string}} result - Search result
+ * @returns {string} Name to match against
+ */
+function getResultName(result) {
+  return result.name || (result.path || '').split('/').pop() || '';
+}
+
+/**
+ * Measure how well an image name matches a creature name
+ * Exact (ignoring case, separators and numbering) is 1; all words present is 0.9
+ * when the name starts with them and 0.85 otherwise; some words present scales up
+ * to 0.6; the words run together ("goblinboss") is 0.5.
+ * @param {string} text - Image name
+ * @param {string} term - Creature name
+ * @returns {{value: number, reason: import('../types/typedefs.js').ScoreReason}} Match strength and kind
+ */
+export function scoreNameMatch(text, term) {
+  const textWords = toWords(text);
+  const termWords = toWords(term);
+  if (textWords.length === 0 || termWords.length === 0) return { value: 0, reason: 'none' };
+
+  if (textWords.join(' ') === termWords.join(' ')) return { value: 1, reason: 'exact' };
+
+  const found = termWords.filter((word) => textWords.includes(word)).length;
+  if (found === termWords.length) {
+    const isPrefix = termWords.every((word, i) => textWords[i] === word);
+    return isPrefix ? { value: 0.9, reason: 'prefix' } : { value: 0.85, reason: 'allWords' };
+  }
+  if (found > 0) return { value: round((0.6 * found) / termWords.length), reason: 'partial' };
+
+  if (textWords.join('').includes(termWords.join(''))) return { value: 0.5, reason: 'substring' };
+  return { value: 0, reason: 'none' };
+}
+
+/**
+ * ScoringService - One confidence scale for every search source
+ *
+ * Each result gets a confidence from 0 to 1: the weighted mean of the
+ * components that apply to the creature. Name always applies, taking the best
+ * match among the actor name, token name and the weighted parts of the actor
+ * name (nameTerms: "blue dragon" for "Adult Blue Dragon" counts 0.8); subtype only
+ * for creatures with specific subtypes, category (the image's folders) only
+ * with a creature type, source only when searchPriority prefers a source,
+ * pack only when preferred packs are configured, and relevance only for image index
+ * results (their BM25 relevance against the most relevant result scored with them).
+ * The result's score is 1 - confidence
+ * (lower is better, as before) and its explanation lists every component.
+ * Raw scores from Fuse or the TVA cache only order results inside their own
+ * search; searchTokenArt rescores everything here before returning.
+ * @example
+ * const scored = scoringService.scoreResults(creatureInfo, results);
+ * if (scoringService.meetsAutoReplace(scored[0])) apply(scored[0].path);
+ */
+export class ScoringService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(string, string): *} [deps.getSetting] - Settings accessor (default: game.settings.get)
+   */
+  constructor(deps = {}) {
+    const { getSetting = createDefaultGetSetting() } = deps;
+    this._getSetting = getSetting;
+    this._debugLog = createDebugLogger('ScoringService');
+  }
+
+  /**
+   * Read the component weights from settings
+   * @returns {Object<string, number>} Weight by component; invalid values fall back to the defaults
+   */
+  getWeights() {
+    /** @type {Object<string, number>} */
+    const weights = {};
+    for (const [key, settingKey] of Object.entries(WEIGHT_SETTINGS)) {
+      const value = this._getSetting(MODULE_ID, settingKey);
+      weights[key] = typeof value === 'number' && value >= 0 ? value : DEFAULT_SCORE_WEIGHTS[key];
+    }
+    return weights;
+  }
+
+  /**
+   * Minimum confidence for applying a match without asking
+   * @returns {number} Value of the autoReplaceConfidence setting
+   */
+  getAutoReplaceConfidence() {
+    const value = this._getSetting(MODULE_ID, 'autoReplaceConfidence');
+    return typeof value === 'number' ? value : DEFAULT_AUTO_REPLACE_CONFIDENCE;
+  }
+
+  /**
+   * Confidence of a match
+   * @param {{score?: number}|null} match - Scored match (remembered matches carry score 0)
+   * @returns {number} 1 - score, UNSCORED_CONFIDENCE without a score, 0 without a match
+   */
+  getConfidence(match) {
+    if (!match) return 0;
+    return match.score !== undefined ? round(1 - match.score) : UNSCORED_CONFIDENCE;
+  }
+
+  /**
+   * Whether a match is confident enough for auto-replace
+   * @param {{score?: number}|null} match - Scored match
+   * @returns {boolean} True if its confidence reaches autoReplaceConfidence
+   */
+  meetsAutoReplace(match) {
+    return !!match && this.getConfidence(match) >= this.getAutoReplaceConfidence();
+  }
+
+  /**
+   * Score results for a creature and sort them best first
+   * Ties keep their search order. The input is not mutated.
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {Array<{path: string, name?: string, category?: string, source?: string, score?: number, relevance?: number}>} results - Search results
+   * @returns {import('../types/typedefs.js').TokenMatch[]} Results with score and explanation
+   */
+  scoreResults(creatureInfo, results) {
+    if (!results?.length) return [];
+    const context = this._createContext(creatureInfo, results);
+    const scored = results
+      .map((result, index) => ({ result: this._score(context, result), index }))
+      .sort(
+        (a, b) =>
+          b.result.explanation.confidence - a.result.explanation.confidence || a.index - b.index
+      );
+    this._debugLog(
+      `Scored ${scored.length} result(s) for "${creatureInfo.actorName}", best ${scored[0].result.explanation.confidence}`
+    );
+    return scored.map(({ result }) => result);
+  }
+
+  /**
+   * Score a single result for a creature
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {{path: string, name?: string, category?: string, source?: string, score?: number, relevance?: number}} result - Search result
+   * @returns {import('../types/typedefs.js').TokenMatch} Result with score and explanation
+   */
+  scoreResult(creatureInfo, result) {
+    return this._score(this._createContext(creatureInfo, [result]), result);
+  }
+
+  /**
+   * Summarize why a match was found and ranked where it is
+   * Each component gets a penalty: the confidence it cost by not matching fully.
+   * @param {Object} match - Match from searchTokenArt (scored) or a category browse (unscored)
+   * @returns {import('../types/typedefs.js').MatchDescription} Description for the match grid
+   */
+  describe(match) {
+    const explanation = match.explanation ?? null;
+    const components = explanation?.components ?? [];
+    const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+    const termOf = (key) => components.find((c) => c.key === key)?.term ?? null;
+
+    /** @type {import('../types/typedefs.js').MatchDescription['foundBy']} */
+    let foundBy = { kind: 'search', term: match.matchedTerm ?? null };
+    if (match.fromName) foundBy = { kind: 'name', term: termOf('name') };
+    else if (match.fromSubtype) {
+      foundBy = {
+        kind: 'subtype',
+        term: match.matchedTerm ?? match.matchedTokens?.join(' ') ?? null,
+      };
+    } else if (match.fromCategory) foundBy = { kind: 'category', term: match.category ?? null };
+
+    return {
+      confidence: explanation ? explanation.confidence : null,
+      foundBy,
+      source: match.source ?? null,
+      indexTokens: match.matchedTokens ?? [],
+      components: components.map((c) => ({
+        ...c,
+        penalty: totalWeight > 0 ? round((c.weight * (1 - c.value)) / totalWeight) : 0,
+      })),
+      feedbackWeight: match.feedbackWeight ?? null,
+    };
+  }
+
+  /**
+   * Collect the per-creature inputs shared by every result
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info
+   * @param {Array<{relevance?: number, score?: number}>} results - Results scored together (for the best relevance)
+   * @returns {Object} Scoring context
+   * @private
+   */
+  _createContext(creatureInfo, results) {
+    // Actor and token names count fully; parts of the actor name count at their weight
+    const names = [
+      ...[creatureInfo.actorName, creatureInfo.tokenName]
+        .filter(Boolean)
+        .map((term) => ({ term, weight: 1 })),
+      ...(creatureInfo.nameTerms ?? []),
+    ].filter(
+      (name, i, all) =>
+        all.findIndex((other) => other.term.toLowerCase() === name.term.toLowerCase()) === i
+    );
+    const packs = String(this._getSetting(MODULE_ID, 'preferredPacks') ?? '')
+      .split(',')
+      .map((pack) => pack.trim().toLowerCase())
+      .filter(Boolean);
+    return {
+      names,
+      type: creatureInfo.type || null,
+      subtypeTerms: parseSubtypeTerms(creatureInfo.subtype),
+      preferredSources: PREFERRED_SOURCES[this._getSetting(MODULE_ID, 'searchPriority')] ?? null,
+      packs,
+      bestRelevance: Math.max(0, ...results.map((result) => result.relevance ?? 0)),
+      weights: this.getWeights(),
+    };
+  }
+
+  /**
+   * Compute the components, confidence and score of one result
+   * @param {Object} context - Output of _createContext()
+   * @param {Object} result - Search result
+   * @returns {import('../types/typedefs.js').TokenMatch} Scored copy of the result
+   * @private
+   */
+  _score(context, result) {
+    const imageName = getResultName(result);
+    const pathLower = (result.path || '').toLowerCase();
+    const folderLower = pathLower.slice(0, pathLower.lastIndexOf('/'));
+    const components = [];
+    const add = (key, value, reason, term = null) => {
+      components.push({ key, value, weight: context.weights[key], reason, term });
+    };
+
+    let name = { value: 0, reason: 'none', term: null };
+    for (const { term, weight } of context.names) {
+      const match = scoreNameMatch(imageName, term);
+      const value = round(match.value * weight);
+      if (value > name.value) name = { value, reason: match.reason, term };
+    }
+    add('name', name.value, name.reason, name.term);
+
+    if (context.subtypeTerms.length > 0) {
+      const words = toWords(imageName);
+      const inName = context.subtypeTerms.find((t) => toWords(t).every((w) => words.includes(w)));
+      const inPath = inName ? null : context.subtypeTerms.find((t) => pathLower.includes(t));
+      const value = inName ? 1 : inPath ? 0.7 : 0;
+      if (name.value > value) {
+        add('subtype', name.value, 'impliedByName', name.term);
+      } else {
+        add('subtype', value, inName ? 'name' : inPath ? 'path' : 'none', inName ?? inPath ?? null);
+      }
+    }
+
+    if (context.type) {
+      if (matchesCreatureType(result.category, context.type)) {
+        add('category', 1, 'category', result.category);
+      } else if (matchesCreatureType(folderLower, context.type)) {
+        add('category', 1, 'path', context.type);
+      } else {
+        add('category', 0, 'none');
+      }
+    }
+
+    if (context.preferredSources) {
+      const preferred = context.preferredSources.includes(result.source);
+      add('source', preferred ? 1 : 0, preferred ? 'preferred' : 'none', result.source ?? null);
+    }
+
+    if (context.packs.length > 0) {
+      const pack = context.packs.find((p) => pathLower.includes(p));
+      add('pack', pack ? 1 : 0, pack ? 'preferred' : 'none', pack ?? null);
+    }
+
+    if (typeof result.relevance === 'number' && context.bestRelevance > 0) {
+      const value = round(Math.max(0, result.relevance) / context.bestRelevance);
+      add('relevance', value, value > 0 ? 'relevance' : 'none', String(result.relevance));
+    }
+
+    const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+    const confidence = round(
+      totalWeight > 0
+        ? components.reduce((sum, c) => sum + c.weight * c.value, 0) / totalWeight
+        : name.value
+    );
+
+    return {
+      ...result,
+      score: round(1 - confidence),
+      explanation: {
+        confidence,
+        components,
+        ...(result.score !== undefined && { sourceScore: result.score }),
+      },
+    };
+  }
+}
+
+// Export singleton instance
+export const scoringService = new ScoringService();
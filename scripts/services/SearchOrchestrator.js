@@ -14,6 +14,7 @@ import {
 import {
   parseSubtypeTerms,
   hasGenericSubtype,
+  matchesCreatureType,
   getCreatureCacheKey,
   isExcludedPath,
   loadFuse,
@@ -23,8 +24,11 @@ import {
   createDebugLogger,
   createDefaultGetSetting,
   createModuleError,
+  createAllWordsQuery,
 } from '../core/Utils.js';
 import { indexService } from './IndexService.js';
+import { rankingFeedbackService } from './RankingFeedbackService.js';
+import { scoringService } from './ScoringService.js';
 
 /**
  * SearchOrchestrator class for complex search orchestration
@@ -36,6 +40,8 @@ export class SearchOrchestrator {
       tvaCacheService: injectedTVACache,
       forgeBazaarService: injectedForgeBazaar,
       indexService: injectedIndex = indexService,
+      feedbackService = rankingFeedbackService,
+      scoringService: injectedScoring = scoringService,
       getSetting = createDefaultGetSetting(),
       workerFactory = () => new Worker(`modules/${MODULE_ID}/scripts/workers/IndexWorker.js`),
     } = deps;
@@ -44,6 +50,8 @@ export class SearchOrchestrator {
     this._tvaCacheService = injectedTVACache ?? null;
     this._forgeBazaarService = injectedForgeBazaar ?? null;
     this._indexService = injectedIndex;
+    this._feedbackService = feedbackService;
+    this._scoringService = injectedScoring;
     this._getSetting = getSetting;
     this._workerFactory = workerFactory;
     this.worker = null;
@@ -117,20 +125,7 @@ export class SearchOrchestrator {
    * @returns {boolean} True if match
    */
   folderMatchesCreatureType(folderName, creatureType) {
-    if (!folderName || !creatureType) return false;
-    const folderLower = folderName.toLowerCase();
-    const typeLower = creatureType.toLowerCase();
-
-    // Direct match
-    if (folderLower.includes(typeLower)) return true;
-
-    // Check against mappings
-    const mappings = CREATURE_TYPE_MAPPINGS[typeLower];
-    if (mappings) {
-      return mappings.some((term) => folderLower.includes(term.toLowerCase()));
-    }
-
-    return false;
+    return matchesCreatureType(folderName, creatureType);
   }
 
   /**
@@ -510,6 +505,16 @@ export class SearchOrchestrator {
         }
       }
 
+      // Search pre-built index
+      if (this._indexService.isBuilt) {
+        for (const result of this._indexService.search(directSearchTerm)) {
+          if (!seenPaths.has(result.path) && !isExcludedPath(result.path)) {
+            seenPaths.add(result.path);
+            results.push(result);
+          }
+        }
+      }
+
       // Search local index
       if (localIndex?.length > 0) {
         const termLower = directSearchTerm.toLowerCase();
@@ -800,6 +805,9 @@ export class SearchOrchestrator {
 
   /**
    * Search for token art based on creature info
+   * Results are scored and sorted by ScoringService and cached in that order; learned
+   * accept/skip feedback is applied on every return, so feedback recorded during a run
+   * reorders cached results too.
    * @param {Object} creatureInfo - Creature information
    * @param {Array} localIndex - Local image index
    * @param {boolean} useCache - Whether to use cache
@@ -811,7 +819,7 @@ export class SearchOrchestrator {
 
     const cacheKey = getCreatureCacheKey(creatureInfo);
     if (useCache && this.searchCache.has(cacheKey)) {
-      return this.searchCache.get(cacheKey);
+      return this._feedbackService.rank(creatureInfo, this.searchCache.get(cacheKey));
     }
 
     const priority = this._getSetting(MODULE_ID, 'searchPriority');
@@ -837,8 +845,15 @@ export class SearchOrchestrator {
         console.log(`${MODULE_ID} | Using index for subtype search (FAST mode)`);
 
         // First search for actor name (highest priority - exact matches)
+        // Every word must match ("Bandit Captain" is not every bandit plus every captain),
+        // adjacent words first; if no image has them all, fall back to any word
         if (creatureInfo.actorName) {
-          const nameResults = this._indexService.search(creatureInfo.actorName.toLowerCase());
+          let nameResults = this._indexService.searchQuery(
+            createAllWordsQuery(creatureInfo.actorName)
+          );
+          if (nameResults.length === 0) {
+            nameResults = this._indexService.search(creatureInfo.actorName.toLowerCase());
+          }
           console.log(
             `${MODULE_ID} | Index returned ${nameResults.length} results for actor name "${creatureInfo.actorName}"`
           );
@@ -848,7 +863,6 @@ export class SearchOrchestrator {
               seenPaths.add(result.path);
               results.push({
                 ...result,
-                score: result.score ?? 0.1, // Higher priority (lower score = better)
                 fromName: true,
               });
             }
@@ -865,7 +879,6 @@ export class SearchOrchestrator {
             seenPaths.add(result.path);
             results.push({
               ...result,
-              score: result.score ?? 0.3,
               fromSubtype: true,
             });
           }
@@ -889,7 +902,6 @@ export class SearchOrchestrator {
               seenPaths.add(result.path);
               results.push({
                 ...result,
-                score: result.score ?? 0.1,
                 fromName: true,
               });
             }
@@ -907,7 +919,6 @@ export class SearchOrchestrator {
             seenPaths.add(result.path);
             results.push({
               ...result,
-              score: result.score ?? 0.3,
               fromSubtype: true,
             });
           }
@@ -930,7 +941,6 @@ export class SearchOrchestrator {
               seenPaths.add(result.path);
               results.push({
                 ...result,
-                score: result.score ?? 0.1,
                 fromName: true,
               });
             }
@@ -949,7 +959,6 @@ export class SearchOrchestrator {
               seenPaths.add(result.path);
               results.push({
                 ...result,
-                score: result.score ?? 0.3,
                 fromSubtype: true,
                 matchedTerm: term,
               });
@@ -976,7 +985,6 @@ export class SearchOrchestrator {
               results.push({
                 ...match,
                 source: 'local',
-                score: match.score ?? 0.15,
                 fromName: true,
               });
             }
@@ -1005,7 +1013,6 @@ export class SearchOrchestrator {
               results.push({
                 ...match,
                 source: 'local',
-                score: match.score ?? 0.4,
                 fromSubtype: true,
                 matchedTerm: term,
               });
@@ -1018,8 +1025,9 @@ export class SearchOrchestrator {
         `${MODULE_ID} | Total results after OR search: ${results.length} (matching ${subtypeTerms.join(' OR ')})`
       );
 
-      this.searchCache.set(cacheKey, results);
-      return results;
+      const scored = this._scoringService.scoreResults(creatureInfo, results);
+      this.searchCache.set(cacheKey, scored);
+      return this._feedbackService.rank(creatureInfo, scored);
     }
 
     // Use Set for O(1) duplicate check
@@ -1043,7 +1051,7 @@ export class SearchOrchestrator {
         for (const result of tvaResults) {
           if (!seenPaths.has(result.path)) {
             seenPaths.add(result.path);
-            results.push(result);
+            results.push({ ...result, matchedTerm: term });
           }
         }
         if (tvaResults.length >= 5 && term === searchTerms[0]) {
@@ -1063,14 +1071,13 @@ export class SearchOrchestrator {
           seenPaths.add(result.path);
           results.push({
             ...result,
-            score: result.score ?? 0.6,
             fromCategory: true,
           });
         }
       }
     }
 
-    // Filter and sort results
+    // Drop results without a usable path; scoring sorts the rest
     const validResults = results.filter((r) => {
       if (!r.path || typeof r.path !== 'string') return false;
       return (
@@ -1081,87 +1088,60 @@ export class SearchOrchestrator {
       );
     });
 
-    validResults.sort((a, b) => {
-      // Priority order: fromName > fromSubtype > fromCategory > other
-      const aIsName = a.fromName === true;
-      const bIsName = b.fromName === true;
-      const aIsSubtype = a.fromSubtype === true;
-      const bIsSubtype = b.fromSubtype === true;
-      const aIsCategory = a.fromCategory === true;
-      const bIsCategory = b.fromCategory === true;
-
-      // Name matches have highest priority
-      if (aIsName && !bIsName) return -1;
-      if (!aIsName && bIsName) return 1;
-
-      // Subtype matches next
-      if (aIsSubtype && !bIsSubtype && !bIsName) return -1;
-      if (!aIsSubtype && bIsSubtype && !aIsName) return 1;
-
-      // Category matches last
-      if (aIsCategory && bIsCategory) {
-        /* same priority */
-      } else if (!aIsCategory && bIsCategory) return -1;
-      else if (aIsCategory && !bIsCategory) return 1;
-
-      // Within same priority, respect source preference
-      if (priority === 'faNexus') {
-        if (a.source === 'local' && b.source !== 'local') return -1;
-        if (a.source !== 'local' && b.source === 'local') return 1;
-      } else if (priority === 'forgeBazaar') {
-        if (a.source === 'tva' && b.source !== 'tva') return -1;
-        if (a.source !== 'tva' && b.source === 'tva') return 1;
-      }
-
-      // Finally sort by score (lower is better)
-      return (a.score || 0.5) - (b.score || 0.5);
-    });
-
-    this.searchCache.set(cacheKey, validResults);
-    return validResults;
+    const scored = this._scoringService.scoreResults(creatureInfo, validResults);
+    this.searchCache.set(cacheKey, scored);
+    return this._feedbackService.rank(creatureInfo, scored);
   }
 
   /**
    * Perform parallel searches for multiple creature groups
+   * Groups of the same creature (by getCreatureCacheKey), e.g. groups split by the GM or
+   * grouped by actor, share one search: batches and progress count distinct creatures,
+   * and every group gets its own copy of the results.
    * @param {Map} groups - Creature groups
    * @param {Array} localIndex - Local image index
    * @param {Function} progressCallback - Progress callback
-   * @returns {Promise<Map>} Search results map
+   * @returns {Promise<Map>} Search results map, in group order
    */
   async parallelSearchCreatures(groups, localIndex, progressCallback = null) {
-    const groupArray = Array.from(groups.entries());
-    const totalGroups = groupArray.length;
-    const results = new Map();
+    const searches = new Map();
+    for (const group of groups.values()) {
+      const searchKey = getCreatureCacheKey(group.creatureInfo);
+      if (!searches.has(searchKey)) {
+        searches.set(searchKey, { creatureInfo: group.creatureInfo, matches: [] });
+      }
+    }
+    const searchArray = Array.from(searches.values());
+    const totalSearches = searchArray.length;
 
-    for (let i = 0; i < groupArray.length; i += PARALLEL_BATCH_SIZE) {
-      const batch = groupArray.slice(i, i + PARALLEL_BATCH_SIZE);
+    for (let i = 0; i < searchArray.length; i += PARALLEL_BATCH_SIZE) {
+      const batch = searchArray.slice(i, i + PARALLEL_BATCH_SIZE);
 
       if (progressCallback) {
-        const completed = Math.min(i, groupArray.length);
+        const completed = Math.min(i, searchArray.length);
         progressCallback({
           type: 'batch',
           completed: completed,
-          total: totalGroups,
-          currentBatch: batch.map(([key, group]) => group.creatureInfo.actorName),
+          total: totalSearches,
+          currentBatch: batch.map((search) => search.creatureInfo.actorName),
         });
       }
 
-      const batchPromises = batch.map(async ([key, group]) => {
-        const searchResults = await this.searchTokenArt(group.creatureInfo, localIndex, true);
-        return { key, searchResults, group };
-      });
-
-      const batchResults = await Promise.all(batchPromises);
-
-      for (const { key, searchResults, group } of batchResults) {
-        results.set(key, {
-          matches: searchResults,
-          tokens: group.tokens,
-          creatureInfo: group.creatureInfo,
-        });
-      }
+      await Promise.all(
+        batch.map(async (search) => {
+          search.matches = await this.searchTokenArt(search.creatureInfo, localIndex, true);
+        })
+      );
     }
 
+    const results = new Map();
+    for (const [key, group] of groups) {
+      results.set(key, {
+        matches: [...searches.get(getCreatureCacheKey(group.creatureInfo)).matches],
+        tokens: group.tokens,
+        creatureInfo: group.creatureInfo,
+      });
+    }
     return results;
   }
 }
@@ -12,7 +12,8 @@ import { searchOrchestrator } from './SearchOrchestrator.js';
 
 /**
  * SearchService - Initializes sub-services and delegates search operations
- * Externally called methods: init(), clearCache(), searchByCategory(), parallelSearchCreatures()
+ * Externally called methods: init(), clearCache(), searchByCategory(), searchTokenArt(),
+ * parallelSearchCreatures()
  */
 export class SearchService {
   constructor() {
@@ -127,6 +128,42 @@ export class SearchService {
     }
   }
 
+  /**
+   * Search token art for a single creature
+   * Delegates to SearchOrchestrator; results are served from the search cache when available
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info from TokenService
+   * @param {Array} [localIndex=[]] - Local image index
+   * @returns {Promise<Array>} Matches, best first
+   * @throws {Object} Structured error if search fails
+   */
+  async searchTokenArt(creatureInfo, localIndex = []) {
+    try {
+      if (!creatureInfo || !Array.isArray(creatureInfo.searchTerms)) {
+        this._debugLog('Invalid creature info for searchTokenArt:', creatureInfo);
+        throw createModuleError(
+          'search_failed',
+          'Invalid creature info provided (searchTerms must be an array)',
+          ['check_console']
+        );
+      }
+
+      const results = await searchOrchestrator.searchTokenArt(creatureInfo, localIndex, true);
+      this._debugLog(`Search for "${creatureInfo.actorName}" found ${results.length} results`);
+      return results;
+    } catch (error) {
+      if (error.errorType && error.message && error.recoverySuggestions) {
+        throw error;
+      }
+
+      this._debugLog('Unexpected error in searchTokenArt:', error);
+      throw createModuleError(
+        'search_failed',
+        `Unexpected error searching for "${creatureInfo?.actorName}": ${error.message || String(error)}`,
+        ['check_console', 'reload_module']
+      );
+    }
+  }
+
   /**
    * Perform parallel searches for multiple creature groups
    * Delegates to SearchOrchestrator
@@ -0,0 +1,255 @@
+/**
+ * Token Replacer FA - System Adapter Service
+ * Game-system specific actor eligibility and creature type extraction
+ * @module services/SystemAdapterService
+ */
+
+import { MODULE_ID } from '../core/Constants.js';
+import { createModuleError, createDebugLogger } from '../core/Utils.js';
+
+/**
+ * pf2e creature type traits mapped to the dnd5e-style types used by CREATURE_TYPE_MAPPINGS
+ * Types not listed here are used as-is.
+ */
+const PF2E_TYPE_ALIASES = {
+  animal: 'beast',
+  beast: 'monstrosity',
+  fungus: 'plant',
+};
+
+/** pf2e traits that name a creature type */
+const PF2E_CREATURE_TYPES = new Set([
+  'aberration',
+  'animal',
+  'astral',
+  'beast',
+  'celestial',
+  'construct',
+  'dragon',
+  'dream',
+  'elemental',
+  'ethereal',
+  'fey',
+  'fiend',
+  'fungus',
+  'giant',
+  'humanoid',
+  'monitor',
+  'ooze',
+  'petitioner',
+  'plant',
+  'shadow',
+  'spirit',
+  'time',
+  'undead',
+]);
+
+/** pf2e traits that describe alignment or sanctification, never the creature itself */
+const PF2E_DESCRIPTOR_TRAITS = new Set([
+  'chaotic',
+  'evil',
+  'good',
+  'lawful',
+  'holy',
+  'unholy',
+  'mindless',
+]);
+
+/**
+ * Empty creature data (no type information)
+ * @returns {import('../types/typedefs.js').CreatureData} Creature data
+ */
+function emptyCreatureData() {
+  return { type: null, subtype: null, race: null, traits: [] };
+}
+
+/**
+ * Default eligibility: the NPC actor types used by most systems
+ * @param {Actor} actor - Actor to check
+ * @returns {boolean} True for npc/creature actors
+ */
+function isNPCActorType(actor) {
+  return actor.type === 'npc' || actor.type === 'creature';
+}
+
+/**
+ * D&D 5e: system.details.type as an object or a "Type (Subtype)" string, plus race
+ * @type {import('../types/typedefs.js').SystemAdapter}
+ */
+export const DND5E_ADAPTER = {
+  id: 'dnd5e',
+  isEligibleActor: isNPCActorType,
+  extractCreatureData(actor) {
+    const data = emptyCreatureData();
+    /** @type {any} - D&D 5e system data (not typed by fvtt-types) */
+    const system = actor.system;
+
+    const typeData = system?.details?.type;
+    if (typeof typeData === 'string') {
+      // Parse "Type (Subtype)" format, e.g., "Humanoid (Tiefling)", "Humanoid (Elf)"
+      const parenMatch = typeData.match(/^([^(]+)\s*\(([^)]+)\)$/);
+      if (parenMatch) {
+        data.type = parenMatch[1].trim().toLowerCase() || null;
+        data.subtype = parenMatch[2].trim() || null;
+      } else {
+        data.type = typeData.trim().toLowerCase() || null;
+      }
+    } else if (typeData && typeof typeData === 'object') {
+      const typeValue = typeData.value || typeData.label || null;
+      data.type = typeValue ? typeValue.toLowerCase() : null;
+      data.subtype = typeData.subtype || null;
+      data.custom = typeData.custom || null;
+    }
+
+    // Fallback: creatureType field used by some older data
+    if (!data.type && system?.details?.creatureType) {
+      const fallbackType = system.details.creatureType;
+      data.type = typeof fallbackType === 'string' ? fallbackType.toLowerCase() : fallbackType;
+    }
+
+    if (!data.type) {
+      console.warn(
+        `${MODULE_ID} | Could not extract creature type for ${actor.name}. Details:`,
+        system?.details
+      );
+    }
+
+    const race = system?.details?.race;
+    if (race) {
+      data.race = typeof race === 'string' ? race : race?.name || null;
+    }
+    return data;
+  },
+};
+
+/**
+ * Pathfinder 2e: the creature type is a trait; the remaining traits (goblin, orc, fire, ...) form the subtype
+ * @type {import('../types/typedefs.js').SystemAdapter}
+ */
+export const PF2E_ADAPTER = {
+  id: 'pf2e',
+  isEligibleActor: (actor) => actor.type === 'npc',
+  extractCreatureData(actor) {
+    const data = emptyCreatureData();
+    /** @type {any} - pf2e system data (not typed by fvtt-types) */
+    const system = actor.system;
+    const traits = (system?.traits?.value ?? [])
+      .filter((trait) => typeof trait === 'string')
+      .map((trait) => trait.toLowerCase());
+    data.traits = traits;
+
+    const typeTrait = traits.find((trait) => PF2E_CREATURE_TYPES.has(trait));
+    if (typeTrait) {
+      data.type = PF2E_TYPE_ALIASES[typeTrait] ?? typeTrait;
+    }
+
+    const subtypes = traits.filter(
+      (trait) => !PF2E_CREATURE_TYPES.has(trait) && !PF2E_DESCRIPTOR_TRAITS.has(trait)
+    );
+    data.subtype = subtypes.length > 0 ? subtypes.join(', ') : null;
+    return data;
+  },
+};
+
+/**
+ * Fallback for systems without an adapter: NPC actor types, matched by name only
+ * @type {import('../types/typedefs.js').SystemAdapter}
+ */
+export const GENERIC_ADAPTER = {
+  id: 'generic',
+  isEligibleActor: isNPCActorType,
+  extractCreatureData: () => emptyCreatureData(),
+};
+
+/**
+ * SystemAdapterService - Registry of game-system adapters
+ *
+ * The adapter for the active system (game.system.id) decides which actors are
+ * eligible and where their creature type, subtype and traits live. Systems
+ * without a registered adapter fall back to GENERIC_ADAPTER, which searches by
+ * actor and token name only.
+ * @example
+ * systemAdapterService.register({
+ *   id: 'sw5e',
+ *   isEligibleActor: (actor) => actor.type === 'npc',
+ *   extractCreatureData: (actor) => ({ type: actor.system.details.type.value, subtype: null, race: null, traits: [] }),
+ * });
+ */
+export class SystemAdapterService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(): string|undefined} [deps.getSystemId] - Active system ID accessor (default: game.system.id)
+   * @param {import('../types/typedefs.js').SystemAdapter[]} [deps.adapters] - Adapters registered up front (default: dnd5e and pf2e)
+   */
+  constructor(deps = {}) {
+    const { getSystemId = () => game.system?.id, adapters = [DND5E_ADAPTER, PF2E_ADAPTER] } = deps;
+    this._getSystemId = getSystemId;
+    /** @type {Map<string, import('../types/typedefs.js').SystemAdapter>} */
+    this._adapters = new Map();
+    this._debugLog = createDebugLogger('SystemAdapterService');
+    for (const adapter of adapters) this.register(adapter);
+  }
+
+  /**
+   * Register (or replace) the adapter for a game system
+   * @param {import('../types/typedefs.js').SystemAdapter} adapter - Adapter to register
+   * @throws {Object} Structured error if the adapter is missing its id or functions
+   */
+  register(adapter) {
+    if (
+      typeof adapter?.id !== 'string' ||
+      typeof adapter.isEligibleActor !== 'function' ||
+      typeof adapter.extractCreatureData !== 'function'
+    ) {
+      throw createModuleError(
+        'invalid_adapter',
+        'System adapters need an id, isEligibleActor() and extractCreatureData()',
+        ['check_console']
+      );
+    }
+    this._adapters.set(adapter.id, adapter);
+  }
+
+  /**
+   * Get the adapter for a system
+   * @param {string} [systemId] - System ID (default: the active system)
+   * @returns {import('../types/typedefs.js').SystemAdapter} Registered adapter or GENERIC_ADAPTER
+   */
+  getAdapter(systemId = this._getSystemId()) {
+    return this._adapters.get(systemId) ?? GENERIC_ADAPTER;
+  }
+
+  /**
+   * Check whether an actor is eligible for art replacement in the active system
+   * @param {Actor|null} actor - Actor to check
+   * @returns {boolean} True for NPC-like actors
+   */
+  isEligibleActor(actor) {
+    if (!actor) return false;
+    return this.getAdapter().isEligibleActor(actor);
+  }
+
+  /**
+   * Extract creature type data for an actor with the active system's adapter
+   * Adapter errors are logged and treated as missing type data, so a broken
+   * adapter degrades to name-only matching instead of stopping a run.
+   * @param {Actor} actor - Actor to read
+   * @returns {import('../types/typedefs.js').CreatureData} Creature data
+   */
+  extractCreatureData(actor) {
+    const adapter = this.getAdapter();
+    try {
+      return { ...emptyCreatureData(), ...adapter.extractCreatureData(actor) };
+    } catch (error) {
+      console.warn(
+        `${MODULE_ID} | System adapter "${adapter.id}" failed for ${actor.name}:`,
+        error
+      );
+      this._debugLog('Adapter error:', error.message);
+      return emptyCreatureData();
+    }
+  }
+}
+
+// Export singleton instance
+export const systemAdapterService = new SystemAdapterService();
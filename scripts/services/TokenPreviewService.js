@@ -0,0 +1,138 @@
+/**
+ * Token Replacer FA - Token Preview Service
+ * Shows candidate art on the canvas tokens before it is written to their documents
+ * @module services/TokenPreviewService
+ */
+
+import { MODULE_ID } from '../core/Constants.js';
+import { createDebugLogger, createDefaultGetSetting } from '../core/Utils.js';
+
+/**
+ * TokenPreviewService - Client-side texture swaps for placed tokens
+ *
+ * preview() swaps the texture of each token's canvas mesh; no document is updated,
+ * so nothing reaches other clients and nothing is saved. The first preview of a token
+ * keeps its original texture, and restore() puts every original back. Tokens without a
+ * canvas mesh (scenes not on the canvas, actor targets) are left alone.
+ * @example
+ * await tokenPreviewService.preview(group.tokens, ['FA/Goblin_Dark_01.webp']);
+ * // ...the GM picks or skips
+ * tokenPreviewService.restore();
+ */
+export class TokenPreviewService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(string): Promise<Object|null>} [deps.loadTexture] - Texture loader
+   *   (default: Foundry's loadTexture)
+   * @param {function(string, string): *} [deps.getSetting] - Settings accessor (default: game.settings.get)
+   */
+  constructor(deps = {}) {
+    const {
+      loadTexture = (src) => (foundry.canvas?.loadTexture ?? globalThis.loadTexture)(src),
+      getSetting = createDefaultGetSetting(),
+    } = deps;
+
+    this._loadTexture = loadTexture;
+    this._getSetting = getSetting;
+    this._debugLog = createDebugLogger('TokenPreviewService');
+    // Token → texture its mesh had before the first preview
+    this._originals = new Map();
+    // Bumped by every preview and restore, so a slow texture load never lands after a newer one
+    this._generation = 0;
+  }
+
+  /**
+   * Whether canvas previews are enabled
+   * @returns {boolean} Value of the previewOnCanvas setting
+   */
+  get isEnabled() {
+    try {
+      return this._getSetting(MODULE_ID, 'previewOnCanvas') !== false;
+    } catch {
+      return true;
+    }
+  }
+
+  /**
+   * Whether any token currently shows a preview
+   * @returns {boolean} True until restore()
+   */
+  get isPreviewing() {
+    return this._originals.size > 0;
+  }
+
+  /**
+   * Show images on tokens without updating them
+   * @param {Array<Object>} tokens - Tokens to preview on
+   * @param {string[]} paths - Image per token in token order, repeating when shorter
+   *   (one path previews the same image on every token)
+   * @returns {Promise<boolean>} True if the preview was shown, false if it was disabled,
+   *   had nothing to show or was superseded by a newer preview or restore
+   */
+  async preview(tokens, paths) {
+    if (!paths?.length || !this.isEnabled) return false;
+    const targets = (tokens ?? []).filter((token) => this._hasMesh(token));
+    if (targets.length === 0) return false;
+
+    const generation = ++this._generation;
+    const textures = await Promise.all(targets.map((_, i) => this._load(paths[i % paths.length])));
+    if (generation !== this._generation) return false;
+
+    for (const [i, token] of targets.entries()) {
+      if (!textures[i] || !this._hasMesh(token)) continue;
+      if (!this._originals.has(token)) this._originals.set(token, token.mesh.texture);
+      this._setTexture(token, textures[i]);
+    }
+    return true;
+  }
+
+  /**
+   * Put the original texture back on every previewed token
+   * Also cancels previews still loading.
+   */
+  restore() {
+    this._generation++;
+    for (const [token, texture] of this._originals) {
+      if (this._hasMesh(token)) this._setTexture(token, texture);
+    }
+    this._originals.clear();
+  }
+
+  /**
+   * Load a texture, resolving to null if it cannot be loaded
+   * @param {string} path - Image path
+   * @returns {Promise<Object|null>} Texture or null
+   * @private
+   */
+  async _load(path) {
+    try {
+      return (await this._loadTexture(path)) ?? null;
+    } catch (error) {
+      this._debugLog(`Could not load preview texture "${path}"`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a token has a live canvas mesh
+   * @param {Object} token - Token or replacement target
+   * @returns {boolean} True if its texture can be swapped
+   * @private
+   */
+  _hasMesh(token) {
+    return !!token?.mesh && !token.mesh.destroyed;
+  }
+
+  /**
+   * Swap a token mesh's texture and refit the mesh to it
+   * @param {Object} token - Token placeable
+   * @param {Object} texture - Texture to show
+   * @private
+   */
+  _setTexture(token, texture) {
+    token.mesh.texture = texture;
+    token.renderFlags?.set({ refreshMesh: true });
+  }
+}
+
+export const tokenPreviewService = new TokenPreviewService();
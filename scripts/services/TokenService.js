@@ -4,12 +4,19 @@
  * @module services/TokenService
  *
  * Design Note: This class uses instance methods with constructor dependency injection.
- * The canvas global is injected via constructor for testability. A default singleton
+ * The canvas global and settings accessor are injected via constructor for testability. A default singleton
  * is exported for production use, while tests can create instances with mock canvas.
  */
 
 import { MODULE_ID } from '../core/Constants.js';
-import { getCreatureCacheKey, createModuleError } from '../core/Utils.js';
+import {
+  getCreatureCacheKey,
+  analyzeCreatureName,
+  stripNameNumbering,
+  createModuleError,
+  createDefaultGetSetting,
+} from '../core/Utils.js';
+import { systemAdapterService } from './SystemAdapterService.js';
 
 /**
  * TokenService class for handling token operations
@@ -29,27 +36,40 @@ export class TokenService {
   /**
    * @param {Object} [deps={}] - Dependency overrides for testing
    * @param {Object} [deps.canvas] - Canvas object (default: global canvas)
+   * @param {function(string, string): *} [deps.getSetting] - Settings accessor (default: game.settings.get)
+   * @param {Object} [deps.systemAdapters] - System adapter registry (default: imported singleton)
    */
   constructor(deps = {}) {
-    const { canvas: injectedCanvas } = deps;
+    const {
+      canvas: injectedCanvas,
+      getSetting = createDefaultGetSetting(),
+      systemAdapters = systemAdapterService,
+    } = deps;
     this._getCanvas = () => injectedCanvas ?? canvas;
+    this._getSetting = getSetting;
+    this._systemAdapters = systemAdapters;
   }
 
   /**
    * Extract creature information from a token
    * @param {Token} token - Foundry VTT token
+   * @param {Object} [options={}] - Extraction options
+   * @param {boolean} [options.nameFromToken=false] - Name the creature after the token without
+   *   numbering ("Bandit Captain" for a token of the Bandit actor); the actor name is then
+   *   searched after it instead of the token name
    * @returns {import('../types/typedefs.js').CreatureInfo | null} Creature info or null
    */
-  extractCreatureInfo(token) {
+  extractCreatureInfo(token, options = {}) {
     const actor = token.actor;
     if (!actor) return null;
+    const tokenCreatureName = options.nameFromToken ? stripNameNumbering(token.name) : '';
 
     /** @type {any} - D&D 5e system texture access */
     const tokenTexture = token.texture;
     const info = {
       tokenId: token.id,
       tokenName: token.name,
-      actorName: /** @type {string} */ (actor.name),
+      actorName: /** @type {string} */ (tokenCreatureName || actor.name),
       actorId: actor.id,
       currentImage: token.document?.texture?.src || tokenTexture?.src,
       type: null,
@@ -58,60 +78,29 @@ export class TokenService {
       searchTerms: [],
     };
 
-    // Get creature type from dnd5e system
-    // Handle multiple formats: object with value property or direct string
-    /** @type {any} - D&D 5e system data (not typed by fvtt-types) */
-    const system = actor.system;
-    if (system?.details?.type) {
-      const typeData = system.details.type;
-      if (typeof typeData === 'string') {
-        // Parse "Type (Subtype)" format, e.g., "Humanoid (Tiefling)", "Humanoid (Elf)"
-        const parenMatch = typeData.match(/^([^(]+)\s*\(([^)]+)\)$/);
-        if (parenMatch) {
-          info.type = parenMatch[1].trim().toLowerCase() || null;
-          info.subtype = parenMatch[2].trim() || null;
-        } else {
-          info.type = typeData.trim().toLowerCase() || null;
-        }
-      } else if (typeof typeData === 'object') {
-        const typeValue = typeData.value || typeData.label || null;
-        info.type = typeValue ? typeValue.toLowerCase() : null;
-        info.subtype = typeData.subtype || null;
-        info.custom = typeData.custom || null;
-      }
-    }
-
-    // Fallback: check for creatureType field (some systems use this)
-    if (!info.type && system?.details?.creatureType) {
-      const fallbackType = system.details.creatureType;
-      info.type = typeof fallbackType === 'string' ? fallbackType.toLowerCase() : fallbackType;
-    }
-
-    // Debug log to help troubleshoot type extraction issues
-    if (!info.type) {
-      console.warn(
-        `${MODULE_ID} | Could not extract creature type for ${actor.name}. Details:`,
-        system?.details
-      );
-    }
-
-    // Get race if available
-    if (system?.details?.race) {
-      const race = system.details.race;
-      info.race = typeof race === 'string' ? race : race?.name || null;
-    }
+    // Creature type, subtype, race and traits come from the active system's adapter
+    const creatureData = this._systemAdapters.extractCreatureData(actor);
+    info.type = creatureData.type;
+    info.subtype = creatureData.subtype;
+    info.race = creatureData.race;
+    if (creatureData.custom !== undefined) info.custom = creatureData.custom;
+    if (creatureData.traits?.length > 0) info.traits = creatureData.traits;
 
     // Build search terms array (prioritized)
     const terms = [];
 
-    // Primary: Actor name (most specific)
+    // Primary: Actor name (most specific) without numbering, then its base creature
+    // and template ("Zombie Ogre 2" → zombie ogre, ogre, zombie)
     if (info.actorName) {
-      terms.push(info.actorName.toLowerCase());
+      info.nameTerms = analyzeCreatureName(info.actorName).terms;
+      terms.push(...info.nameTerms.map((nameTerm) => nameTerm.term));
     }
 
-    // Secondary: Token name if different from actor
-    if (info.tokenName && info.tokenName.toLowerCase() !== info.actorName?.toLowerCase()) {
-      terms.push(info.tokenName.toLowerCase());
+    // Secondary: Token name without numbering if it names something else than the actor
+    // ("Orc (2)" on an Orc adds nothing); the actor name if named after the token
+    const otherName = analyzeCreatureName(tokenCreatureName ? actor.name : info.tokenName).name;
+    if (otherName && otherName !== analyzeCreatureName(info.actorName).name) {
+      terms.push(otherName);
     }
 
     // Tertiary: Creature type + subtype
@@ -137,6 +126,56 @@ export class TokenService {
     return info;
   }
 
+  /**
+   * Check whether an actor is eligible for art replacement (NPCs only)
+   * Which actor types count as NPCs is decided by the active system's adapter.
+   * @param {Actor|null} actor - Actor to check
+   * @returns {boolean} True for NPC-like actors
+   */
+  isEligibleActor(actor) {
+    return this._systemAdapters.isEligibleActor(actor);
+  }
+
+  /**
+   * Wrap an actor as a replacement target so it can run through the token pipeline
+   * Actor targets have no placed token: extractCreatureInfo() reads the prototype
+   * texture and replacements update the prototype token (and optionally the portrait).
+   * @param {Actor} actor - World or compendium actor
+   * @returns {import('../types/typedefs.js').ActorTarget} Token-shaped target
+   */
+  createActorTarget(actor) {
+    /** @type {any} */
+    const a = actor;
+    return {
+      id: a.uuid ?? a.id,
+      name: a.prototypeToken?.name || a.name,
+      actor: a,
+      document: null,
+      texture: { src: a.prototypeToken?.texture?.src ?? null },
+      isActorTarget: true,
+    };
+  }
+
+  /**
+   * Normalize a token placeable, token document or actor to a replacement target
+   * A synthetic actor (opened from an unlinked token) resolves to its token, so the
+   * placed token is what gets replaced rather than the world actor's prototype.
+   * @param {Token|TokenDocument|Actor} subject - Subject to replace art for
+   * @returns {Token|import('../types/typedefs.js').SceneTokenTarget|import('../types/typedefs.js').ActorTarget|null} Target, or null if unsupported
+   */
+  toReplacementTarget(subject) {
+    /** @type {any} */
+    const s = subject;
+    if (s?.documentName === 'Actor') {
+      return s.isToken && s.token
+        ? this.createSceneTokenTarget(s.token)
+        : this.createActorTarget(s);
+    }
+    if (s?.documentName === 'Token') return this.createSceneTokenTarget(s);
+    if (s?.document && s.actor !== undefined) return s;
+    return null;
+  }
+
   /**
    * Get NPC tokens to process from the current scene
    * If tokens are selected, only process selected NPC tokens
@@ -153,34 +192,64 @@ export class TokenService {
 
     if (selectedTokens.length > 0) {
       // Filter selected tokens to only include NPCs
-      return selectedTokens.filter((token) => {
-        const actor = token.actor;
-        if (!actor) return false;
-        return actor.type === 'npc' || actor.type === 'creature';
-      });
+      return selectedTokens.filter((token) => this.isEligibleActor(token.actor));
     }
 
     // No selection - get all NPC tokens on the scene
-    return c.tokens.placeables.filter((token) => {
-      const actor = token.actor;
-      if (!actor) return false;
-      return actor.type === 'npc' || actor.type === 'creature';
-    });
+    return c.tokens.placeables.filter((token) => this.isEligibleActor(token.actor));
+  }
+
+  /**
+   * Wrap a TokenDocument as a token-shaped target
+   * Used where no placeable exists (scenes off the canvas, freshly created tokens);
+   * updates go through the wrapped document.
+   * @param {TokenDocument} doc - Token document
+   * @returns {import('../types/typedefs.js').SceneTokenTarget} Token-shaped target
+   */
+  createSceneTokenTarget(doc) {
+    /** @type {any} */
+    const d = doc;
+    return {
+      id: d.id,
+      name: d.name,
+      actor: d.actor,
+      document: d,
+      texture: d.texture,
+      isSceneTokenTarget: true,
+    };
+  }
+
+  /**
+   * Get NPC token targets from any scene, including scenes not shown on the canvas
+   * @param {Scene} scene - Scene to read tokens from
+   * @returns {import('../types/typedefs.js').SceneTokenTarget[]} Targets for eligible tokens
+   */
+  getSceneTokenTargets(scene) {
+    /** @type {any} */
+    const s = scene;
+    return [...(s?.tokens ?? [])]
+      .filter((doc) => this.isEligibleActor(doc.actor))
+      .map((doc) => this.createSceneTokenTarget(doc));
   }
 
   /**
    * Group tokens by creature type for batch processing
    * @param {Token[]} tokens - Array of tokens
-   * @returns {Map<string, {creatureInfo: import('../types/typedefs.js').CreatureInfo, tokens: Token[], searchTerms: string[]}>} Map of cache key to group data
+   * @param {string} [groupBy='creature'] - One of GROUPING_MODES: by creature cache key, by
+   *   actor, or by token name without numbering (the group is then named after its tokens)
+   * @returns {Map<string, import('../types/typedefs.js').CreatureGroup>} Map of group key to group data
    */
-  groupTokensByCreature(tokens) {
+  groupTokensByCreature(tokens, groupBy = 'creature') {
     const groups = new Map();
 
     for (const token of tokens) {
-      const creatureInfo = this.extractCreatureInfo(token);
+      const creatureInfo = this.extractCreatureInfo(token, { nameFromToken: groupBy === 'name' });
       if (!creatureInfo) continue;
 
-      const key = getCreatureCacheKey(creatureInfo);
+      const key =
+        groupBy === 'actor' && creatureInfo.actorId
+          ? `actor:${creatureInfo.actorId}`
+          : getCreatureCacheKey(creatureInfo);
 
       if (!groups.has(key)) {
         groups.set(key, {
@@ -196,33 +265,155 @@ export class TokenService {
     return groups;
   }
 
+  /**
+   * Move some tokens of a creature group into a new group right after it
+   * The new group is named after its first token, so a split-off "Bandit Captain" is
+   * searched as one, while a split-off "Bandit 3" shares the bandits' search and only
+   * gets its own pick.
+   * @param {Map<string, import('../types/typedefs.js').CreatureGroup>} groups - Groups from groupTokensByCreature()
+   * @param {string} key - Key of the group to split
+   * @param {string[]} tokenIds - IDs of the tokens to move
+   * @returns {Map<string, import('../types/typedefs.js').CreatureGroup>} New groups map, or the given one if the group is unknown
+   *   or the split would leave either side empty
+   */
+  splitGroup(groups, key, tokenIds) {
+    const group = groups.get(key);
+    const ids = new Set(tokenIds);
+    const moved = group?.tokens.filter((token) => ids.has(token.id)) ?? [];
+    if (moved.length === 0 || moved.length === group.tokens.length) return groups;
+
+    const creatureInfo =
+      this.extractCreatureInfo(moved[0], { nameFromToken: true }) ?? group.creatureInfo;
+    let suffix = 2;
+    while (groups.has(`${key}#${suffix}`)) suffix++;
+
+    const result = new Map();
+    for (const [k, g] of groups) {
+      if (k !== key) {
+        result.set(k, g);
+        continue;
+      }
+      result.set(k, { ...g, tokens: g.tokens.filter((token) => !ids.has(token.id)) });
+      result.set(`${key}#${suffix}`, {
+        creatureInfo,
+        tokens: moved,
+        searchTerms: creatureInfo.searchTerms,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Merge creature groups into the first of them (in group order)
+   * The merged group keeps the first group's creature info, so it is searched and
+   * picked once for all tokens.
+   * @param {Map<string, import('../types/typedefs.js').CreatureGroup>} groups - Groups from groupTokensByCreature()
+   * @param {string[]} keys - Keys of the groups to merge
+   * @returns {Map<string, import('../types/typedefs.js').CreatureGroup>} New groups map, or the given one if fewer than two of
+   *   the keys are known
+   */
+  mergeGroups(groups, keys) {
+    const merging = new Set(keys.filter((key) => groups.has(key)));
+    if (merging.size < 2) return groups;
+
+    const order = [...groups.keys()].filter((key) => merging.has(key));
+    const [targetKey] = order;
+    const tokens = order.flatMap((key) => groups.get(key).tokens);
+    const result = new Map();
+    for (const [k, g] of groups) {
+      if (k === targetKey) result.set(k, { ...g, tokens });
+      else if (!merging.has(k)) result.set(k, g);
+    }
+    return result;
+  }
+
+  /**
+   * Resolve which documents a replacement should update for a token
+   * Linked and unlinked tokens use separate scope settings; the actor portrait is opt-in.
+   * @param {Token} token - Token being replaced
+   * @returns {import('../types/typedefs.js').ReplacementScope} Documents to update
+   */
+  resolveReplacementScope(token) {
+    let portrait = false;
+    try {
+      portrait = !!this._getSetting(MODULE_ID, 'replaceActorPortrait');
+    } catch {
+      // Settings not registered yet - keep portrait untouched
+    }
+
+    // Actor targets have no placed token; their art lives on the prototype
+    if (/** @type {any} */ (token).isActorTarget) {
+      return { token: false, prototype: true, portrait };
+    }
+
+    /** @type {any} */
+    const doc = token.document;
+    const isLinked = !!doc?.actorLink;
+    let scope;
+    try {
+      scope = this._getSetting(MODULE_ID, isLinked ? 'replaceScopeLinked' : 'replaceScopeUnlinked');
+    } catch {
+      scope = null;
+    }
+    scope ??= isLinked ? 'both' : 'token';
+
+    return {
+      token: scope === 'token' || scope === 'both',
+      prototype: scope === 'prototype' || scope === 'both',
+      portrait,
+    };
+  }
+
+  /**
+   * Get the world actor behind a token
+   * Unlinked tokens expose a synthetic actor; prototype and portrait changes belong on the base actor.
+   * @param {Token} token - Token
+   * @returns {Actor|null} World actor or null
+   */
+  getBaseActor(token) {
+    /** @type {any} */
+    const doc = token.document;
+    return doc?.baseActor ?? token.actor ?? null;
+  }
+
+  /**
+   * Apply the actor-level part of a replacement (prototype token and/or portrait)
+   * @param {Token} token - Token whose base actor is updated
+   * @param {string} imagePath - New image path
+   * @param {{prototype: boolean, portrait: boolean}} scope - Actor-level documents to update
+   * @returns {Promise<void>}
+   */
+  async updateActorImages(token, imagePath, scope) {
+    const actor = this.getBaseActor(token);
+    if (!actor || (!scope.prototype && !scope.portrait)) return;
+
+    // Foundry VTT dot-notation update path syntax ('prototypeToken.texture.src')
+    const update = {};
+    if (scope.prototype) update['prototypeToken.texture.src'] = imagePath;
+    if (scope.portrait) update.img = imagePath;
+    await actor.update(/** @type {any} */ (update));
+  }
+
   /**
    * Replace a token's image
    * @param {Token} token - Token to update
    * @param {string} imagePath - New image path
+   * @param {import('../types/typedefs.js').ReplacementScope} [scope] - Documents to update (default: resolved from settings)
    * @returns {Promise<boolean>} Success status
    */
-  async replaceTokenImage(token, imagePath) {
+  async replaceTokenImage(token, imagePath, scope = this.resolveReplacementScope(token)) {
     try {
-      // Update both the token document and the prototype token on the actor
-      // Foundry VTT dot-notation update path syntax ('texture.src')
-      await token.document.update(
-        /** @type {any} */ ({
-          'texture.src': imagePath,
-        })
-      );
-
-      // Also update the actor's prototype token if it exists
-      const actor = token.actor;
-      if (actor) {
-        // Foundry VTT dot-notation update path syntax ('prototypeToken.texture.src')
-        await actor.update(
+      if (scope.token) {
+        // Foundry VTT dot-notation update path syntax ('texture.src')
+        await token.document.update(
           /** @type {any} */ ({
-            'prototypeToken.texture.src': imagePath,
+            'texture.src': imagePath,
           })
         );
       }
 
+      await this.updateActorImages(token, imagePath, scope);
+
       console.log(`${MODULE_ID} | Replaced token image for ${token.name}`);
       return true;
     } catch (error) {
@@ -0,0 +1,261 @@
+/**
+ * Token Replacer FA - Variant Assignment Service
+ * Distributes the images picked for a creature group over its tokens
+ * @module services/VariantAssignmentService
+ */
+
+import { ASSIGNMENT_MODES, SPREAD_NEIGHBOR_SQUARES } from '../core/Constants.js';
+import { createDebugLogger } from '../core/Utils.js';
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Hash value
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * VariantAssignmentService - Decide which picked image each token of a group gets
+ *
+ * Modes (ASSIGNMENT_MODES):
+ * - sequential: images in picked order, repeating ("A, B, A, B")
+ * - random: images shuffled once, then repeating, so each is used as evenly as possible
+ * - name-number: the number in the token name picks the image ("Goblin 3" → third image)
+ * - spread: tokens next to each other never share an image while there are enough images
+ * - weighted: each image is used in proportion to its weight, in random order
+ * - stable-hash: the token ID picks the image, so a token keeps its image across reruns
+ *   (rendezvous hashing: picking more or fewer images only moves the tokens that must move)
+ * @example
+ * const paths = variantAssignmentService.assign(tokens, selection.paths, selection.mode, {
+ *   weights: selection.weights,
+ * });
+ * tokens.forEach((token, i) => app.replaceTokenImage(token, paths[i]));
+ */
+export class VariantAssignmentService {
+  /**
+   * @param {Object} [deps={}] - Dependency overrides for testing
+   * @param {function(): number} [deps.random] - Random number source in [0, 1) (default: Math.random)
+   * @param {function(): number} [deps.getGridSize] - Grid square size in pixels when a token's
+   *   scene has none (default: canvas grid size, or 100)
+   */
+  constructor(deps = {}) {
+    const { random = Math.random, getGridSize = () => canvas?.grid?.size ?? 100 } = deps;
+
+    this._random = random;
+    this._getGridSize = getGridSize;
+    this._debugLog = createDebugLogger('VariantAssignmentService');
+  }
+
+  /**
+   * Assign one of the paths to every token
+   * @param {Array<Object>} tokens - Tokens, token documents or replacement targets, in run order
+   * @param {string[]} paths - Picked image paths
+   * @param {string} [mode='sequential'] - One of ASSIGNMENT_MODES; unknown modes are sequential
+   * @param {Object} [options={}] - Mode options
+   * @param {number[]} [options.weights] - Weight per path for weighted mode (default 1 each)
+   * @returns {string[]} Path for each token, in token order (empty if there are no paths)
+   */
+  assign(tokens, paths, mode = 'sequential', options = {}) {
+    const list = Array.isArray(tokens) ? tokens : [];
+    if (!paths?.length || list.length === 0) return [];
+    if (!ASSIGNMENT_MODES.includes(mode)) {
+      this._debugLog(`Unknown assignment mode "${mode}", using sequential`);
+    }
+
+    switch (mode) {
+      case 'random': {
+        const shuffled = this._shuffle(paths);
+        return list.map((_, i) => shuffled[i % shuffled.length]);
+      }
+      case 'name-number':
+        return this._assignByNameNumber(list, paths);
+      case 'spread':
+        return this._assignSpread(list, paths);
+      case 'weighted':
+        return this._assignWeighted(list, paths, options.weights);
+      case 'stable-hash':
+        return list.map((token) => this._pickByHash(token, paths));
+      default:
+        return list.map((_, i) => paths[i % paths.length]);
+    }
+  }
+
+  /**
+   * Get the grid square of a token's top-left corner on its scene
+   * @param {Object} token - Token, token document or replacement target
+   * @returns {{col: number, row: number}|null} Grid square, or null if the token has no
+   *   position (actors)
+   */
+  getGridPosition(token) {
+    const box = this._getBox(token);
+    if (!box) return null;
+    return { col: Math.round(box.x / box.grid), row: Math.round(box.y / box.grid) };
+  }
+
+  /**
+   * Give each token the image matching the number in its name
+   * "Goblin 3" and "Goblin (3)" get the third image, wrapping past the last one;
+   * tokens without a number take the images in order like sequential mode.
+   * @param {Array<Object>} tokens - Tokens
+   * @param {string[]} paths - Picked paths
+   * @returns {string[]} Path per token
+   * @private
+   */
+  _assignByNameNumber(tokens, paths) {
+    let next = 0;
+    return tokens.map((token) => {
+      const match = /(\d+)\D*$/.exec(token?.name ?? token?.document?.name ?? '');
+      const number = match ? Number(match[1]) : 0;
+      const index = number > 0 ? number - 1 : next++;
+      return paths[index % paths.length];
+    });
+  }
+
+  /**
+   * Give neighbouring tokens different images
+   * Greedy coloring in token order: each token takes the least used image none of its
+   * already assigned neighbours has. Tokens are neighbours when their boxes are less than
+   * SPREAD_NEIGHBOR_SQUARES grid squares apart (touching, diagonals included), so with at
+   * least one image more than a token's neighbour count no two neighbours share one.
+   * Tokens without a position (actors) have no neighbours.
+   * @param {Array<Object>} tokens - Tokens
+   * @param {string[]} paths - Picked paths
+   * @returns {string[]} Path per token
+   * @private
+   */
+  _assignSpread(tokens, paths) {
+    const boxes = tokens.map((token) => this._getBox(token));
+    const uses = new Array(paths.length).fill(0);
+    const picked = [];
+
+    for (const [i, box] of boxes.entries()) {
+      const taken = new Set();
+      for (let j = 0; j < i; j++) {
+        if (this._areNeighbors(box, boxes[j])) taken.add(picked[j]);
+      }
+      let best = -1;
+      for (let p = 0; p < paths.length; p++) {
+        if (taken.has(p) && taken.size < paths.length) continue;
+        if (best === -1 || uses[p] < uses[best]) best = p;
+      }
+      uses[best]++;
+      picked.push(best);
+    }
+    return picked.map((p) => paths[p]);
+  }
+
+  /**
+   * Use each image in proportion to its weight, in random order
+   * Counts are apportioned by largest remainder, so 4 tokens with weights 3 and 1
+   * get exactly three of the first image and one of the second.
+   * @param {Array<Object>} tokens - Tokens
+   * @param {string[]} paths - Picked paths
+   * @param {number[]} [weights] - Weight per path; missing, negative or invalid weights count as 1
+   * @returns {string[]} Path per token
+   * @private
+   */
+  _assignWeighted(tokens, paths, weights = []) {
+    const clean = paths.map((_, i) => {
+      const weight = Number(weights?.[i] ?? 1);
+      return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+    });
+    const total = clean.reduce((sum, weight) => sum + weight, 0);
+    const shares = clean.map((weight) =>
+      total > 0 ? (weight / total) * tokens.length : tokens.length / paths.length
+    );
+
+    const counts = shares.map(Math.floor);
+    let left = tokens.length - counts.reduce((sum, count) => sum + count, 0);
+    const byRemainder = shares
+      .map((share, i) => ({ i, remainder: share - Math.floor(share) }))
+      .sort((a, b) => b.remainder - a.remainder || clean[b.i] - clean[a.i]);
+    for (const { i } of byRemainder) {
+      if (left-- <= 0) break;
+      counts[i]++;
+    }
+
+    const pool = counts.flatMap((count, i) => new Array(count).fill(paths[i]));
+    return this._shuffle(pool);
+  }
+
+  /**
+   * Pick the path whose hash with the token ID is highest
+   * @param {Object} token - Token
+   * @param {string[]} paths - Picked paths
+   * @returns {string} Path for the token
+   * @private
+   */
+  _pickByHash(token, paths) {
+    const id = token?.id ?? token?.document?.id ?? token?.name ?? '';
+    let best = paths[0];
+    let bestHash = -1;
+    for (const path of paths) {
+      const hash = hashString(`${id}|${path}`);
+      if (hash > bestHash) {
+        best = path;
+        bestHash = hash;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Get a token's box on its scene in pixels, with the scene's grid size
+   * @param {Object} token - Token, token document or replacement target
+   * @returns {{x: number, y: number, width: number, height: number, grid: number}|null} Box,
+   *   or null if the token has no position
+   * @private
+   */
+  _getBox(token) {
+    const doc = token?.document ?? token;
+    const x = doc?.x ?? token?.x;
+    const y = doc?.y ?? token?.y;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    const grid = doc?.parent?.grid?.size ?? this._getGridSize();
+    return {
+      x,
+      y,
+      width: (doc?.width ?? 1) * grid,
+      height: (doc?.height ?? 1) * grid,
+      grid,
+    };
+  }
+
+  /**
+   * Check whether two token boxes are less than SPREAD_NEIGHBOR_SQUARES apart
+   * @param {Object|null} a - First box
+   * @param {Object|null} b - Second box
+   * @returns {boolean} True if both have a position and are neighbours
+   * @private
+   */
+  _areNeighbors(a, b) {
+    if (!a || !b) return false;
+    const gapX = Math.max(a.x, b.x) - Math.min(a.x + a.width, b.x + b.width);
+    const gapY = Math.max(a.y, b.y) - Math.min(a.y + a.height, b.y + b.height);
+    return Math.max(gapX, gapY, 0) < SPREAD_NEIGHBOR_SQUARES * a.grid;
+  }
+
+  /**
+   * Fisher-Yates shuffle for uniform random ordering
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} New shuffled array
+   * @private
+   */
+  _shuffle(items) {
+    const a = [...items];
+    for (let i = a.length - 1; i > 0; i--) {
+      const j = Math.floor(this._random() * (i + 1));
+      [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+  }
+}
+
+export const variantAssignmentService = new VariantAssignmentService();
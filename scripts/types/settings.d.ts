@@ -6,11 +6,31 @@ interface SettingConfig {
   'token-replacer-fa.fuzzyThreshold': number;
   'token-replacer-fa.searchPriority': 'faNexus' | 'forgeBazaar' | 'both';
   'token-replacer-fa.autoReplace': boolean;
+  'token-replacer-fa.autoReplaceConfidence': number;
   'token-replacer-fa.confirmReplace': boolean;
   'token-replacer-fa.fallbackFullSearch': boolean;
   'token-replacer-fa.additionalPaths': string;
   'token-replacer-fa.useTVACache': boolean;
   'token-replacer-fa.refreshTVACache': boolean;
   'token-replacer-fa.indexUpdateFrequency': 'daily' | 'weekly' | 'monthly' | 'quarterly';
+  'token-replacer-fa.replaceScopeLinked': 'token' | 'prototype' | 'both';
+  'token-replacer-fa.replaceScopeUnlinked': 'token' | 'prototype' | 'both';
+  'token-replacer-fa.replaceActorPortrait': boolean;
+  'token-replacer-fa.autoAssignOnCreate': boolean;
+  'token-replacer-fa.rememberChoices': boolean;
+  'token-replacer-fa.learnFromChoices': boolean;
+  'token-replacer-fa.preferredPacks': string;
+  'token-replacer-fa.scoreWeightName': number;
+  'token-replacer-fa.scoreWeightSubtype': number;
+  'token-replacer-fa.scoreWeightCategory': number;
+  'token-replacer-fa.scoreWeightSource': number;
+  'token-replacer-fa.scoreWeightPack': number;
+  'token-replacer-fa.scoreWeightRelevance': number;
   'token-replacer-fa.debugMode': boolean;
+  'token-replacer-fa.replacementJournal': import('./typedefs.js').JournalRun[];
+  'token-replacer-fa.rememberedArt': Record<string, import('./typedefs.js').RememberedChoice>;
+  'token-replacer-fa.rankingFeedback': Record<
+    string,
+    { label: string; paths: Record<string, import('./typedefs.js').FeedbackCounts> }
+  >;
 }
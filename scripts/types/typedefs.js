@@ -16,16 +16,130 @@
  * @property {string|null} subtype - Creature subtype (e.g., "human")
  * @property {string|null} race - Character race if available
  * @property {string} [custom] - Custom type string if available
+ * @property {string[]} [traits] - System traits (e.g., pf2e "goblin", "humanoid") if the system has them
+ * @property {NameTerm[]} [nameTerms] - Weighted terms derived from the actor name (see analyzeCreatureName)
  * @property {string[]} searchTerms - Prioritized search terms
  */
 
+/**
+ * Tokens of one creature, searched and picked together.
+ * @typedef {Object} CreatureGroup
+ * @property {CreatureInfo} creatureInfo - Creature info the group is searched with
+ * @property {Token[]} tokens - Tokens of the group
+ * @property {string[]} searchTerms - Search terms of the creature info
+ */
+
+/**
+ * Search term derived from an actor name, with how much a match on it is worth.
+ * @typedef {Object} NameTerm
+ * @property {string} term - Lowercase term (e.g., "blue dragon")
+ * @property {number} weight - Weight from NAME_TERM_WEIGHTS (1 for the full name)
+ * @property {'name'|'base'|'template'} kind - Which part of the name the term is
+ */
+
+/**
+ * Actor name split into the parts D&D names are built from.
+ * @typedef {Object} NameAnalysis
+ * @property {string} name - Lowercase name without numbering ("adult blue dragon")
+ * @property {string} base - Name without age, size, rank and template ("blue dragon")
+ * @property {string|null} age - Dragon age ("adult", "wyrmling")
+ * @property {string|null} color - Dragon color ("blue")
+ * @property {string|null} size - Size word ("huge")
+ * @property {string|null} rank - Rank or role ("captain", "shaman", "war chief")
+ * @property {string|null} template - Template word before or after the creature ("zombie", "half-dragon")
+ * @property {NameTerm[]} terms - Distinct name, base and template terms, heaviest first
+ */
+
+/**
+ * Creature type data read from an actor by a system adapter.
+ * @typedef {Object} CreatureData
+ * @property {string|null} type - Creature type, lowercased (e.g., "humanoid")
+ * @property {string|null} subtype - Subtype; several subtypes are comma-separated (e.g., "goblin, orc")
+ * @property {string|null} race - Race or ancestry if the system has one
+ * @property {string|null} [custom] - Custom type string if available
+ * @property {string[]} traits - System traits, lowercased (empty if the system has none)
+ */
+
+/**
+ * Game-system adapter registered with SystemAdapterService.
+ * @typedef {Object} SystemAdapter
+ * @property {string} id - Game system ID (game.system.id), e.g. "dnd5e"
+ * @property {function(Actor): boolean} isEligibleActor - Whether the actor is an NPC whose art should be replaced
+ * @property {function(Actor): CreatureData} extractCreatureData - Read creature type data from the actor
+ */
+
 /**
  * A matched token image result from search.
  * @typedef {Object} TokenMatch
  * @property {string} path - File path to token image
  * @property {string} name - Display name for the match
  * @property {string} category - Creature category
- * @property {number} [score] - Fuzzy match score (0-1, lower is better)
+ * @property {number} [score] - Match score from ScoringService (0-1, lower is better; 1 - confidence)
+ * @property {ScoreExplanation} [explanation] - How the score was computed
+ */
+
+/**
+ * Why a score component got its value.
+ * name: exact | prefix | allWords | partial | substring | none;
+ * subtype: name | path | impliedByName | none; category: category | path | none;
+ * source and pack: preferred | none; relevance: relevance | none.
+ * @typedef {'exact'|'prefix'|'allWords'|'partial'|'substring'|'name'|'path'|'impliedByName'|'category'|'preferred'|'relevance'|'none'} ScoreReason
+ */
+
+/**
+ * One weighted part of a match score.
+ * @typedef {Object} ScoreComponent
+ * @property {'name'|'subtype'|'category'|'source'|'pack'|'relevance'} key - Component
+ * @property {number} value - Component strength (0-1)
+ * @property {number} weight - Weight from settings
+ * @property {ScoreReason} reason - Why the component got its value
+ * @property {string|null} term - Creature name, subtype, category, source or pack that matched
+ *   (the raw BM25 relevance for relevance)
+ */
+
+/**
+ * Breakdown of a match score, attached to every result of searchTokenArt.
+ * @typedef {Object} ScoreExplanation
+ * @property {number} confidence - Weighted mean of the components (0-1, higher is better)
+ * @property {ScoreComponent[]} components - Components that apply to the creature
+ * @property {number} [sourceScore] - Raw score from the search source (Fuse, TVA cache or index relevance), if any
+ */
+
+/**
+ * Why a match was found and how its score came about, for the match grid.
+ * @typedef {Object} MatchDescription
+ * @property {number|null} confidence - Score confidence (null for unscored category browse results)
+ * @property {{kind: 'name'|'subtype'|'category'|'search', term: string|null}} foundBy - Search that found the match
+ * @property {string|null} source - Result source ('index', 'tva-direct', 'tva', 'local', 'forge-bazaar')
+ * @property {string[]} indexTokens - termIndex tokens that hit the image (index results only)
+ * @property {Array<ScoreComponent & {penalty: number}>} components - Score components with the confidence each one cost
+ * @property {number|null} feedbackWeight - Learned pick/skip weight, if any
+ */
+
+/**
+ * One clause of a search query: a single word, or a phrase whose words must be adjacent.
+ * @typedef {Object} QueryClause
+ * @property {string[]} words - Lowercase words
+ * @property {boolean} phrase - True if the words must appear next to each other
+ */
+
+/**
+ * Parsed search query: matches if any group matches. A group matches when all of its
+ * include clauses match and none of its exclude clauses do.
+ * @typedef {Object} SearchQuery
+ * @property {Array<{include: QueryClause[], exclude: QueryClause[]}>} groups - Alternatives (OR)
+ */
+
+/**
+ * Attributes parsed from a Forgotten Adventures style filename ("Goblin_Warrior_A1_Scimitar_01").
+ * @typedef {Object} ImageAttributes
+ * @property {string} creature - Lowercase creature words before the first attribute ("goblin warrior")
+ * @property {string|null} variant - Variant code as written ("A1", "B")
+ * @property {string|null} variantLetter - Letter of the variant code ("A")
+ * @property {number|null} variantNumber - Number of the variant code (1), if any
+ * @property {string|null} weapon - Weapon and gear words, space-separated ("longsword shield")
+ * @property {string|null} size - Size word ("large")
+ * @property {number|null} copy - Trailing copy number ("_01" → 1)
  */
 
 /**
@@ -35,8 +149,8 @@
  * @property {number} timestamp - Build timestamp
  * @property {number} lastUpdate - Last update timestamp
  * @property {Object<string, Object<string, Array<{path: string, name: string}>>>} categories - Hierarchical category index
- * @property {Object<string, {name: string, category: string, subcategories: string[]}>} allPaths - Path lookup map
- * @property {Object<string, string[]>} termIndex - Term to paths lookup
+ * @property {Object<string, {name: string, category: string, subcategories: string[], attributes: ImageAttributes|null}>} allPaths - Path lookup map
+ * @property {Object<string, string[]>} termIndex - Term to paths lookup; also holds adjacent word pairs ("hill giant")
  */
 
 /**
@@ -65,4 +179,114 @@
  * @property {number} [duration] - Search duration in milliseconds
  */
 
+/**
+ * An actor wrapped to run through the token replacement pipeline.
+ * Mirrors the Token fields the pipeline reads; the prototype texture stands in for the placed texture.
+ * @typedef {Object} ActorTarget
+ * @property {string} id - Actor UUID (unique across world and compendium actors)
+ * @property {string} name - Prototype token name, falling back to the actor name
+ * @property {Actor} actor - The actor itself
+ * @property {null} document - Always null (no placed token)
+ * @property {{src: string|null}} texture - Current prototype token texture
+ * @property {true} isActorTarget - Discriminator for actor targets
+ */
+
+/**
+ * A token document from a scene that is not on the canvas, wrapped for the replacement pipeline.
+ * @typedef {Object} SceneTokenTarget
+ * @property {string} id - Token document ID
+ * @property {string} name - Token name
+ * @property {Actor|null} actor - Token actor (synthetic for unlinked tokens)
+ * @property {TokenDocument} document - The wrapped token document
+ * @property {{src: string|null}} texture - Current token texture
+ * @property {true} isSceneTokenTarget - Discriminator for scene token targets
+ */
+
+/**
+ * Art remembered for a creature by ChoiceMemoryService.
+ * @typedef {Object} RememberedChoice
+ * @property {string[]} paths - Picked image paths
+ * @property {string} mode - Assignment mode used with the paths (one of ASSIGNMENT_MODES)
+ * @property {number[]} [weights] - Weight per path, for weighted mode
+ * @property {string} label - Actor name when the choice was made
+ * @property {number} timestamp - When the choice was made (ms since epoch)
+ */
+
+/**
+ * Accept/skip counts for one image path of a creature in the ranking feedback store.
+ * @typedef {Object} FeedbackCounts
+ * @property {number} accepts - Times the path was picked
+ * @property {number} skips - Times the path was shown at the top and passed over
+ * @property {number} updated - Last change (ms since epoch)
+ */
+
+/**
+ * Per-scene status in a multi-scene run.
+ * @typedef {Object} SceneRunStatus
+ * @property {string} id - Scene ID
+ * @property {string} name - Scene name
+ * @property {number} tokenCount - Eligible NPC tokens on the scene
+ * @property {'pending'|'running'|'done'|'skipped'|'stopped'|'empty'} status - Current state
+ * @property {number} replaced - Tokens replaced on the scene
+ */
+
+/**
+ * A source of actors for batch replacement (compendium pack or Actors folder).
+ * @typedef {Object} ActorSource
+ * @property {string} id - Source ID ("pack:<collection>" or "folder:<id>")
+ * @property {'pack'|'folder'} type - Source kind
+ * @property {string} label - Display name
+ * @property {boolean} locked - Whether the source cannot be edited (locked compendium)
+ */
+
+/**
+ * Which documents a token replacement updates.
+ * @typedef {Object} ReplacementScope
+ * @property {boolean} token - Update the placed token's texture
+ * @property {boolean} prototype - Update the actor's prototype token texture
+ * @property {boolean} portrait - Update the actor portrait (actor.img)
+ */
+
+/**
+ * A single token row in a dry-run replacement plan.
+ * @typedef {Object} PlanRow
+ * @property {string} rowId - Unique row ID (group key + token ID)
+ * @property {string} groupKey - Creature group cache key
+ * @property {string} groupLabel - Display label for the creature group
+ * @property {Token} token - Token the row applies to
+ * @property {string} tokenName - Token display name
+ * @property {string|null} path - Image path to apply (null = skip)
+ * @property {number} [score] - Fuzzy score of the chosen path (0-1, lower is better)
+ * @property {string} source - Search source of the chosen path
+ * @property {boolean} meetsThreshold - Whether auto-replace would apply the best match unprompted
+ * @property {Array<{path: string, name: string, score?: number, source: string}>} alternatives - Selectable paths
+ */
+
+/**
+ * A single token replacement recorded in the undo journal.
+ * @typedef {Object} JournalEntry
+ * @property {string} groupKey - Creature group cache key the token belonged to
+ * @property {string} groupLabel - Display label for the creature group
+ * @property {string|null} sceneId - Scene containing the token
+ * @property {string} tokenId - Token document ID (actor UUID for actor targets)
+ * @property {string} tokenName - Token display name at replacement time
+ * @property {string|null} actorId - World actor ID backing the token
+ * @property {string|null} actorUuid - UUID of the actor whose prototype/portrait was changed
+ * @property {string|null} previousTokenImage - Token texture before replacement
+ * @property {string|null} previousPrototypeImage - Actor prototype token texture before replacement
+ * @property {string|null} previousPortraitImage - Actor portrait before replacement
+ * @property {ReplacementScope} scope - Documents the replacement updated
+ * @property {string} newImage - Image path that was applied
+ */
+
+/**
+ * A replacement run persisted in the undo journal.
+ * @typedef {Object} JournalRun
+ * @property {string} id - Unique run ID
+ * @property {number} timestamp - Run start timestamp
+ * @property {string|null} sceneId - Scene the run was started on
+ * @property {string} sceneName - Scene name at run time
+ * @property {JournalEntry[]} entries - Replacements in application order
+ */
+
 export {};
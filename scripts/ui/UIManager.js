@@ -6,13 +6,24 @@
  * @module ui/UIManager
  */
 
-import { MODULE_ID, CREATURE_TYPE_MAPPINGS, MAX_DISPLAY_RESULTS } from '../core/Constants.js';
+import {
+  MODULE_ID,
+  CREATURE_TYPE_MAPPINGS,
+  MAX_DISPLAY_RESULTS,
+  MAX_PICKER_MATCHES,
+  GROUPING_MODES,
+} from '../core/Constants.js';
 import {
   escapeHtml,
-  parseFilterTerms,
-  matchesAllTerms,
+  parseSearchQuery,
+  matchesQuery,
+  groupVariantFamilies,
   renderModuleTemplate,
 } from '../core/Utils.js';
+import { scoringService } from '../services/ScoringService.js';
+import { indexService } from '../services/IndexService.js';
+import { variantAssignmentService } from '../services/VariantAssignmentService.js';
+import { tokenPreviewService } from '../services/TokenPreviewService.js';
 
 // i18n cache to avoid repeated localization lookups
 const I18N_CACHE = new Map();
@@ -26,6 +37,12 @@ const I18N_CACHE_STATS = {
 // Filter persistence key for session-only localStorage
 const FILTER_CACHE_KEY = 'token-replacer-fa-filter-term';
 
+// Characters of a word typed before index terms are suggested for it
+const SUGGEST_MIN_LENGTH = 2;
+
+// Drag data type carrying a grid card's path to the per-token assignment table
+const DRAG_PATH_TYPE = `text/x-${MODULE_ID}-path`;
+
 /**
  * Get localized string
  * Caches base strings to avoid repeated game.i18n.localize() calls
@@ -105,6 +122,32 @@ function clearFilterTerm() {
   }
 }
 
+/**
+ * Read the weights set in a match grid for weighted assignment
+ * @param {HTMLElement|null} gridEl - Match grid
+ * @param {string[]} paths - Selected paths
+ * @returns {number[]} Weight per path (1 where none was set)
+ */
+function readWeights(gridEl, paths) {
+  return paths.map((path) => gridEl?._weights?.get(path) ?? 1);
+}
+
+/**
+ * Get the labels and tooltips of the assignment mode buttons
+ * @returns {Object<string, {label: string, tooltip: string}>} Labels keyed by mode (camelCase)
+ */
+function getAssignmentModeLabels() {
+  return Object.fromEntries(
+    ['nameNumber', 'spread', 'weighted', 'stableHash'].map((mode) => [
+      mode,
+      {
+        label: i18n(`assignment.modes.${mode}.label`),
+        tooltip: i18n(`assignment.modes.${mode}.tooltip`),
+      },
+    ])
+  );
+}
+
 /**
  * TokenReplacerDialog - ApplicationV2-based dialog for Token Replacer FA
  * Replaces deprecated V1 Dialog API with modern ApplicationV2
@@ -331,7 +374,16 @@ export class UIManager {
       isCapped,
       matches: transformedMatches,
       skipLabel: i18n('dialog.skip'),
+      whyLabel: i18n('explain.title'),
       savedFilterTerm,
+      assignment: {
+        title: i18n('assignment.title', { count: tokenCount }),
+        token: i18n('assignment.token'),
+        position: i18n('assignment.position'),
+        current: i18n('assignment.current'),
+        image: i18n('assignment.image'),
+      },
+      modes: getAssignmentModeLabels(),
     });
   }
 
@@ -354,6 +406,13 @@ export class UIManager {
     // Restore filter term from localStorage for session persistence
     const savedFilterTerm = loadFilterTerm();
 
+    // "Did you mean" chips from the index vocabulary
+    const suggestions = indexService.suggestForName(creatureInfo.actorName);
+    const suggestedCategories = suggestions.categories.map((category) => ({
+      value: category,
+      displayName: category.charAt(0).toUpperCase() + category.slice(1),
+    }));
+
     return await renderModuleTemplate(`modules/${MODULE_ID}/templates/no-match.hbs`, {
       currentImage: creatureInfo.currentImage,
       actorName: creatureInfo.actorName,
@@ -363,12 +422,17 @@ export class UIManager {
       showTokenCount: tokenCount > 1,
       showMultiSelect,
       noMatchMessage: i18n('dialog.noMatch', { name: creatureInfo.actorName }),
+      didYouMeanLabel: i18n('dialog.didYouMean'),
+      hasSuggestions: suggestions.terms.length + suggestedCategories.length > 0,
+      suggestedTerms: suggestions.terms,
+      suggestedCategories,
       browseByTypeLabel: i18n('dialog.browseByType'),
       searchCategoryLabel: i18n('dialog.searchCategory'),
       typeValue: creatureInfo.type || '',
       creatureTypes,
       skipLabel: i18n('dialog.skip'),
       savedFilterTerm,
+      modes: getAssignmentModeLabels(),
     });
   }
 
@@ -474,37 +538,262 @@ export class UIManager {
     });
   }
 
+  /**
+   * Create dry-run replacement plan HTML
+   * @param {Array} rows - Plan rows from ReplacementPlanService.buildPlan()
+   * @returns {Promise<string>} HTML string
+   */
+  async createPlanHTML(rows) {
+    const formatScore = (score) => (score !== undefined ? `${Math.round((1 - score) * 100)}%` : '');
+
+    return await renderModuleTemplate(`modules/${MODULE_ID}/templates/replacement-plan.hbs`, {
+      plannedCount: rows.filter((r) => r.path).length,
+      reviewCount: rows.filter((r) => r.path && !r.meetsThreshold).length,
+      unmatchedCount: rows.filter((r) => r.alternatives.length === 0).length,
+      rows: rows.map((row) => ({
+        rowId: row.rowId,
+        tokenName: row.tokenName,
+        groupLabel: row.groupLabel,
+        path: row.path || '',
+        scoreDisplay: row.path ? formatScore(row.score) : '',
+        source: row.path ? row.source : '',
+        rowClass: !row.path ? 'skipped' : row.meetsThreshold ? '' : 'review',
+        alternatives: row.alternatives.map((alt) => ({
+          path: alt.path,
+          name: alt.name,
+          source: alt.source,
+          scoreDisplay: formatScore(alt.score),
+        })),
+      })),
+    });
+  }
+
+  /**
+   * Create actor source picker HTML
+   * @param {Array<{id: string, type: string, label: string, locked: boolean}>} sources - Sources from ActorSourceService.listSources()
+   * @returns {Promise<string>} HTML string
+   */
+  async createActorSourceHTML(sources) {
+    const toOption = (source) => ({
+      id: source.id,
+      label: source.label,
+      lockedLabel: source.locked ? ' (locked)' : '',
+    });
+    return await renderModuleTemplate(`modules/${MODULE_ID}/templates/actor-source.hbs`, {
+      packs: sources.filter((s) => s.type === 'pack').map(toOption),
+      folders: sources.filter((s) => s.type === 'folder').map(toOption),
+    });
+  }
+
+  /**
+   * Create revert runs HTML
+   * @param {Array<{id: string, timestamp: number, sceneName: string, entries: Array, groups: Array}>} runs - Journal runs (newest first) with group summaries
+   * @returns {Promise<string>} HTML string
+   */
+  async createRevertHTML(runs) {
+    return await renderModuleTemplate(`modules/${MODULE_ID}/templates/revert-runs.hbs`, {
+      runs: runs.map((run, index) => ({
+        id: run.id,
+        sceneName: run.sceneName || run.sceneId || '—',
+        dateLabel: new Date(run.timestamp).toLocaleString(),
+        tokenCount: run.entries.length,
+        groups: run.groups,
+        runClass: index === 0 ? 'latest' : '',
+      })),
+    });
+  }
+
+  /**
+   * Create multi-scene picker HTML
+   * @param {import('../types/typedefs.js').SceneRunStatus[]} scenes - Candidate scenes
+   * @returns {Promise<string>} HTML string
+   */
+  async createWorldScenesHTML(scenes) {
+    return await renderModuleTemplate(`modules/${MODULE_ID}/templates/world-scenes.hbs`, {
+      scenes: scenes.map((scene) => ({
+        id: scene.id,
+        name: scene.name,
+        tokenCount: scene.tokenCount,
+        inputAttr: scene.tokenCount > 0 ? 'checked' : 'disabled',
+        rowClass: scene.tokenCount > 0 ? '' : 'empty',
+      })),
+    });
+  }
+
+  /**
+   * Create multi-scene run status HTML
+   * @param {import('../types/typedefs.js').SceneRunStatus[]} scenes - Scenes in the run with their status
+   * @param {number} currentIndex - Index of the scene about to be processed (-1 when finished)
+   * @returns {Promise<string>} HTML string
+   */
+  async createWorldRunHTML(scenes, currentIndex) {
+    const statusLabels = {
+      pending: 'Pending',
+      running: 'Running',
+      skipped: 'Skipped',
+      stopped: 'Not processed',
+      empty: 'No NPCs',
+    };
+    return await renderModuleTemplate(`modules/${MODULE_ID}/templates/world-run.hbs`, {
+      isFinished: currentIndex < 0,
+      currentName: scenes[currentIndex]?.name ?? '',
+      replacedTotal: scenes.reduce((sum, scene) => sum + scene.replaced, 0),
+      scenes: scenes.map((scene, index) => ({
+        name: scene.name,
+        tokenCount: scene.tokenCount,
+        statusLabel:
+          scene.status === 'done' ? `${scene.replaced} replaced` : statusLabels[scene.status],
+        rowClass: `${scene.status}${index === currentIndex ? ' current' : ''}`,
+      })),
+    });
+  }
+
+  /**
+   * Create creature group review HTML
+   * @param {Map<string, {creatureInfo: Object, tokens: Array}>} groups - Creature groups by key
+   * @param {string} groupBy - Current grouping mode (one of GROUPING_MODES)
+   * @returns {Promise<string>} HTML string
+   */
+  async createGroupReviewHTML(groups, groupBy) {
+    return await renderModuleTemplate(`modules/${MODULE_ID}/templates/group-review.hbs`, {
+      groupBy,
+      modes: Object.fromEntries(GROUPING_MODES.map((mode) => [mode, i18n(`grouping.${mode}`)])),
+      groups: Array.from(groups, ([key, group]) => ({
+        key,
+        label: group.creatureInfo.actorName,
+        thumbnail: group.creatureInfo.currentImage,
+        tokenCountLabel: i18n('groups.tokens', { count: group.tokens.length }),
+        canSplit: group.tokens.length > 1,
+        tokens: group.tokens.map((token) => ({ id: token.id, name: token.name })),
+      })),
+      labels: {
+        intro: i18n('groups.intro'),
+        groupBy: i18n('groups.groupBy'),
+        split: i18n('groups.split'),
+        merge: i18n('groups.merge'),
+        continue: i18n('groups.continue'),
+      },
+    });
+  }
+
+  /**
+   * Create remembered choices review HTML
+   * @param {Array<{key: string, label: string, tokenCount: number, paths: string[], mode: string}>} items - Remembered choices per creature group
+   * @returns {Promise<string>} HTML string
+   */
+  async createRememberedHTML(items) {
+    return await renderModuleTemplate(`modules/${MODULE_ID}/templates/remembered-choices.hbs`, {
+      items: items.map((item) => ({
+        key: item.key,
+        label: item.label,
+        tokenCount: item.tokenCount,
+        thumbnail: item.paths[0],
+        pathCount: item.paths.length,
+        mode: item.mode,
+      })),
+    });
+  }
+
   /**
    * Render match grid HTML and attach click/dblclick handlers
-   * Reused by both initial render and filter re-renders
-   * @param {Array} matches - Match objects to render
+   * Reused by both initial render and filter re-renders. Variants of one creature
+   * (see groupVariantFamilies) share a collapsible family tile, so the grid shows
+   * "Goblin Warrior, 12 variants" once instead of twelve near-identical cards; the
+   * family of the best match starts expanded. Only the top MAX_DISPLAY_RESULTS matches
+   * are rendered and they are grouped after the cut, so the ranking decides what is
+   * visible and a large family cannot push better matches out of the grid.
+   * @param {Array} matches - Match objects to render, best first
    * @param {HTMLElement} gridEl - The .token-replacer-fa-match-select container
    * @param {boolean} multiSelectEnabled - Whether multi-select is active
    * @param {Function} resolve - Promise resolve for dblclick quick-apply
    * @param {Function} updateSelectionCount - Callback to update selection count display
+   * @returns {number} Number of matches rendered, family members included
    */
   _renderMatchGrid(matches, gridEl, multiSelectEnabled, resolve, updateSelectionCount) {
-    gridEl.innerHTML = matches
-      .map((match, idx) => {
-        const safeMatchName = escapeHtml(match.name);
-        const safePath = escapeHtml(match.path);
-        const scoreDisplay =
-          match.score !== undefined
-            ? `${Math.round((1 - match.score) * 100)}%`
-            : escapeHtml(match.source || '');
-        return `
-        <div class="match-option${idx === 0 ? ' selected' : ''}" data-index="${idx}" data-path="${safePath}" data-name="${safeMatchName.toLowerCase()}">
+    const whyLabel = escapeHtml(i18n('explain.title'));
+    const toggleLabel = escapeHtml(i18n('family.toggle'));
+    const selectAllLabel = escapeHtml(i18n('family.selectAll'));
+    const weightLabel = escapeHtml(i18n('dialog.weight'));
+    // Weights for weighted assignment survive filter re-renders of the same grid
+    gridEl._weights ??= new Map();
+    const visible = matches.slice(0, MAX_DISPLAY_RESULTS);
+    const indexOf = new Map(visible.map((match, idx) => [match, idx]));
+    const families = groupVariantFamilies(visible, (path) => indexService.getImageAttributes(path));
+
+    const renderOption = (match) => {
+      const idx = indexOf.get(match);
+      const safeMatchName = escapeHtml(match.name);
+      const safePath = escapeHtml(match.path);
+      const scoreDisplay =
+        match.score !== undefined
+          ? `${Math.round((1 - match.score) * 100)}%`
+          : escapeHtml(match.source || '');
+      return `
+        <div class="match-option${idx === 0 ? ' selected' : ''}" data-index="${idx}" data-path="${safePath}" data-name="${safeMatchName.toLowerCase()}"${multiSelectEnabled ? ' draggable="true"' : ''}>
           <div class="skeleton-loader skeleton-72">
             <img src="${safePath}" alt="${safeMatchName}" loading="lazy" onerror="this.src='icons/svg/mystery-man.svg'" onload="this.parentElement.classList.add('loaded')">
           </div>
           <div class="match-name">${safeMatchName}</div>
           <div class="match-score">${scoreDisplay}</div>
           <div class="match-check"><i class="fas fa-check"></i></div>
+          <a class="match-why-toggle" data-tooltip="${whyLabel}" aria-label="${whyLabel}"><i class="fas fa-circle-question"></i></a>
+          ${multiSelectEnabled ? `<input type="number" class="match-weight" min="0" step="1" value="${gridEl._weights.get(match.path) ?? 1}" data-tooltip="${weightLabel}" aria-label="${weightLabel}">` : ''}
+        </div>
+      `;
+    };
+
+    const renderFamily = (family, expanded) => {
+      const members = family.matches;
+      const safeLabel = escapeHtml(family.creature);
+      const safeCover = escapeHtml(members[0].path);
+      return `
+        <div class="match-family${expanded ? ' expanded' : ''}" data-family="${escapeHtml(family.key)}">
+          <div class="match-family-header" data-tooltip="${toggleLabel}" aria-label="${toggleLabel}">
+            <div class="skeleton-loader skeleton-72">
+              <img src="${safeCover}" alt="${safeLabel}" loading="lazy" onerror="this.src='icons/svg/mystery-man.svg'" onload="this.parentElement.classList.add('loaded')">
+            </div>
+            <div class="match-name">${safeLabel}</div>
+            <div class="match-family-count">${escapeHtml(i18n('family.variants', { count: members.length }))}</div>
+            <div class="match-family-selected"></div>
+            ${multiSelectEnabled ? `<button type="button" class="match-family-select-all">${selectAllLabel}</button>` : ''}
+            <i class="fas fa-chevron-down match-family-chevron"></i>
+          </div>
+          <div class="match-family-members">${members.map(renderOption).join('')}</div>
         </div>
       `;
-      })
+    };
+
+    gridEl.innerHTML = families
+      .map((family, i) =>
+        family.matches.length === 1
+          ? renderOption(family.matches[0])
+          : renderFamily(family, i === 0)
+      )
       .join('');
 
+    // Selected members stay selected while their family is collapsed; show how many
+    const onSelectionChange = () => {
+      for (const familyEl of gridEl.querySelectorAll('.match-family')) {
+        const count = familyEl.querySelectorAll('.match-option.selected').length;
+        familyEl.classList.toggle('has-selection', count > 0);
+        familyEl.querySelector('.match-family-selected').textContent =
+          count > 0 ? i18n('family.selected', { count }) : '';
+      }
+      updateSelectionCount();
+    };
+    // The assignment table selects cards dropped on it and refreshes the grid through this
+    gridEl._onSelectionChange = onSelectionChange;
+
+    // One shared "Why this match?" panel below the grid, closed on every re-render
+    let whyPanel = gridEl.nextElementSibling;
+    if (!whyPanel?.classList.contains('token-replacer-fa-match-why')) {
+      whyPanel = document.createElement('div');
+      whyPanel.className = 'token-replacer-fa-match-why';
+      gridEl.after(whyPanel);
+    }
+    whyPanel.hidden = true;
+    whyPanel.dataset.index = '';
+
     // Event delegation with AbortController: fresh closures on each render,
     // old listeners automatically cleaned up via abort signal
     if (gridEl._delegateAbort) gridEl._delegateAbort.abort();
@@ -514,18 +803,41 @@ export class UIManager {
     gridEl.addEventListener(
       'click',
       (e) => {
+        if (e.target.closest('.match-weight')) return;
+        const familyEl = e.target.closest('.match-family');
+        if (e.target.closest('.match-family-select-all')) {
+          // Select every variant, or clear the family if it is already fully selected
+          const members = familyEl.querySelectorAll('.match-option');
+          const allSelected = Array.from(members).every((o) => o.classList.contains('selected'));
+          members.forEach((o) => o.classList.toggle('selected', !allSelected));
+          if (!gridEl.querySelector('.match-option.selected')) members[0].classList.add('selected');
+          onSelectionChange();
+          return;
+        }
+        if (e.target.closest('.match-family-header')) {
+          familyEl.classList.toggle('expanded');
+          return;
+        }
         const option = e.target.closest('.match-option');
         if (!option) return;
+        if (e.target.closest('.match-why-toggle')) {
+          const index = option.dataset.index;
+          const isOpen = !whyPanel.hidden && whyPanel.dataset.index === index;
+          whyPanel.innerHTML = isOpen ? '' : this._createExplanationHTML(matches[Number(index)]);
+          whyPanel.dataset.index = isOpen ? '' : index;
+          whyPanel.hidden = isOpen;
+          return;
+        }
         const options = gridEl.querySelectorAll('.match-option');
         if (multiSelectEnabled) {
           option.classList.toggle('selected');
           const selectedCount = gridEl.querySelectorAll('.match-option.selected').length;
           if (selectedCount === 0) option.classList.add('selected');
-          updateSelectionCount();
         } else {
           options.forEach((o) => o.classList.remove('selected'));
           option.classList.add('selected');
         }
+        onSelectionChange();
       },
       { signal: ac.signal }
     );
@@ -534,7 +846,7 @@ export class UIManager {
       'dblclick',
       (e) => {
         const option = e.target.closest('.match-option');
-        if (!option) return;
+        if (!option || e.target.closest('.match-why-toggle, .match-weight')) return;
         this._pendingResolve = null;
         resolve({
           paths: [option.dataset.path],
@@ -544,16 +856,255 @@ export class UIManager {
       { signal: ac.signal }
     );
 
-    updateSelectionCount();
+    gridEl.addEventListener(
+      'change',
+      (e) => {
+        const input = e.target.closest('.match-weight');
+        if (!input) return;
+        const weight = Math.max(0, Number(input.value) || 0);
+        gridEl._weights.set(input.closest('.match-option').dataset.path, weight);
+        updateSelectionCount();
+      },
+      { signal: ac.signal }
+    );
+
+    gridEl.addEventListener(
+      'dragstart',
+      (e) => {
+        const option = e.target.closest?.('.match-option');
+        if (!option || !e.dataTransfer) return;
+        e.dataTransfer.setData(DRAG_PATH_TYPE, option.dataset.path);
+        e.dataTransfer.effectAllowed = 'copy';
+      },
+      { signal: ac.signal }
+    );
+
+    onSelectionChange();
+    return visible.length;
+  }
+
+  /**
+   * Build the "Why this match?" panel for a grid card
+   * Shows the search that found the image, its source, the index terms that hit it,
+   * each score component with the confidence it cost, and learned pick/skip weight.
+   * @param {Object} match - Match rendered in the grid
+   * @returns {string} Panel HTML
+   */
+  _createExplanationHTML(match) {
+    const info = scoringService.describe(match);
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const term = (value) => escapeHtml(value ?? '');
+    const line = (label, value) =>
+      `<div class="why-line"><span class="why-label">${escapeHtml(label)}</span> ${value}</div>`;
+
+    const lines = [
+      line(
+        i18n('explain.foundBy'),
+        escapeHtml(
+          i18n(`explain.foundByKind.${info.foundBy.term ? info.foundBy.kind : 'any'}`, {
+            term: info.foundBy.term ?? '',
+          })
+        )
+      ),
+      line(i18n('explain.source'), term(info.source || '-')),
+    ];
+    if (info.indexTokens.length > 0) {
+      lines.push(line(i18n('explain.indexTokens'), term(info.indexTokens.join(', '))));
+    }
+    if (info.feedbackWeight !== null) {
+      const key = info.feedbackWeight > 0 ? 'explain.feedbackBoost' : 'explain.feedbackSink';
+      lines.push(
+        `<div class="why-line">${escapeHtml(i18n(key, { weight: info.feedbackWeight }))}</div>`
+      );
+    }
+
+    const rows = info.components
+      .map(
+        (c) => `
+        <tr class="${c.penalty > 0 ? 'penalty' : ''}">
+          <td>${escapeHtml(i18n(`explain.component.${c.key}`))}</td>
+          <td>${percent(c.value)}</td>
+          <td>×${c.weight}</td>
+          <td>${escapeHtml(i18n(`explain.reason.${c.reason}`, { term: c.term ?? '' }))}</td>
+          <td class="why-penalty">${c.penalty > 0 ? `−${percent(c.penalty)}` : ''}</td>
+        </tr>`
+      )
+      .join('');
+
+    const heading =
+      info.confidence !== null
+        ? i18n('explain.confidence', { percent: percent(info.confidence) })
+        : i18n('explain.notScored');
+    return `
+      <div class="why-header">
+        <span class="why-name">${term(match.name)}</span>
+        <span class="why-confidence">${escapeHtml(heading)}</span>
+      </div>
+      ${lines.join('')}
+      ${rows ? `<table class="why-components">${rows}</table>` : ''}
+      <div class="why-path">${term(match.path)}</div>
+    `;
+  }
+
+  /**
+   * Suggest index terms for the word being typed, through the input's datalist
+   * A suggestion replaces only the last word, so earlier words and query operators
+   * stay as typed. Options already in the datalist (e.g. creature types) stay first.
+   * @param {HTMLInputElement|null} input - Text input with a `list` attribute
+   */
+  _setupTermSuggestions(input) {
+    const datalist = input?.list;
+    if (!datalist) return;
+    const fixedValues = Array.from(datalist.options, (option) => option.value);
+
+    input.addEventListener('input', () => {
+      const lastWord = /[^\s,:"-]*$/.exec(input.value);
+      const head = input.value.slice(0, lastWord.index);
+      const suggestions =
+        lastWord[0].length >= SUGGEST_MIN_LENGTH ? indexService.suggestTerms(lastWord[0]) : [];
+      const values = new Set([...fixedValues, ...suggestions.map((term) => head + term)]);
+      datalist.replaceChildren(
+        ...Array.from(values, (value) => {
+          const option = document.createElement('option');
+          option.value = value;
+          return option;
+        })
+      );
+    });
+  }
+
+  /**
+   * Set up the per-token assignment table of a creature group
+   * Each row shows a token, its grid square, its current image and the image it will get.
+   * Rows follow the assignment mode and the selected images until an image is picked for
+   * the token, from the row's dropdown or by dragging a grid card onto the row (which also
+   * selects the card); picking "Auto" hands the row back to the mode.
+   * @param {HTMLElement|null} editorEl - The .token-replacer-fa-assignment-editor element
+   * @param {HTMLElement} gridEl - Match grid
+   * @param {Array<Object>} tokens - Tokens of the group, in run order
+   * @param {function(): string} getMode - Current assignment mode
+   * @returns {{refresh: Function, getAssignments: function(): string[]}|null} Table controls,
+   *   or null when there is no table or fewer than two tokens
+   */
+  _setupAssignmentEditor(editorEl, gridEl, tokens, getMode) {
+    if (!editorEl || !(tokens?.length > 1)) return null;
+    editorEl.hidden = false;
+
+    const tbody = editorEl.querySelector('tbody');
+    const dropHint = escapeHtml(i18n('assignment.dropHint'));
+    const noPosition = escapeHtml(i18n('assignment.noPosition'));
+    const fileName = (path) =>
+      path
+        .split('/')
+        .pop()
+        .replace(/\.[^/.]+$/, '');
+    const thumb = (path) =>
+      `<img class="assignment-thumb" src="${escapeHtml(path)}" alt="" onerror="this.src='icons/svg/mystery-man.svg'">`;
+
+    // Token index → image picked by hand; every other token follows the mode
+    const pinned = new Map();
+    let planned = [];
+
+    const refresh = () => {
+      const paths = Array.from(
+        gridEl.querySelectorAll('.match-option.selected'),
+        (option) => option.dataset.path
+      );
+      planned = variantAssignmentService.assign(tokens, paths, getMode(), {
+        weights: readWeights(gridEl, paths),
+      });
+      tbody.innerHTML = tokens
+        .map((token, i) => {
+          const auto = planned[i] ?? '';
+          const choice = pinned.get(i);
+          const choices = new Set(choice ? [...paths, choice] : paths);
+          const position = variantAssignmentService.getGridPosition(token);
+          const current = token.document?.texture?.src ?? token.texture?.src ?? '';
+          const options = Array.from(
+            choices,
+            (path) =>
+              `<option value="${escapeHtml(path)}"${path === choice ? ' selected' : ''}>${escapeHtml(fileName(path))}</option>`
+          ).join('');
+          return `
+            <tr class="assignment-row${choice ? ' pinned' : ''}" data-token-index="${i}" data-tooltip="${dropHint}">
+              <td>${thumb(current)}</td>
+              <td class="assignment-name">${escapeHtml(token.name ?? '')}</td>
+              <td class="assignment-position">${position ? `${position.col}, ${position.row}` : noPosition}</td>
+              <td>${thumb(choice ?? auto)}</td>
+              <td>
+                <select class="assignment-select">
+                  <option value="">${escapeHtml(i18n('assignment.auto', { name: auto && fileName(auto) }))}</option>
+                  ${options}
+                </select>
+              </td>
+            </tr>
+          `;
+        })
+        .join('');
+    };
+
+    const pin = (row, path) => {
+      const index = Number(row.dataset.tokenIndex);
+      if (path) pinned.set(index, path);
+      else pinned.delete(index);
+    };
+
+    editorEl.addEventListener('change', (e) => {
+      const select = e.target.closest('.assignment-select');
+      if (!select) return;
+      pin(select.closest('.assignment-row'), select.value);
+      refresh();
+    });
+
+    editorEl.addEventListener('dragover', (e) => {
+      const row = e.target.closest('.assignment-row');
+      if (!row || !e.dataTransfer?.types.includes(DRAG_PATH_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      row.classList.add('drag-over');
+    });
+
+    editorEl.addEventListener('dragleave', (e) => {
+      e.target.closest('.assignment-row')?.classList.remove('drag-over');
+    });
+
+    editorEl.addEventListener('drop', (e) => {
+      const row = e.target.closest('.assignment-row');
+      const path = e.dataTransfer?.getData(DRAG_PATH_TYPE);
+      if (!row || !path) return;
+      e.preventDefault();
+      pin(row, path);
+      // A dropped card joins the selection, so it is applied and remembered like the others
+      gridEl
+        .querySelector(`.match-option[data-path="${CSS.escape(path)}"]`)
+        ?.classList.add('selected');
+      if (gridEl._onSelectionChange) gridEl._onSelectionChange();
+      else refresh();
+    });
+
+    return {
+      refresh,
+      getAssignments: () => tokens.map((_, i) => pinned.get(i) ?? planned[i]),
+    };
   }
 
   /**
    * Setup match selection event handlers
+   * When the dialog is for a group of tokens, the per-token assignment table lists them
+   * and the result carries the image of every token in `assignments`, in token order.
+   * Once the GM hovers or clicks a card, the tokens preview art on the canvas (see
+   * TokenPreviewService): the hovered card on all of them, otherwise what Apply would
+   * give each token. The preview is undone however the dialog is left.
    * @param {HTMLElement} dialogElement - Dialog element
+   * @param {Array<Object>} [tokens=null] - Tokens of the creature group
    * @returns {Promise<Object|null>} Selection result
    */
-  setupMatchSelectionHandlers(dialogElement) {
-    return new Promise((resolve) => {
+  setupMatchSelectionHandlers(dialogElement, tokens = null) {
+    return new Promise((settle) => {
+      const resolve = (result) => {
+        tokenPreviewService.restore();
+        settle(result);
+      };
       // Store resolve so dialog close can trigger it (prevents Promise from hanging)
       this._pendingResolve = resolve;
 
@@ -568,6 +1119,49 @@ export class UIManager {
       let assignmentMode = 'sequential';
       const matchGrid = container.querySelector('.token-replacer-fa-match-select');
       const multiSelectEnabled = matchGrid?.dataset.multiselect === 'true';
+      const editor = this._setupAssignmentEditor(
+        container.querySelector('.token-replacer-fa-assignment-editor'),
+        matchGrid,
+        tokens,
+        () => assignmentMode
+      );
+
+      // Canvas preview starts with the first hover or click on a card
+      const previewTokens = tokens ?? [];
+      let previewing = false;
+      const previewSelection = () => {
+        if (!previewing) return;
+        const paths = Array.from(
+          container.querySelectorAll('.match-option.selected'),
+          (option) => option.dataset.path
+        );
+        tokenPreviewService.preview(
+          previewTokens,
+          editor?.getAssignments() ??
+            variantAssignmentService.assign(previewTokens, paths, assignmentMode, {
+              weights: readWeights(matchGrid, paths),
+            })
+        );
+      };
+      if (matchGrid && previewTokens.length > 0) {
+        matchGrid.addEventListener(
+          'click',
+          () => {
+            previewing = true;
+          },
+          { capture: true }
+        );
+        matchGrid.addEventListener('mouseover', (e) => {
+          const option = e.target.closest('.match-option');
+          if (!option || option.contains(e.relatedTarget)) return;
+          previewing = true;
+          tokenPreviewService.preview(previewTokens, [option.dataset.path]);
+        });
+        matchGrid.addEventListener('mouseout', (e) => {
+          const option = e.target.closest('.match-option');
+          if (option && !option.contains(e.relatedTarget)) previewSelection();
+        });
+      }
 
       const updateSelectionCount = () => {
         const selectedCount = container.querySelectorAll('.match-option.selected').length;
@@ -575,12 +1169,15 @@ export class UIManager {
         if (countEl) {
           countEl.textContent = `${selectedCount} selected`;
         }
+        editor?.refresh();
+        previewSelection();
       };
 
       // Setup search filter
       const searchInput = container.querySelector('.search-filter-input');
       const searchClearBtn = container.querySelector('.search-clear-btn');
       const visibleCountEl = container.querySelector('.visible-count');
+      this._setupTermSuggestions(searchInput);
       if (searchInput) {
         let debounceTimer = null;
 
@@ -610,24 +1207,21 @@ export class UIManager {
 
           clearTimeout(debounceTimer);
           debounceTimer = setTimeout(() => {
-            const filterTerms = parseFilterTerms(searchInput.value);
+            const filterQuery = parseSearchQuery(searchInput.value);
             const totalCountEl = container.querySelector('.total-count');
 
             // Filter the FULL dataset in memory, not just rendered DOM
             const fullData = this._currentMatches || [];
             const filtered =
-              filterTerms.length > 0
+              filterQuery.groups.length > 0
                 ? fullData.filter((m) =>
-                    matchesAllTerms((m.name || '') + ' ' + (m.path || ''), filterTerms)
+                    matchesQuery((m.name || '') + ' ' + (m.path || ''), filterQuery)
                   )
                 : fullData;
 
-            // Cap for rendering
-            const display = filtered.slice(0, MAX_DISPLAY_RESULTS);
-
-            // Re-render the grid with filtered results
-            this._renderMatchGrid(
-              display,
+            // Re-render the grid with filtered results (capped to MAX_DISPLAY_RESULTS tiles)
+            const shown = this._renderMatchGrid(
+              filtered,
               matchGrid,
               multiSelectEnabled,
               resolve,
@@ -635,7 +1229,7 @@ export class UIManager {
             );
 
             // Update counts
-            if (visibleCountEl) visibleCountEl.textContent = display.length;
+            if (visibleCountEl) visibleCountEl.textContent = shown;
             if (totalCountEl) totalCountEl.textContent = filtered.length;
           }, 150);
         });
@@ -657,20 +1251,23 @@ export class UIManager {
           modeButtons.forEach((b) => b.classList.remove('active'));
           btn.classList.add('active');
           assignmentMode = btn.dataset.mode;
+          matchGrid?.classList.toggle('weighted-mode', assignmentMode === 'weighted');
+          editor?.refresh();
+          previewSelection();
         });
       });
 
       // Set up event delegation on initial match grid via _renderMatchGrid
       // This uses the same AbortController pattern as filter re-renders (single code path)
       if (matchGrid) {
-        const initialMatches = (this._currentMatches || []).slice(0, MAX_DISPLAY_RESULTS);
-        this._renderMatchGrid(
-          initialMatches,
+        const shown = this._renderMatchGrid(
+          this._currentMatches || [],
           matchGrid,
           multiSelectEnabled,
           resolve,
           updateSelectionCount
         );
+        if (visibleCountEl) visibleCountEl.textContent = shown;
       }
 
       // Handle button clicks
@@ -683,7 +1280,12 @@ export class UIManager {
           const paths = Array.from(selectedOptions).map((opt) => opt.dataset.path);
           this._pendingResolve = null;
           if (paths.length > 0) {
-            resolve({ paths, mode: assignmentMode });
+            resolve({
+              paths,
+              mode: assignmentMode,
+              weights: readWeights(matchGrid, paths),
+              assignments: editor?.getAssignments(),
+            });
           } else {
             resolve(null);
           }
@@ -724,6 +1326,7 @@ export class UIManager {
       const multiSelectEnabled = tokenCount > 1;
 
       const typeInput = container.querySelector('.category-type-input');
+      this._setupTermSuggestions(typeInput);
       const searchBtn = container.querySelector('.search-category-btn');
       const resultsContainer = container.querySelector('.category-results');
       const matchGrid = container.querySelector('.token-replacer-fa-match-select');
@@ -751,6 +1354,7 @@ export class UIManager {
             modeButtons.forEach((b) => b.classList.remove('active'));
             btn.classList.add('active');
             assignmentMode = btn.dataset.mode;
+            matchGrid?.classList.toggle('weighted-mode', assignmentMode === 'weighted');
           });
         });
       };
@@ -781,27 +1385,24 @@ export class UIManager {
           return;
         }
 
-        // Cap displayed results to prevent UI freeze
-        const displayItems = results.slice(0, MAX_DISPLAY_RESULTS);
-
-        if (categoryFilter) {
-          categoryFilter.style.display = 'block';
-          if (categoryVisibleCount) categoryVisibleCount.textContent = displayItems.length;
-          if (categoryTotalCount) categoryTotalCount.textContent = results.length;
-          if (categorySearchInput) categorySearchInput.value = '';
-        }
-
         if (!matchGrid) return;
 
-        // Render grid and attach handlers via shared helper
-        this._renderMatchGrid(
-          displayItems,
+        // Render grid and attach handlers via shared helper (capped to prevent UI freeze)
+        const shown = this._renderMatchGrid(
+          results,
           matchGrid,
           multiSelectEnabled,
           resolve,
           updateSelectionCount
         );
 
+        if (categoryFilter) {
+          categoryFilter.style.display = 'block';
+          if (categoryVisibleCount) categoryVisibleCount.textContent = shown;
+          if (categoryTotalCount) categoryTotalCount.textContent = results.length;
+          if (categorySearchInput) categorySearchInput.value = '';
+        }
+
         if (multiSelectEnabled) {
           if (modeToggle) modeToggle.style.display = 'flex';
           if (selectionInfo) selectionInfo.style.display = 'block';
@@ -834,28 +1435,26 @@ export class UIManager {
 
             clearTimeout(debounceTimer);
             debounceTimer = setTimeout(() => {
-              const filterTerms = parseFilterTerms(categorySearchInput.value);
+              const filterQuery = parseSearchQuery(categorySearchInput.value);
 
               // Filter the FULL dataset, not just rendered DOM elements
               const filtered =
-                filterTerms.length > 0
+                filterQuery.groups.length > 0
                   ? fullCategoryResults.filter((m) =>
-                      matchesAllTerms((m.name || '') + ' ' + (m.path || ''), filterTerms)
+                      matchesQuery((m.name || '') + ' ' + (m.path || ''), filterQuery)
                     )
                   : fullCategoryResults;
 
-              const display = filtered.slice(0, MAX_DISPLAY_RESULTS);
-
               // Re-render grid with filtered results
-              this._renderMatchGrid(
-                display,
+              const shown = this._renderMatchGrid(
+                filtered,
                 matchGrid,
                 multiSelectEnabled,
                 resolve,
                 updateSelectionCount
               );
 
-              if (categoryVisibleCount) categoryVisibleCount.textContent = display.length;
+              if (categoryVisibleCount) categoryVisibleCount.textContent = shown;
               if (categoryTotalCount) categoryTotalCount.textContent = filtered.length;
             }, 150);
           });
@@ -870,6 +1469,33 @@ export class UIManager {
         }
       };
 
+      // Search a category, or a term directly (suggestion chips), and show the results
+      const runSearch = async (selectedType, directSearchTerm = null) => {
+        if (resultsContainer) resultsContainer.style.display = 'block';
+        if (loadingEl) {
+          loadingEl.style.display = 'block';
+          loadingEl.innerHTML = await this.createSearchProgressHTML(selectedType, {
+            current: 0,
+            total: 1,
+            term: 'initializing...',
+            resultsFound: 0,
+          });
+        }
+        if (matchGrid) matchGrid.innerHTML = '';
+        if (selectBtn) selectBtn.disabled = true;
+
+        const results = await searchByCategory(
+          selectedType,
+          localIndex,
+          directSearchTerm,
+          async (progress) => {
+            if (loadingEl)
+              loadingEl.innerHTML = await this.createSearchProgressHTML(selectedType, progress);
+          }
+        );
+        displayResults(results);
+      };
+
       // Handle search button click
       if (searchBtn) {
         searchBtn.addEventListener('click', async () => {
@@ -882,33 +1508,19 @@ export class UIManager {
           // Check if it matches a known creature type, otherwise use as direct search
           const creatureTypes = Object.keys(CREATURE_TYPE_MAPPINGS);
           const selectedType = creatureTypes.find((t) => t === searchTerm) || searchTerm;
-
-          if (resultsContainer) resultsContainer.style.display = 'block';
-          if (loadingEl) {
-            loadingEl.style.display = 'block';
-            loadingEl.innerHTML = await this.createSearchProgressHTML(selectedType, {
-              current: 0,
-              total: 1,
-              term: 'initializing...',
-              resultsFound: 0,
-            });
-          }
-          if (matchGrid) matchGrid.innerHTML = '';
-          if (selectBtn) selectBtn.disabled = true;
-
-          const results = await searchByCategory(
-            selectedType,
-            localIndex,
-            null,
-            async (progress) => {
-              if (loadingEl)
-                loadingEl.innerHTML = await this.createSearchProgressHTML(selectedType, progress);
-            }
-          );
-          displayResults(results);
+          await runSearch(selectedType);
         });
       }
 
+      // Handle "did you mean" chips: terms search directly, categories browse the category
+      container.querySelectorAll('.suggestion-chip').forEach((chip) => {
+        chip.addEventListener('click', async () => {
+          const { term, category } = chip.dataset;
+          if (typeInput) typeInput.value = term || category;
+          await (term ? runSearch(term, term) : runSearch(category));
+        });
+      });
+
       // Handle Enter key in search input
       if (typeInput) {
         typeInput.addEventListener('keydown', (e) => {
@@ -926,7 +1538,7 @@ export class UIManager {
           const paths = Array.from(selectedOptions).map((opt) => opt.dataset.path);
           this._pendingResolve = null;
           if (paths.length > 0) {
-            resolve({ paths, mode: assignmentMode });
+            resolve({ paths, mode: assignmentMode, weights: readWeights(matchGrid, paths) });
           } else {
             resolve(null);
           }
@@ -943,6 +1555,319 @@ export class UIManager {
     });
   }
 
+  /**
+   * Setup dry-run plan handlers
+   * @param {HTMLElement} dialogElement - Dialog element
+   * @returns {Promise<Object<string, string|null>|null>} Chosen path per rowId (null path = skip), or null if cancelled
+   */
+  setupPlanHandlers(dialogElement) {
+    return new Promise((resolve) => {
+      this._pendingResolve = resolve;
+
+      const container = dialogElement.querySelector('.dialog-content');
+      if (!container) {
+        console.warn(`${MODULE_ID} | No dialog-content found`);
+        this._pendingResolve = null;
+        resolve(null);
+        return;
+      }
+
+      const selects = container.querySelectorAll('.plan-path-select');
+      selects.forEach((select) => {
+        select.value = select.dataset.current || '';
+        select.addEventListener('change', () => {
+          const rowEl = select.closest('.plan-row');
+          const option = select.selectedOptions[0];
+          rowEl.querySelector('.plan-score').textContent = option?.dataset.score || '';
+          rowEl.querySelector('.plan-source').textContent = option?.dataset.source || '';
+          rowEl.classList.toggle('skipped', !select.value);
+          rowEl.classList.remove('review');
+        });
+      });
+
+      container.querySelector('[data-action="apply-plan"]')?.addEventListener('click', () => {
+        const edits = {};
+        selects.forEach((select) => {
+          edits[select.closest('.plan-row').dataset.rowId] = select.value || null;
+        });
+        this._pendingResolve = null;
+        resolve(edits);
+      });
+
+      container.querySelector('[data-action="cancel-plan"]')?.addEventListener('click', () => {
+        this._pendingResolve = null;
+        resolve(null);
+      });
+    });
+  }
+
+  /**
+   * Setup actor source picker handlers
+   * @param {HTMLElement} dialogElement - Dialog element
+   * @returns {Promise<{sourceId: string, dryRun: boolean}|null>} Chosen source, or null if cancelled
+   */
+  setupActorSourceHandlers(dialogElement) {
+    return new Promise((resolve) => {
+      this._pendingResolve = resolve;
+
+      const container = dialogElement.querySelector('.dialog-content');
+      if (!container) {
+        console.warn(`${MODULE_ID} | No dialog-content found`);
+        this._pendingResolve = null;
+        resolve(null);
+        return;
+      }
+
+      container.querySelector('[data-action="start-source"]')?.addEventListener('click', () => {
+        const sourceId = container.querySelector('.actor-source-select')?.value;
+        if (!sourceId) return;
+        this._pendingResolve = null;
+        resolve({
+          sourceId,
+          dryRun: !!container.querySelector('.actor-source-dry-run')?.checked,
+        });
+      });
+
+      container.querySelector('[data-action="cancel-source"]')?.addEventListener('click', () => {
+        this._pendingResolve = null;
+        resolve(null);
+      });
+    });
+  }
+
+  /**
+   * Setup revert runs handlers
+   * @param {HTMLElement} dialogElement - Dialog element
+   * @returns {Promise<{runId: string, groupKeys: string[]|null}|null>} Selected run and groups (null groupKeys = whole run)
+   */
+  setupRevertHandlers(dialogElement) {
+    return new Promise((resolve) => {
+      this._pendingResolve = resolve;
+
+      const container = dialogElement.querySelector('.dialog-content');
+      if (!container) {
+        console.warn(`${MODULE_ID} | No dialog-content found`);
+        this._pendingResolve = null;
+        resolve(null);
+        return;
+      }
+
+      container.querySelectorAll('.revert-run').forEach((runEl) => {
+        const runId = runEl.dataset.runId;
+
+        runEl.querySelector('.revert-run-btn')?.addEventListener('click', () => {
+          this._pendingResolve = null;
+          resolve({ runId, groupKeys: null });
+        });
+
+        runEl.querySelector('.revert-groups-btn')?.addEventListener('click', () => {
+          const groupKeys = Array.from(runEl.querySelectorAll('.revert-group-check:checked')).map(
+            (input) => input.value
+          );
+          if (groupKeys.length === 0) return;
+          this._pendingResolve = null;
+          resolve({ runId, groupKeys });
+        });
+      });
+
+      container.querySelector('[data-action="close"]')?.addEventListener('click', () => {
+        this._pendingResolve = null;
+        resolve(null);
+      });
+    });
+  }
+
+  /**
+   * Setup multi-scene picker handlers
+   * @param {HTMLElement} dialogElement - Dialog element
+   * @returns {Promise<{sceneIds: string[], dryRun: boolean, pauseBetweenScenes: boolean}|null>} Run options or null if cancelled
+   */
+  setupWorldScenesHandlers(dialogElement) {
+    return new Promise((resolve) => {
+      this._pendingResolve = resolve;
+
+      const container = dialogElement.querySelector('.dialog-content');
+      if (!container) {
+        console.warn(`${MODULE_ID} | No dialog-content found`);
+        this._pendingResolve = null;
+        resolve(null);
+        return;
+      }
+
+      container.querySelector('[data-action="start-world"]')?.addEventListener('click', () => {
+        const sceneIds = Array.from(container.querySelectorAll('.world-scene-check:checked')).map(
+          (input) => input.value
+        );
+        if (sceneIds.length === 0) return;
+        this._pendingResolve = null;
+        resolve({
+          sceneIds,
+          dryRun: !!container.querySelector('.world-dry-run')?.checked,
+          pauseBetweenScenes: !!container.querySelector('.world-pause')?.checked,
+        });
+      });
+
+      container.querySelector('[data-action="cancel-world"]')?.addEventListener('click', () => {
+        this._pendingResolve = null;
+        resolve(null);
+      });
+    });
+  }
+
+  /**
+   * Setup multi-scene run status handlers
+   * @param {HTMLElement} dialogElement - Dialog element
+   * @returns {Promise<'process'|'skip'|'stop'|'close'|null>} Chosen action, null if the dialog was closed
+   */
+  setupWorldRunHandlers(dialogElement) {
+    return new Promise((resolve) => {
+      this._pendingResolve = resolve;
+
+      const container = dialogElement.querySelector('.dialog-content');
+      if (!container) {
+        console.warn(`${MODULE_ID} | No dialog-content found`);
+        this._pendingResolve = null;
+        resolve(null);
+        return;
+      }
+
+      const actions = {
+        'process-scene': 'process',
+        'skip-scene': 'skip',
+        'stop-world': 'stop',
+        'close-world': 'close',
+      };
+      for (const [action, choice] of Object.entries(actions)) {
+        container.querySelector(`[data-action="${action}"]`)?.addEventListener('click', () => {
+          this._pendingResolve = null;
+          resolve(choice);
+        });
+      }
+    });
+  }
+
+  /**
+   * Setup creature group review handlers
+   * Each change resolves with one action; the caller applies it and shows the groups again.
+   * @param {HTMLElement} dialogElement - Dialog element
+   * @returns {Promise<{type: 'regroup', groupBy: string}|{type: 'split', key: string, tokenIds: string[]}|{type: 'merge', keys: string[]}|{type: 'continue'}|null>}
+   *   Action, or null if the dialog was closed
+   */
+  setupGroupReviewHandlers(dialogElement) {
+    return new Promise((resolve) => {
+      this._pendingResolve = resolve;
+
+      const container = dialogElement.querySelector('.dialog-content');
+      if (!container) {
+        console.warn(`${MODULE_ID} | No dialog-content found`);
+        this._pendingResolve = null;
+        resolve(null);
+        return;
+      }
+
+      const finish = (action) => {
+        this._pendingResolve = null;
+        resolve(action);
+      };
+      const checkedValues = (root, selector) =>
+        Array.from(root.querySelectorAll(`${selector}:checked`), (input) => input.value);
+
+      container.querySelector('.group-review-by')?.addEventListener('change', (e) => {
+        finish({ type: 'regroup', groupBy: e.target.value });
+      });
+
+      container.querySelectorAll('.group-review-split-btn').forEach((btn) => {
+        btn.addEventListener('click', () => {
+          const item = btn.closest('.group-review-item');
+          const tokenIds = checkedValues(item, '.group-review-split');
+          if (tokenIds.length > 0) finish({ type: 'split', key: item.dataset.key, tokenIds });
+        });
+      });
+
+      container.querySelector('[data-action="merge"]')?.addEventListener('click', () => {
+        const keys = checkedValues(container, '.group-review-merge');
+        if (keys.length > 1) finish({ type: 'merge', keys });
+      });
+
+      container
+        .querySelector('[data-action="continue"]')
+        ?.addEventListener('click', () => finish({ type: 'continue' }));
+    });
+  }
+
+  /**
+   * Setup remembered choices review handlers
+   * @param {HTMLElement} dialogElement - Dialog element
+   * @returns {Promise<string[]|null>} Group keys to re-pick, or null if the dialog was closed
+   */
+  setupRememberedHandlers(dialogElement) {
+    return new Promise((resolve) => {
+      this._pendingResolve = resolve;
+
+      const container = dialogElement.querySelector('.dialog-content');
+      if (!container) {
+        console.warn(`${MODULE_ID} | No dialog-content found`);
+        this._pendingResolve = null;
+        resolve(null);
+        return;
+      }
+
+      const finish = (selector) => {
+        this._pendingResolve = null;
+        resolve(Array.from(container.querySelectorAll(selector)).map((input) => input.value));
+      };
+
+      container
+        .querySelector('[data-action="use-remembered"]')
+        ?.addEventListener('click', () => finish('.remembered-repick:checked'));
+      container
+        .querySelector('[data-action="repick-all"]')
+        ?.addEventListener('click', () => finish('.remembered-repick'));
+    });
+  }
+
+  /**
+   * Show the small picker for a dropped token whose best match is not confident enough
+   * Uses its own DialogV2 window so it never replaces a running main dialog.
+   * @param {import('../types/typedefs.js').CreatureInfo} creatureInfo - Creature info of the dropped token
+   * @param {Array<{path: string, name: string, score?: number, source?: string}>} matches - Matches, best first
+   * @returns {Promise<string|null>} Chosen path, or null if skipped
+   */
+  async showAutoAssignPicker(creatureInfo, matches) {
+    const content = await renderModuleTemplate(
+      `modules/${MODULE_ID}/templates/auto-assign-picker.hbs`,
+      {
+        tokenName: creatureInfo.tokenName || creatureInfo.actorName,
+        matches: matches.slice(0, MAX_PICKER_MATCHES).map((match) => ({
+          path: match.path,
+          name: match.name,
+          scoreDisplay:
+            match.score !== undefined
+              ? `${Math.round((1 - match.score) * 100)}%`
+              : match.source || '',
+        })),
+      }
+    );
+
+    let chosenPath = null;
+    await foundry.applications.api.DialogV2.wait({
+      window: { title: i18n('autoAssign.title') },
+      classes: ['token-replacer-fa-auto-assign-dialog'],
+      content,
+      buttons: [{ action: 'skip', label: i18n('autoAssign.skip'), icon: 'fas fa-times' }],
+      rejectClose: false,
+      render: (_event, dialog) => {
+        dialog.element.querySelectorAll('.auto-assign-option').forEach((option) => {
+          option.addEventListener('click', () => {
+            chosenPath = option.dataset.path;
+            dialog.close();
+          });
+        });
+      },
+    });
+    return chosenPath;
+  }
+
   /**
    * Create main dialog
    * @param {string} initialContent - Initial content
@@ -82,9 +82,18 @@ self.addEventListener('message', (event) => {
  * @param {Object} data.creatureTypeMappings - Creature category mappings
  * @param {Array} data.excludedFolders - Folder names to exclude
  * @param {Array} data.excludedFilenameTerms - Filename terms to exclude
+ * @param {Array} [data.weaponTerms] - Weapon words of FA filenames (FA_WEAPON_TERMS)
+ * @param {Array} [data.sizeTerms] - Size words of FA filenames
  */
 function handleIndexPaths(data) {
-  const { paths, creatureTypeMappings, excludedFolders, excludedFilenameTerms } = data;
+  const {
+    paths,
+    creatureTypeMappings,
+    excludedFolders,
+    excludedFilenameTerms,
+    weaponTerms = [],
+    sizeTerms = [],
+  } = data;
 
   // Reset cancellation flag at start of operation
   cancelled = false;
@@ -165,6 +174,7 @@ function handleIndexPaths(data) {
       name: imageName,
       category: category || null,
       subcategories: subcategories || [],
+      attributes: parseTokenFilename(path, weaponTerms, sizeTerms),
     };
 
     imagesFound++;
@@ -210,6 +220,19 @@ function handleIndexPaths(data) {
     }
     const searchText = `${path} ${data.name}`.toLowerCase();
     const terms = searchText.split(/[\/\\\-_\s\.]+/).filter((t) => t.length > 0);
+    // Adjacent word pairs for phrase search, as in IndexService.tokenizeBigrams()
+    for (const text of [path, data.name]) {
+      for (const segment of text.toLowerCase().split(/[/\\]+/)) {
+        const words = segment.replace(/\.[a-z0-9]{2,5}$/, '').split(/[-_\s.]+/);
+        for (let i = 1; i < words.length; i++) {
+          const first = words[i - 1];
+          const second = words[i];
+          if (first && second && !/^\d+$/.test(first) && !/^\d+$/.test(second)) {
+            terms.push(`${first} ${second}`);
+          }
+        }
+      }
+    }
     for (const term of new Set(terms)) {
       if (!termIndex[term]) termIndex[term] = [];
       termIndex[term].push(path);
@@ -394,6 +417,60 @@ function categorizeImage(path, name, creatureTypeMappings) {
   return { category: bestCategory, subcategories };
 }
 
+/**
+ * Parse a Forgotten Adventures style token filename into its attributes
+ * Same rules as Utils.parseTokenFilename() — keep in sync
+ *
+ * @param {string} path - Image path
+ * @param {Array} weaponTerms - Lowercase weapon words
+ * @param {Array} sizeTerms - Lowercase size words
+ * @returns {Object|null} { creature, variant, variantLetter, variantNumber, weapon, size, copy },
+ *   or null if the filename names no creature
+ */
+function parseTokenFilename(path, weaponTerms, sizeTerms) {
+  const filename = path
+    .split(/[/\\]/)
+    .pop()
+    .replace(/\.[a-z0-9]{2,5}$/i, '');
+  const creature = [];
+  const weapons = [];
+  let variant = null;
+  let size = null;
+  let copy = null;
+  let creatureDone = false;
+
+  for (const word of filename.split(/[-_\s.]+/).filter(Boolean)) {
+    const lower = word.toLowerCase();
+    const code = creature.length > 0 ? /^([A-Z])(\d{0,2})$/.exec(word) : null;
+    if (code && !variant) {
+      variant = { code: word, letter: code[1], number: code[2] ? Number(code[2]) : null };
+    } else if (/^\d+$/.test(word)) {
+      copy = Number(word);
+    } else if (creature.length > 0 && /^scale\d+$/i.test(word)) {
+      // Scale markers describe the art, not the creature
+    } else if (creature.length > 0 && sizeTerms.includes(lower)) {
+      size ??= lower;
+    } else if (creature.length > 0 && weaponTerms.includes(lower)) {
+      if (!weapons.includes(lower)) weapons.push(lower);
+    } else {
+      if (!creatureDone) creature.push(lower);
+      continue;
+    }
+    creatureDone = creature.length > 0;
+  }
+
+  if (creature.length === 0) return null;
+  return {
+    creature: creature.join(' '),
+    variant: variant?.code ?? null,
+    variantLetter: variant?.letter ?? null,
+    variantNumber: variant?.number ?? null,
+    weapon: weapons.length > 0 ? weapons.join(' ') : null,
+    size,
+    copy,
+  };
+}
+
 /**
  * CDN URL segments to skip when checking folder exclusions
  * These are common in Forge bazaar URLs: https://assets.forge-vtt.com/bazaar/assets/...
@@ -0,0 +1,51 @@
+/**
+ * Tests for TermTrie.js
+ *
+ * @module tests/core/TermTrie.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TermTrie } from '../../scripts/core/TermTrie.js';
+
+describe('TermTrie', () => {
+  function createTrie() {
+    const trie = new TermTrie();
+    trie.insert('goblin', 40);
+    trie.insert('goblin boss', 6);
+    trie.insert('goblin shaman', 6);
+    trie.insert('gnoll', 12);
+    trie.insert('go', 1);
+    return trie;
+  }
+
+  it('completes a prefix heaviest first, ties alphabetical', () => {
+    expect(createTrie().complete('gob')).toEqual(['goblin', 'goblin boss', 'goblin shaman']);
+  });
+
+  it('includes the prefix itself and honors the limit', () => {
+    const trie = createTrie();
+
+    expect(trie.complete('go', 2)).toEqual(['goblin', 'goblin boss']);
+    expect(trie.complete('goblin', 1)).toEqual(['goblin']);
+  });
+
+  it('filters terms and returns nothing for unknown or empty prefixes', () => {
+    const trie = createTrie();
+
+    expect(trie.complete('g', Infinity, (term) => !term.includes(' '))).toEqual([
+      'goblin',
+      'gnoll',
+      'go',
+    ]);
+    expect(trie.complete('orc')).toEqual([]);
+    expect(trie.complete('')).toEqual([]);
+  });
+
+  it('counts each term once and updates its weight on reinsert', () => {
+    const trie = createTrie();
+    trie.insert('gnoll', 100);
+
+    expect(trie.size).toBe(5);
+    expect(trie.complete('g', 1)).toEqual(['gnoll']);
+  });
+});
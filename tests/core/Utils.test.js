@@ -16,8 +16,17 @@ import {
   sanitizePath,
   parseFilterTerms,
   matchesAllTerms,
+  parseSearchQuery,
+  createAllWordsQuery,
+  matchesQuery,
   parseSubtypeTerms,
+  analyzeCreatureName,
+  stripNameNumbering,
+  parseTokenFilename,
+  groupVariantFamilies,
   hasGenericSubtype,
+  getWordForms,
+  editDistance,
   getCreatureCacheKey,
   extractPathFromTVAResult,
   extractPathFromObject,
@@ -280,6 +289,73 @@ describe('matchesAllTerms', () => {
   });
 });
 
+describe('parseSearchQuery', () => {
+  const word = (w) => ({ words: [w], phrase: false });
+
+  it('ANDs words and splits alternatives on OR or |', () => {
+    expect(parseSearchQuery('hill giant OR ogre | troll').groups).toEqual([
+      { include: [word('hill'), word('giant')], exclude: [] },
+      { include: [word('ogre')], exclude: [] },
+      { include: [word('troll')], exclude: [] },
+    ]);
+  });
+
+  it('parses exclusions, quoted phrases and joined words', () => {
+    expect(
+      parseSearchQuery('"Young Red Dragon" -wyrmling NOT -"red dragonborn" hill_giant')
+    ).toEqual({
+      groups: [
+        {
+          include: [
+            { words: ['young', 'red', 'dragon'], phrase: true },
+            { words: ['hill', 'giant'], phrase: true },
+          ],
+          exclude: [word('wyrmling'), { words: ['red', 'dragonborn'], phrase: true }],
+        },
+      ],
+    });
+  });
+
+  it('keeps comma and colon separators and lowercase operators as words', () => {
+    expect(parseSearchQuery('dwarf,monk: or').groups[0].include).toEqual([
+      word('dwarf'),
+      word('monk'),
+      word('or'),
+    ]);
+    expect(parseSearchQuery('  ').groups).toEqual([]);
+  });
+});
+
+describe('createAllWordsQuery', () => {
+  it('needs every word of the name and treats operators as text', () => {
+    expect(createAllWordsQuery('Goblin "Boss" OR 2').groups).toEqual([
+      {
+        include: ['goblin', 'boss', 'or'].map((w) => ({ words: [w], phrase: false })),
+        exclude: [],
+      },
+    ]);
+    expect(createAllWordsQuery('42').groups).toEqual([]);
+  });
+});
+
+describe('matchesQuery', () => {
+  it('matches words anywhere and phrases only when adjacent', () => {
+    const query = parseSearchQuery('"red dragon" -young');
+
+    expect(matchesQuery('Dragons/Red_Dragon_Adult.webp', query)).toBe(true);
+    expect(matchesQuery('Dragons/Red_Dragon_Young.webp', query)).toBe(false);
+    expect(matchesQuery('Dragons/Dragon_Red.webp', query)).toBe(false);
+  });
+
+  it('matches any alternative and everything for an empty query', () => {
+    const query = parseSearchQuery('ogre OR troll');
+
+    expect(matchesQuery('Giants/Troll.webp', query)).toBe(true);
+    expect(matchesQuery('Giants/Hill_Giant.webp', query)).toBe(false);
+    expect(matchesQuery('anything', parseSearchQuery(''))).toBe(true);
+  });
+});
+
 // =========================================================================
 // 5. parseSubtypeTerms
 // =========================================================================
@@ -318,10 +394,156 @@ describe('parseSubtypeTerms', () => {
   });
 });
 
+describe('stripNameNumbering', () => {
+  it('removes trailing numbering and keeps the case', () => {
+    expect(stripNameNumbering('Goblin 3')).toBe('Goblin');
+    expect(stripNameNumbering('Bandit Captain (2)')).toBe('Bandit Captain');
+    expect(stripNameNumbering('Kobold #4')).toBe('Kobold');
+    expect(stripNameNumbering('Ogre')).toBe('Ogre');
+    expect(stripNameNumbering(null)).toBe('');
+  });
+});
+
+describe('analyzeCreatureName', () => {
+  const termsOf = (name) => analyzeCreatureName(name).terms.map((t) => [t.term, t.weight]);
+
+  it('splits dragon names into age, color and base', () => {
+    expect(analyzeCreatureName('Adult Blue Dragon')).toMatchObject({
+      name: 'adult blue dragon',
+      base: 'blue dragon',
+      age: 'adult',
+      color: 'blue',
+    });
+    expect(analyzeCreatureName('Red Dragon Wyrmling').base).toBe('red dragon');
+    expect(analyzeCreatureName('Brass Wyrmling')).toMatchObject({
+      base: 'brass wyrmling',
+      age: 'wyrmling',
+    });
+    expect(analyzeCreatureName('Young Girl')).toMatchObject({ base: 'young girl', age: null });
+  });
+
+  it('drops numbering suffixes', () => {
+    expect(termsOf('Goblin 3')).toEqual([['goblin', 1]]);
+    expect(termsOf('Orc (2)')).toEqual([['orc', 1]]);
+    expect(termsOf('Kobold #4')).toEqual([['kobold', 1]]);
+  });
+
+  it('weighs the base creature below the full name for ranks, sizes and templates', () => {
+    expect(termsOf('Goblin Boss (2)')).toEqual([
+      ['goblin boss', 1],
+      ['goblin', 0.8],
+    ]);
+    expect(analyzeCreatureName('Huge Giant Spider')).toMatchObject({
+      base: 'giant spider',
+      size: 'huge',
+    });
+    expect(termsOf('Zombie Ogre')).toEqual([
+      ['zombie ogre', 1],
+      ['ogre', 0.8],
+      ['zombie', 0.5],
+    ]);
+    expect(analyzeCreatureName('Half-Dragon Veteran')).toMatchObject({
+      base: 'veteran',
+      template: 'half-dragon',
+    });
+  });
+
+  it('takes two-word ranks together and keeps ranks that belong to the creature', () => {
+    expect(analyzeCreatureName('Orc War Chief')).toMatchObject({
+      base: 'orc',
+      rank: 'war chief',
+    });
+    expect(analyzeCreatureName('Lizard King')).toMatchObject({ base: 'lizard king', rank: null });
+    expect(termsOf('Lizard Queen (2)')).toEqual([['lizard queen', 1]]);
+    expect(analyzeCreatureName('Hobgoblin Captain').base).toBe('hobgoblin');
+  });
+
+  it('keeps a lone recognized word as the creature', () => {
+    expect(analyzeCreatureName('Zombie')).toMatchObject({ base: 'zombie', template: null });
+    expect(termsOf('Chieftain')).toEqual([['chieftain', 1]]);
+    expect(analyzeCreatureName(null).terms).toEqual([]);
+  });
+});
+
 // =========================================================================
 // 6. hasGenericSubtype
 // =========================================================================
 
+describe('parseTokenFilename', () => {
+  it('reads creature, variant, weapon and copy number from FA filenames', () => {
+    expect(parseTokenFilename('FA/Goblins/Goblin_Warrior_A1_Scimitar_01.webp')).toEqual({
+      creature: 'goblin warrior',
+      variant: 'A1',
+      variantLetter: 'A',
+      variantNumber: 1,
+      weapon: 'scimitar',
+      size: null,
+      copy: 1,
+    });
+  });
+
+  it('reads sizes, letter-only variants and several weapons', () => {
+    expect(parseTokenFilename('Shield_Guardian_B_Large_Scale150_02.webp')).toMatchObject({
+      creature: 'shield guardian',
+      variant: 'B',
+      variantNumber: null,
+      size: 'large',
+      copy: 2,
+    });
+    expect(parseTokenFilename('Orc_A2_Longsword_Shield_Red_03.png')).toMatchObject({
+      creature: 'orc',
+      weapon: 'longsword shield',
+    });
+  });
+
+  it('handles plain names and names without a creature', () => {
+    expect(parseTokenFilename('Bandit_Captain_01.webp')).toMatchObject({
+      creature: 'bandit captain',
+      variant: null,
+      weapon: null,
+      copy: 1,
+    });
+    expect(parseTokenFilename('Hill Giant.webp').creature).toBe('hill giant');
+    expect(parseTokenFilename('tokens/01.webp')).toBeNull();
+    expect(parseTokenFilename(null)).toBeNull();
+  });
+});
+
+describe('groupVariantFamilies', () => {
+  const match = (path) => ({ path, name: path });
+
+  it('groups variants by parsed creature, in order of their best match', () => {
+    const matches = [
+      match('Goblin_Warrior_A1_Scimitar_01.webp'),
+      match('Goblin_Boss_01.webp'),
+      match('Goblin_Warrior_B2_Spear_03.webp'),
+      match('Goblin_Warrior_A2_Shortbow_01.webp'),
+    ];
+
+    const families = groupVariantFamilies(matches);
+
+    expect(families.map((f) => [f.creature, f.matches.length])).toEqual([
+      ['goblin warrior', 3],
+      ['goblin boss', 1],
+    ]);
+    expect(families[0].matches).toEqual([matches[0], matches[2], matches[3]]);
+  });
+
+  it('keeps matches without a creature alone and uses the given attribute lookup', () => {
+    const families = groupVariantFamilies(
+      [match('a/01.webp'), match('b/01.webp'), match('Wolf.webp')],
+      (path) => (path === 'Wolf.webp' ? { creature: 'dire wolf' } : null)
+    );
+
+    expect(families.map((f) => f.key)).toEqual([
+      'path:a/01.webp',
+      'path:b/01.webp',
+      'family:dire wolf',
+    ]);
+    expect(groupVariantFamilies(null)).toEqual([]);
+  });
+});
+
 describe('hasGenericSubtype', () => {
   it.each(['any', 'any race', 'any type', 'various', 'mixed', 'all'])(
     'returns true for generic indicator "%s"',
@@ -355,6 +577,45 @@ describe('hasGenericSubtype', () => {
 // 7. getCreatureCacheKey
 // =========================================================================
 
+describe('getWordForms', () => {
+  it('derives singulars from regular plurals', () => {
+    expect(getWordForms('wolves')).toContain('wolf');
+    expect(getWordForms('kobolds')).toContain('kobold');
+    expect(getWordForms('harpies')).toContain('harpy');
+    expect(getWordForms('lizardmen')).toContain('lizardman');
+  });
+
+  it('derives plurals from singulars, including irregular ones', () => {
+    expect(getWordForms('wolf')).toContain('wolves');
+    expect(getWordForms('harpy')).toEqual(['harpies']);
+    expect(getWordForms('fox')).toEqual(['foxes']);
+    expect(getWordForms('mouse')).toContain('mice');
+    expect(getWordForms('mice')).toContain('mouse');
+  });
+
+  it('returns nothing for short words and numbers', () => {
+    expect(getWordForms('ox')).toEqual([]);
+    expect(getWordForms('wolf01')).toEqual([]);
+    expect(getWordForms('')).toEqual([]);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions, substitutions and swaps as one edit each', () => {
+    expect(editDistance('goblin', 'goblin')).toBe(0);
+    expect(editDistance('goblin', 'goblins')).toBe(1);
+    expect(editDistance('goblin', 'gobin')).toBe(1);
+    expect(editDistance('goblin', 'goblen')).toBe(1);
+    expect(editDistance('gobiln', 'goblin')).toBe(1);
+    expect(editDistance('wolf', 'bear')).toBe(4);
+  });
+
+  it('returns maxDistance + 1 once the distance is larger', () => {
+    expect(editDistance('wolf', 'bear', 1)).toBe(2);
+    expect(editDistance('wolf', 'werewolf', 2)).toBe(3);
+  });
+});
+
 describe('getCreatureCacheKey', () => {
   it('generates lowercase key from actorName, type, subtype', () => {
     expect(getCreatureCacheKey({ actorName: 'Goblin', type: 'humanoid', subtype: 'Goblin' })).toBe(
@@ -0,0 +1,133 @@
+/**
+ * ActorSourceService test suite
+ *
+ * Covers listSources() over compendium packs and Actors folders,
+ * and getTargets() loading, eligibility filtering, subfolder traversal
+ * and structured errors for locked or unknown sources.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { ActorSourceService } from '../../scripts/services/ActorSourceService.js';
+import { TokenService } from '../../scripts/services/TokenService.js';
+import { createMockActor } from '../helpers/mock-helpers.js';
+
+// Helper: Actor compendium pack stub
+function mockPack(collection, actors, { locked = false, documentName = 'Actor' } = {}) {
+  return {
+    collection,
+    title: collection.split('.').pop(),
+    documentName,
+    locked,
+    getDocuments: vi.fn(async () => actors),
+  };
+}
+
+// Helper: Actors folder stub with optional subfolders
+function mockFolder(id, name, actors, subfolders = []) {
+  return {
+    id,
+    name,
+    type: 'Actor',
+    contents: actors,
+    getSubfolders: vi.fn(() => subfolders),
+  };
+}
+
+function createService(packs = [], folders = []) {
+  return new ActorSourceService({
+    getPacks: () => packs,
+    getFolders: () => folders,
+    tokenService: new TokenService(),
+  });
+}
+
+describe('ActorSourceService', () => {
+  describe('listSources()', () => {
+    it('lists Actor packs then Actor folders, sorted by label', () => {
+      const service = createService(
+        [
+          mockPack('world.zombies', []),
+          mockPack('world.items', [], { documentName: 'Item' }),
+          mockPack('world.beasts', [], { locked: true }),
+        ],
+        [mockFolder('f1', 'Villains', []), { id: 'f2', name: 'Maps', type: 'Scene' }]
+      );
+
+      expect(service.listSources()).toEqual([
+        { id: 'pack:world.beasts', type: 'pack', label: 'beasts', locked: true },
+        { id: 'pack:world.zombies', type: 'pack', label: 'zombies', locked: false },
+        { id: 'folder:f1', type: 'folder', label: 'Villains', locked: false },
+      ]);
+    });
+  });
+
+  describe('getTargets()', () => {
+    it('returns actor targets for eligible pack actors only', async () => {
+      const goblin = createMockActor({ name: 'Goblin', tokenImg: 'goblin.webp' });
+      goblin.uuid = 'Compendium.world.monsters.Actor.abc';
+      const hero = { ...createMockActor({ name: 'Hero' }), type: 'character' };
+      const service = createService([mockPack('world.monsters', [goblin, hero])]);
+
+      const targets = await service.getTargets('pack:world.monsters');
+
+      expect(targets).toHaveLength(1);
+      expect(targets[0]).toMatchObject({
+        id: 'Compendium.world.monsters.Actor.abc',
+        name: 'Goblin',
+        actor: goblin,
+        document: null,
+        texture: { src: 'goblin.webp' },
+        isActorTarget: true,
+      });
+    });
+
+    it('includes actors from subfolders', async () => {
+      const sub = mockFolder('f2', 'Minions', [createMockActor({ name: 'Kobold' })]);
+      const root = mockFolder('f1', 'Villains', [createMockActor({ name: 'Lich' })], [sub]);
+      const service = createService([], [root, sub]);
+
+      const targets = await service.getTargets('folder:f1');
+
+      expect(targets.map((t) => t.name)).toEqual(['Lich', 'Kobold']);
+      expect(root.getSubfolders).toHaveBeenCalledWith(true);
+    });
+
+    it('throws compendium_locked for locked packs', async () => {
+      const service = createService([mockPack('world.monsters', [], { locked: true })]);
+      await expect(service.getTargets('pack:world.monsters')).rejects.toMatchObject({
+        errorType: 'compendium_locked',
+      });
+    });
+
+    it('throws actor_source_missing for unknown sources', async () => {
+      const service = createService();
+      await expect(service.getTargets('pack:nope')).rejects.toMatchObject({
+        errorType: 'actor_source_missing',
+      });
+      await expect(service.getTargets('scene:abc')).rejects.toMatchObject({
+        errorType: 'actor_source_missing',
+      });
+    });
+  });
+
+  describe('actor targets in the token pipeline', () => {
+    it('extractCreatureInfo() reads creature info and prototype image from the target', () => {
+      const tokenService = new TokenService();
+      const actor = createMockActor({ name: 'Wolf', type: 'beast', tokenImg: 'wolf.webp' });
+      const info = tokenService.extractCreatureInfo(tokenService.createActorTarget(actor));
+
+      expect(info.actorName).toBe('Wolf');
+      expect(info.type).toBe('beast');
+      expect(info.currentImage).toBe('wolf.webp');
+    });
+
+    it('resolveReplacementScope() targets the prototype only', () => {
+      const tokenService = new TokenService({ getSetting: () => undefined });
+      const target = tokenService.createActorTarget(createMockActor());
+      expect(tokenService.resolveReplacementScope(target)).toEqual({
+        token: false,
+        prototype: true,
+        portrait: false,
+      });
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * AutoAssignService test suite
+ *
+ * Covers shouldHandle() gating (setting, GM, creating user, eligibility),
+ * decide() against autoReplace and the auto-replace confidence, resolveMatch()
+ * with remembered choices (continued from the tokens already placed) and with
+ * or without a ready index, and enqueue() serialization.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { AutoAssignService } from '../../scripts/services/AutoAssignService.js';
+import { TokenService } from '../../scripts/services/TokenService.js';
+import { createMockActor, createMockToken } from '../helpers/mock-helpers.js';
+
+// Helper: service with in-memory settings and stubbed search sources
+function createService({
+  settings = {},
+  user = { id: 'gm', isGM: true },
+  ready = true,
+  remembered = null,
+} = {}) {
+  const values = {
+    autoAssignOnCreate: true,
+    autoReplace: true,
+    autoReplaceConfidence: 0.8,
+    ...settings,
+  };
+  const searchService = { searchTokenArt: vi.fn(async () => []) };
+  const service = new AutoAssignService({
+    getSetting: (_moduleId, key) => values[key],
+    getUser: () => user,
+    tokenService: new TokenService({ getSetting: () => undefined }),
+    searchService,
+    indexService: { isBuilt: ready },
+    tvaCacheService: { isTVACacheLoaded: false },
+    choiceMemoryService: { recall: () => remembered },
+  });
+  return { service, searchService };
+}
+
+// Helper: created token document with its actor attached
+function tokenDoc(actor = createMockActor({ name: 'Goblin' })) {
+  return { ...createMockToken({ actor }).document, actor };
+}
+
+describe('AutoAssignService', () => {
+  describe('shouldHandle()', () => {
+    it('handles NPC tokens created by the current GM', () => {
+      const { service } = createService();
+      expect(service.shouldHandle(tokenDoc(), 'gm')).toBe(true);
+    });
+
+    it('ignores tokens when the setting is off', () => {
+      const { service } = createService({ settings: { autoAssignOnCreate: false } });
+      expect(service.shouldHandle(tokenDoc(), 'gm')).toBe(false);
+    });
+
+    it('ignores tokens created by another user or on a player client', () => {
+      expect(createService().service.shouldHandle(tokenDoc(), 'other')).toBe(false);
+      const player = createService({ user: { id: 'p1', isGM: false } }).service;
+      expect(player.shouldHandle(tokenDoc(), 'p1')).toBe(false);
+    });
+
+    it('ignores non-NPC actors', () => {
+      const { service } = createService();
+      const hero = tokenDoc({ ...createMockActor({ name: 'Hero' }), type: 'character' });
+      expect(service.shouldHandle(hero, 'gm')).toBe(false);
+    });
+  });
+
+  describe('decide()', () => {
+    it('applies the best match when autoReplace is on and it clears the threshold', () => {
+      const { service } = createService();
+      expect(service.decide([{ path: 'goblin.webp', score: 0.1 }])).toEqual({
+        action: 'apply',
+        path: 'goblin.webp',
+      });
+    });
+
+    it('asks the user when confidence is below the threshold', () => {
+      const { service } = createService();
+      expect(service.decide([{ path: 'goblin.webp', score: 0.5 }]).action).toBe('pick');
+    });
+
+    it('always asks the user when autoReplace is off', () => {
+      const { service } = createService({ settings: { autoReplace: false } });
+      expect(service.decide([{ path: 'goblin.webp', score: 0 }]).action).toBe('pick');
+    });
+
+    it('does nothing without matches', () => {
+      const { service } = createService();
+      expect(service.decide([])).toEqual({ action: 'none', path: null });
+    });
+  });
+
+  describe('resolveMatch()', () => {
+    it('searches the creature and returns the decision with its matches', async () => {
+      const { service, searchService } = createService();
+      const matches = [{ path: 'goblin.webp', name: 'Goblin', score: 0.05 }];
+      searchService.searchTokenArt.mockResolvedValueOnce(matches);
+      const target = new TokenService().createSceneTokenTarget(tokenDoc());
+
+      const result = await service.resolveMatch(target);
+
+      expect(searchService.searchTokenArt).toHaveBeenCalledWith(
+        expect.objectContaining({ actorName: 'Goblin' })
+      );
+      expect(result).toMatchObject({ matches, action: 'apply', path: 'goblin.webp' });
+    });
+
+    it('applies a remembered choice without searching, even before the index is ready', async () => {
+      const { service, searchService } = createService({
+        ready: false,
+        remembered: { paths: ['remembered.webp'], mode: 'sequential' },
+      });
+      const target = new TokenService().createSceneTokenTarget(tokenDoc());
+
+      const result = await service.resolveMatch(target);
+
+      expect(result).toMatchObject({ action: 'apply', path: 'remembered.webp' });
+      expect(searchService.searchTokenArt).not.toHaveBeenCalled();
+    });
+
+    it('continues a remembered choice from the tokens already on the scene', async () => {
+      const { service } = createService({
+        remembered: { paths: ['a.webp', 'b.webp', 'c.webp'], mode: 'sequential' },
+      });
+      const goblin = createMockActor({ name: 'Goblin' });
+      const placed = [
+        tokenDoc(goblin),
+        tokenDoc(createMockActor({ name: 'Orc' })),
+        tokenDoc(goblin),
+      ];
+      const dropped = tokenDoc(goblin);
+      const scene = { tokens: [...placed, dropped] };
+      for (const doc of scene.tokens) doc.parent = scene;
+
+      const result = await service.resolveMatch(new TokenService().createSceneTokenTarget(dropped));
+
+      expect(result).toMatchObject({ action: 'apply', path: 'c.webp' });
+    });
+
+    it('skips the search while no index or TVA cache is ready', async () => {
+      const { service, searchService } = createService({ ready: false });
+      const target = new TokenService().createSceneTokenTarget(tokenDoc());
+
+      const result = await service.resolveMatch(target);
+
+      expect(result.action).toBe('none');
+      expect(searchService.searchTokenArt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enqueue()', () => {
+    it('runs tasks one at a time and keeps going after a failure', async () => {
+      const { service } = createService();
+      const order = [];
+
+      const first = service.enqueue(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        order.push('first');
+      });
+      const failing = service.enqueue(async () => {
+        throw new Error('picker closed');
+      });
+      const last = service.enqueue(async () => order.push('last'));
+
+      await first;
+      await expect(failing).rejects.toThrow('picker closed');
+      await last;
+      expect(order).toEqual(['first', 'last']);
+    });
+  });
+});
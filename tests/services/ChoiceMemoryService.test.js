@@ -0,0 +1,153 @@
+/**
+ * ChoiceMemoryService test suite
+ *
+ * Covers source/creature key derivation, remember()/recall() round trips,
+ * source-key precedence, groups named after their tokens, the rememberChoices
+ * toggle, forget() and clear().
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ChoiceMemoryService } from '../../scripts/services/ChoiceMemoryService.js';
+import { TokenService } from '../../scripts/services/TokenService.js';
+import { createMockActor } from '../helpers/mock-helpers.js';
+
+// Helper: service backed by an in-memory settings store
+function createHarness(settings = {}) {
+  const store = new Map(Object.entries({ rememberChoices: true, ...settings }));
+  const service = new ChoiceMemoryService({
+    getSetting: (_moduleId, key) => store.get(key),
+    setSetting: vi.fn(async (_moduleId, key, value) => store.set(key, value)),
+  });
+  return { service, store };
+}
+
+// Helper: actor imported from a compendium entry, plus its creature info
+function importedActor(name, sourceId = null) {
+  const actor = createMockActor({ name, type: 'humanoid' });
+  if (sourceId) actor._stats = { compendiumSource: sourceId };
+  const creatureInfo = new TokenService().extractCreatureInfo({ actor, name, id: 't1' });
+  return { actor, creatureInfo };
+}
+
+describe('ChoiceMemoryService', () => {
+  let h;
+
+  beforeEach(() => {
+    h = createHarness();
+  });
+
+  describe('getKeys()', () => {
+    it('puts the compendium source key before the creature key', () => {
+      const { actor, creatureInfo } = importedActor('Goblin', 'Compendium.dnd5e.monsters.Actor.g1');
+      const keys = h.service.getKeys(creatureInfo, actor);
+      expect(keys[0]).toBe('source:Compendium.dnd5e.monsters.Actor.g1');
+      expect(keys[1]).toMatch(/^creature:/);
+    });
+
+    it('uses the actor UUID for compendium actors and the legacy sourceId flag', () => {
+      expect(h.service.getSourceId({ uuid: 'Compendium.world.beasts.Actor.w1' })).toBe(
+        'Compendium.world.beasts.Actor.w1'
+      );
+      expect(h.service.getSourceId({ flags: { core: { sourceId: 'Compendium.x.Actor.y' } } })).toBe(
+        'Compendium.x.Actor.y'
+      );
+      expect(h.service.getSourceId(null)).toBeNull();
+    });
+  });
+
+  describe('remember() / recall()', () => {
+    it('recalls paths and mode for the same creature', async () => {
+      const { actor, creatureInfo } = importedActor('Goblin');
+      await h.service.remember(creatureInfo, actor, ['a.webp', 'b.webp'], 'random');
+
+      expect(h.service.recall(creatureInfo, actor)).toMatchObject({
+        paths: ['a.webp', 'b.webp'],
+        mode: 'random',
+        label: 'Goblin',
+      });
+    });
+
+    it('keeps per-path weights only for weighted mode', async () => {
+      const { actor, creatureInfo } = importedActor('Goblin');
+      await h.service.remember(creatureInfo, actor, ['a.webp', 'b.webp'], 'weighted', [3, 1]);
+      expect(h.service.recall(creatureInfo, actor)?.weights).toEqual([3, 1]);
+
+      await h.service.remember(creatureInfo, actor, ['a.webp', 'b.webp'], 'spread', [3, 1]);
+      expect(h.service.recall(creatureInfo, actor)).not.toHaveProperty('weights');
+    });
+
+    it('shares a choice between actors imported from the same compendium entry', async () => {
+      const source = 'Compendium.dnd5e.monsters.Actor.g1';
+      const first = importedActor('Goblin', source);
+      const renamed = importedActor('Goblin Boss', source);
+      await h.service.remember(first.creatureInfo, first.actor, ['goblin.webp']);
+
+      expect(h.service.recall(renamed.creatureInfo, renamed.actor)?.paths).toEqual(['goblin.webp']);
+    });
+
+    it('keeps a group split off by token name apart from the rest of its actor', async () => {
+      const source = 'Compendium.dnd5e.monsters.Actor.b1';
+      const actor = createMockActor({ name: 'Bandit', type: 'humanoid' });
+      actor._stats = { compendiumSource: source };
+      const tokenService = new TokenService();
+      const tokens = ['Bandit 1', 'Bandit Captain', 'Bandit 2'].map((name, i) => ({
+        id: `b${i}`,
+        name,
+        actor,
+      }));
+      const groups = tokenService.groupTokensByCreature(tokens);
+      const [banditKey] = groups.keys();
+      const split = tokenService.splitGroup(groups, banditKey, ['b1']);
+      const bandits = split.get(banditKey).creatureInfo;
+      const captain = split.get(`${banditKey}#2`).creatureInfo;
+
+      await h.service.remember(bandits, actor, ['bandit.webp']);
+      expect(h.service.getKeys(captain, actor)).toEqual([`creature:${'bandit captain_humanoid_'}`]);
+      expect(h.service.recall(captain, actor)).toBeNull();
+
+      await h.service.remember(captain, actor, ['captain.webp']);
+      expect(h.service.recall(captain, actor).paths).toEqual(['captain.webp']);
+      expect(h.service.recall(bandits, actor).paths).toEqual(['bandit.webp']);
+    });
+
+    it('returns null for unknown creatures', () => {
+      const { actor, creatureInfo } = importedActor('Orc');
+      expect(h.service.recall(creatureInfo, actor)).toBeNull();
+    });
+
+    it('neither remembers nor recalls when the setting is off', async () => {
+      const { actor, creatureInfo } = importedActor('Goblin');
+      await h.service.remember(creatureInfo, actor, ['a.webp']);
+      h.store.set('rememberChoices', false);
+
+      expect(h.service.recall(creatureInfo, actor)).toBeNull();
+      await h.service.remember(creatureInfo, actor, ['b.webp']);
+      h.store.set('rememberChoices', true);
+      expect(h.service.recall(creatureInfo, actor).paths).toEqual(['a.webp']);
+    });
+  });
+
+  describe('forget() / clear()', () => {
+    it('forget() removes every key of the creature', async () => {
+      const { actor, creatureInfo } = importedActor('Goblin', 'Compendium.a.Actor.b');
+      await h.service.remember(creatureInfo, actor, ['a.webp']);
+      await h.service.forget(creatureInfo, actor);
+
+      expect(h.service.recall(creatureInfo, actor)).toBeNull();
+      expect(h.store.get('rememberedArt')).toEqual({});
+    });
+
+    it('clear() forgets all creatures', async () => {
+      const goblin = importedActor('Goblin');
+      const orc = importedActor('Orc');
+      await h.service.remember(goblin.creatureInfo, goblin.actor, ['g.webp']);
+      await h.service.remember(orc.creatureInfo, orc.actor, ['o.webp']);
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      await h.service.clear();
+
+      expect(h.service.recall(goblin.creatureInfo, goblin.actor)).toBeNull();
+      expect(h.service.recall(orc.creatureInfo, orc.actor)).toBeNull();
+      log.mockRestore();
+    });
+  });
+});
@@ -110,10 +110,10 @@ describe('IndexService', () => {
       expect(index).toHaveProperty('termIndex');
     });
 
-    it('has version set to 14 (INDEX_VERSION)', () => {
+    it('has version set to 16 (INDEX_VERSION)', () => {
       const service = createService();
       const index = service.createEmptyIndex();
-      expect(index.version).toBe(14);
+      expect(index.version).toBe(16);
     });
 
     it('categories has keys for all CREATURE_TYPE_MAPPINGS entries', () => {
@@ -297,6 +297,19 @@ describe('IndexService', () => {
     });
   });
 
+  describe('tokenizeBigrams()', () => {
+    it('pairs neighbouring words within each path segment, skipping numbers', () => {
+      const service = createService();
+
+      expect(service.tokenizeBigrams('FA_Pack/Giants/Hill_Giant_01.webp')).toEqual([
+        'fa pack',
+        'hill giant',
+      ]);
+      expect(service.tokenizeBigrams('Young Red Dragon')).toEqual(['young red', 'red dragon']);
+      expect(service.tokenizeBigrams(null)).toEqual([]);
+    });
+  });
+
   // -----------------------------------------------------------------------
   // addImageToIndex()
   // -----------------------------------------------------------------------
@@ -370,6 +383,21 @@ describe('IndexService', () => {
       expect(entry).toBeDefined();
       expect(entry.name).toBe('Wolf Dire 01');
     });
+
+    it('stores the attributes parsed from the filename', () => {
+      const path = 'FA_Pack/Tokens/Humanoids/Goblin/Goblin_Warrior_A1_Scimitar_01.webp';
+      service.addImageToIndex(path, 'Goblin Warrior');
+
+      expect(service.index.allPaths[path].attributes).toEqual({
+        creature: 'goblin warrior',
+        variant: 'A1',
+        variantLetter: 'A',
+        variantNumber: 1,
+        weapon: 'scimitar',
+        size: null,
+        copy: 1,
+      });
+    });
   });
 
   // -----------------------------------------------------------------------
@@ -379,7 +407,7 @@ describe('IndexService', () => {
     it('returns true and sets index when storageService.load returns valid data', async () => {
       const mockStorage = createMockStorage();
       const validIndex = {
-        version: 14,
+        version: 16,
         timestamp: Date.now(),
         lastUpdate: Date.now(),
         categories: { humanoid: {}, beast: {} },
@@ -427,7 +455,7 @@ describe('IndexService', () => {
     it('rebuilds termIndex from allPaths when termIndex is empty', async () => {
       const mockStorage = createMockStorage();
       const indexWithEmptyTermIndex = {
-        version: 14,
+        version: 16,
         timestamp: Date.now(),
         lastUpdate: Date.now(),
         categories: { beast: {} },
@@ -535,6 +563,35 @@ describe('IndexService', () => {
       const service = createService();
       expect(service.search('wolf')).toEqual([]);
     });
+
+    it('ranks a file name match above a folder-only match', () => {
+      const service = createService();
+      service.index = service.createEmptyIndex();
+      service.addImageToIndex('FA_Pack/Tokens/Goblins/Archer_01.webp', 'Archer');
+      service.addImageToIndex('FA_Pack/Tokens/Humanoid/Goblin_01.webp', 'Goblin');
+      service.isBuilt = true;
+
+      const [named, inFolder] = service.search('goblin');
+
+      expect(named).toMatchObject({ name: 'Goblin', score: 0 });
+      expect(inFolder.name).toBe('Archer');
+      expect(inFolder.relevance).toBeLessThan(named.relevance);
+      expect(inFolder.score).toBeGreaterThan(0);
+    });
+
+    it('weighs rare terms above terms on most images', () => {
+      const service = createService();
+      service.index = service.createEmptyIndex();
+      service.addImageToIndex('FA_Pack/Token/Wolf_Token.webp', 'Wolf Token');
+      service.addImageToIndex('FA_Pack/Token/Bear_Token.webp', 'Bear Token');
+      service.addImageToIndex('FA_Pack/Token/Goblin_Token.webp', 'Goblin Token');
+      service.isBuilt = true;
+
+      const results = service.search('token goblin');
+
+      expect(results.map((r) => r.name)).toEqual(['Goblin Token', 'Wolf Token', 'Bear Token']);
+      expect(results[1].relevance).toBeLessThan(results[0].relevance / 2);
+    });
   });
 
   // -----------------------------------------------------------------------
@@ -556,12 +613,274 @@ describe('IndexService', () => {
       expect(paths).toContain('FA_Pack/Tokens/Beasts/Bear/Bear_01.webp');
     });
 
+    it('lists the tokens that hit each result once per path', () => {
+      const service = createService();
+      service.index = service.createEmptyIndex();
+      service.addImageToIndex('FA_Pack/Tokens/Humanoid/Goblin/Goblin_Boss.webp', 'Goblin Boss');
+      service.isBuilt = true;
+
+      const results = service.searchMultiple(['goblin', 'boss']);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].matchedTokens).toEqual(['goblin', 'boss']);
+    });
+
     it('returns empty when index not built', () => {
       const service = createService();
       expect(service.searchMultiple(['wolf'])).toEqual([]);
     });
   });
 
+  // -----------------------------------------------------------------------
+  // Tolerant term lookup
+  // -----------------------------------------------------------------------
+  describe('tolerant term lookup', () => {
+    function createIndexedService(entries) {
+      const service = createService();
+      service.index = service.createEmptyIndex();
+      for (const [path, name] of entries) service.addImageToIndex(path, name);
+      service.isBuilt = true;
+      return service;
+    }
+
+    it('matches singular and plural forms both ways', () => {
+      const service = createIndexedService([
+        ['FA_Pack/Tokens/Beasts/Wolf/Wolf_01.webp', 'Wolf'],
+        ['FA_Pack/Tokens/Humanoid/Kobolds/Kobold_Scout.webp', 'Kobold Scout'],
+      ]);
+
+      const wolves = service.search('wolves');
+      expect(wolves.map((r) => r.path)).toEqual(['FA_Pack/Tokens/Beasts/Wolf/Wolf_01.webp']);
+      expect(wolves[0].matchedTokens).toEqual(['wolf']);
+      expect(service.search('kobold')[0].matchedTokens).toEqual(['kobold', 'kobolds']);
+    });
+
+    it('matches compound words split or joined', () => {
+      const service = createIndexedService([
+        ['FA_Pack/Tokens/Aberration/Mind_Flayer_01.webp', 'Mind Flayer'],
+        ['FA_Pack/Tokens/Aberration/Mindwitness.webp', 'Mindwitness'],
+        ['FA_Pack/Tokens/Humanoid/Mind_Mage.webp', 'Mind Mage'],
+      ]);
+
+      const split = service.search('mindflayer');
+      expect(split.map((r) => r.name)).toEqual(['Mind Flayer']);
+      expect(split[0].matchedTokens).toEqual(['mind', 'flayer']);
+      expect(service.searchMultiple(['mind witness']).map((r) => r.name)).toContain('Mindwitness');
+    });
+
+    it('falls back to the closest terms for typos only when nothing matches exactly', () => {
+      const service = createIndexedService([
+        ['FA_Pack/Tokens/Humanoid/Goblin/Goblin_01.webp', 'Goblin'],
+        ['FA_Pack/Tokens/Beasts/Bear/Bear_01.webp', 'Bear'],
+      ]);
+
+      expect(service.search('gobiln')[0].matchedTokens).toEqual(['goblin']);
+      expect(service.search('goblni').map((r) => r.name)).toEqual(['Goblin']);
+      expect(service.search('bera')).toEqual([]); // too short for typo tolerance
+    });
+
+    it('completes partial words before trying typos', () => {
+      const service = createIndexedService([
+        ['FA_Pack/Tokens/Humanoid/Goblin/Goblin_Boss.webp', 'Goblin Boss'],
+        ['FA_Pack/Tokens/Humanoid/Gnoll_01.webp', 'Gnoll'],
+      ]);
+
+      const partial = service.search('gob');
+      expect(partial.map((r) => r.name)).toEqual(['Goblin Boss']);
+      expect(partial[0].matchedTokens).toEqual(['goblin']);
+      expect(service.search('go')).toEqual([]); // too short to complete
+    });
+
+    it('picks up terms added after the first fuzzy search', () => {
+      const service = createIndexedService([['FA_Pack/Tokens/Undead/Zombie.webp', 'Zombie']]);
+      expect(service.search('skeletn')).toEqual([]);
+
+      service.addImageToIndex('FA_Pack/Tokens/Undead/Skeleton.webp', 'Skeleton');
+
+      expect(service.search('skeletn').map((r) => r.name)).toEqual(['Skeleton']);
+    });
+
+    it('ignores object prototype keys', () => {
+      const service = createIndexedService([['FA_Pack/Tokens/Undead/Zombie.webp', 'Zombie']]);
+      expect(service.search('constructor')).toEqual([]);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // searchQuery()
+  // -----------------------------------------------------------------------
+  describe('searchQuery()', () => {
+    function createQueryService() {
+      const service = createService();
+      service.index = service.createEmptyIndex();
+      for (const [path, name] of [
+        ['FA_Pack/Humanoid/Bandit_Captain_01.webp', 'Bandit Captain'],
+        ['FA_Pack/Humanoid/Captain_of_Bandits.webp', 'Captain of Bandits'],
+        ['FA_Pack/Humanoid/Guard_Captain.webp', 'Guard Captain'],
+        ['FA_Pack/Humanoid/Bandit_01.webp', 'Bandit'],
+        ['FA_Pack/Dragons/Young_Red_Dragon.webp', 'Young Red Dragon'],
+        ['FA_Pack/Dragons/Red_Dragon_Wyrmling.webp', 'Red Dragon Wyrmling'],
+      ]) {
+        service.addImageToIndex(path, name);
+      }
+      service.isBuilt = true;
+      return service;
+    }
+    const names = (results) => results.map((r) => r.name);
+
+    it('needs every word and ranks adjacent words first', () => {
+      const results = createQueryService().searchQuery('captain bandit');
+      expect(names(results)).toEqual(['Bandit Captain', 'Captain of Bandits']);
+
+      const [adjacent, apart] = createQueryService().searchQuery('bandit captain');
+      expect(adjacent).toMatchObject({ name: 'Bandit Captain', adjacency: 1 });
+      expect(adjacent.matchedTokens).toEqual(['bandit', 'captain', 'bandit captain']);
+      expect(apart).toMatchObject({ name: 'Captain of Bandits', adjacency: 0 });
+    });
+
+    it('matches quoted phrases through word pairs, including plurals', () => {
+      const service = createQueryService();
+
+      expect(names(service.searchQuery('"young red dragon"'))).toEqual(['Young Red Dragon']);
+      expect(names(service.searchQuery('"red dragons"'))).toEqual([
+        'Young Red Dragon',
+        'Red Dragon Wyrmling',
+      ]);
+      expect(service.searchQuery('"dragon red"')).toEqual([]);
+    });
+
+    it('supports exclusions and alternatives', () => {
+      const service = createQueryService();
+
+      expect(names(service.searchQuery('"red dragon" -wyrmling'))).toEqual(['Young Red Dragon']);
+      expect(names(service.searchQuery('guard OR "bandit captain"'))).toEqual([
+        'Guard Captain',
+        'Bandit Captain',
+      ]);
+      expect(service.searchQuery('-bandit')).toEqual([]);
+    });
+
+    it('returns empty when index not built', () => {
+      expect(createService().searchQuery('bandit captain')).toEqual([]);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // suggestTerms()
+  // -----------------------------------------------------------------------
+  describe('suggestTerms()', () => {
+    it('completes a prefix with words and word pairs, most common first', () => {
+      const service = createService();
+      service.index = service.createEmptyIndex();
+      service.addImageToIndex('FA_Pack/Humanoid/Goblin_01.webp', 'Goblin');
+      service.addImageToIndex('FA_Pack/Humanoid/Goblin_Boss.webp', 'Goblin Boss');
+      service.addImageToIndex('FA_Pack/Humanoid/Goblin_Shaman.webp', 'Goblin Shaman');
+      service.isBuilt = true;
+
+      expect(service.suggestTerms(' Gob ')).toEqual(['goblin', 'goblin boss', 'goblin shaman']);
+      expect(service.suggestTerms('gob', 1)).toEqual(['goblin']);
+
+      service.addImageToIndex('FA_Pack/Humanoid/Gobbler.webp', 'Gobbler');
+      expect(service.suggestTerms('gobb')).toEqual(['gobbler']);
+    });
+
+    it('returns empty for an empty prefix or an unbuilt index', () => {
+      const service = createService();
+      expect(service.suggestTerms('gob')).toEqual([]);
+
+      service.index = service.createEmptyIndex();
+      service.isBuilt = true;
+      expect(service.suggestTerms('  ')).toEqual([]);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // suggestForName()
+  // -----------------------------------------------------------------------
+  describe('suggestForName()', () => {
+    function createSuggestService() {
+      const service = createService();
+      service.index = service.createEmptyIndex();
+      for (const [path, name] of [
+        ['FA_Pack/Tokens/Aberrations/Hook_Horror.webp', 'Hook Horror'],
+        ['FA_Pack/Tokens/Wetlands/Bog_Mummy.webp', 'Bog Mummy'],
+        ['FA_Pack/Tokens/Wetlands/Bog_Hag.webp', 'Bog Hag'],
+        ['FA_Pack/Tokens/Humanoid/Goblin_01.webp', 'Goblin'],
+        ['FA_Pack/Tokens/Beasts/Wolf_01.webp', 'Wolf'],
+      ]) {
+        service.addImageToIndex(path, name);
+      }
+      service.isBuilt = true;
+      return service;
+    }
+
+    it('suggests indexed words, related words and categories for a homebrew name', () => {
+      const { terms, categories } = createSuggestService().suggestForName('Bog Horror');
+
+      expect(terms.slice(0, 3)).toEqual(['bog', 'horror', 'wetlands']);
+      expect(terms).not.toContain('tokens'); // on most images
+      expect(categories).toContain('aberration');
+    });
+
+    it('uses the closest indexed words for typos and honors the limit', () => {
+      const { terms } = createSuggestService().suggestForName('Gobiln Chief', 1);
+      expect(terms).toEqual(['goblin']);
+    });
+
+    it('suggests categories from CREATURE_TYPE_MAPPINGS without a built index', () => {
+      const { terms, categories } = createService().suggestForName('Helmed Horror Knight');
+
+      expect(terms).toEqual([]);
+      expect(categories).toEqual(expect.arrayContaining(['construct', 'aberration']));
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // filterByAttributes()
+  // -----------------------------------------------------------------------
+  describe('filterByAttributes()', () => {
+    const paths = [
+      'FA_Pack/Tokens/Goblin/Goblin_Warrior_A1_Scimitar_01.webp',
+      'FA_Pack/Tokens/Goblin/Goblin_Warrior_A2_Shortbow_01.webp',
+      'FA_Pack/Tokens/Goblin/Goblin_Warrior_B1_Scimitar_Shield_01.webp',
+      'FA_Pack/Tokens/Ogre/Ogre_A1_Greatclub_Large_01.webp',
+    ];
+    let service;
+
+    beforeEach(() => {
+      service = createService();
+      service.index = service.createEmptyIndex();
+      paths.slice(0, 3).forEach((path) => service.addImageToIndex(path));
+    });
+
+    const filter = (criteria) =>
+      service
+        .filterByAttributes(
+          paths.map((path) => ({ path })),
+          criteria
+        )
+        .map((result) => result.path);
+
+    it('filters by weapon, including one of several weapons', () => {
+      expect(filter({ weapon: 'Scimitar' })).toEqual([paths[0], paths[2]]);
+      expect(filter({ weapon: 'shield' })).toEqual([paths[2]]);
+    });
+
+    it('filters by variant, variant letter, creature and size', () => {
+      expect(filter({ variant: 'a1' })).toEqual([paths[0], paths[3]]);
+      expect(filter({ variantLetter: 'A', creature: 'goblin warrior' })).toEqual([
+        paths[0],
+        paths[1],
+      ]);
+      expect(filter({ size: 'large' })).toEqual([paths[3]]);
+    });
+
+    it('parses paths that are not indexed and ignores empty criteria', () => {
+      expect(service.getImageAttributes(paths[3])).toMatchObject({ creature: 'ogre' });
+      expect(filter({ weapon: '', size: null })).toEqual(paths);
+    });
+  });
+
   // -----------------------------------------------------------------------
   // searchByCategory()
   // -----------------------------------------------------------------------
@@ -0,0 +1,244 @@
+/**
+ * ModuleAPI test suite
+ *
+ * Covers subject normalization and attribute filters for searchArt(), path
+ * selection per creature and journal handling in replace(), the in-progress
+ * guard, getIndexStats() and rebuildIndex() with its indexReady hook.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ModuleAPI } from '../../scripts/services/ModuleAPI.js';
+import { TokenService } from '../../scripts/services/TokenService.js';
+import { HOOKS } from '../../scripts/core/Constants.js';
+import { createMockActor, createMockToken } from '../helpers/mock-helpers.js';
+
+// Helper: API wired to stub services and an app that records replacements
+function createHarness({ matches = [], remembered = null, recording = false } = {}) {
+  const app = {
+    isProcessing: false,
+    replaceTokenImage: vi.fn(async () => true),
+    processTokenReplacement: vi.fn(async () => ({ replaced: 0, failed: 0, aborted: false })),
+  };
+  const searchService = { searchTokenArt: vi.fn(async () => matches) };
+  const indexService = {
+    getStats: () => ({ isBuilt: true, totalImages: 42 }),
+    build: vi.fn(async () => true),
+    filterByAttributes: vi.fn((results, { weapon }) =>
+      results.filter((result) => result.path.toLowerCase().includes(weapon))
+    ),
+  };
+  const tvaCacheService = {
+    hasTVA: true,
+    isTVACacheLoaded: false,
+    tvaCacheImages: [],
+    loadTVACache: vi.fn(async function () {
+      this.isTVACacheLoaded = true;
+      return true;
+    }),
+    getTVACacheStats: () => ({ totalImages: 7 }),
+  };
+  const choiceMemoryService = { recall: vi.fn(() => remembered) };
+  const journalService = {
+    isRecording: recording,
+    beginRun: vi.fn(),
+    finishRun: vi.fn(async () => {}),
+  };
+  const api = new ModuleAPI({
+    app,
+    tokenService: new TokenService({ getSetting: () => undefined }),
+    searchService,
+    indexService,
+    tvaCacheService,
+    choiceMemoryService,
+    journalService,
+  });
+  return {
+    api,
+    app,
+    searchService,
+    indexService,
+    tvaCacheService,
+    choiceMemoryService,
+    journalService,
+  };
+}
+
+// Helper: placed NPC token
+function npcToken(name = 'Goblin') {
+  return createMockToken({ actor: createMockActor({ name }) });
+}
+
+describe('ModuleAPI', () => {
+  beforeEach(() => {
+    vi.mocked(Hooks.callAll).mockClear();
+  });
+
+  it('requires the app it drives', () => {
+    expect(() => new ModuleAPI({})).toThrow(TypeError);
+    expect(() => new ModuleAPI(undefined)).toThrow('deps.app');
+  });
+
+  describe('searchArt()', () => {
+    it('searches the creature behind a token and applies the limit', async () => {
+      const matches = [{ path: 'a.webp' }, { path: 'b.webp' }, { path: 'c.webp' }];
+      const { api, searchService } = createHarness({ matches });
+
+      const result = await api.searchArt(npcToken(), { limit: 2 });
+
+      expect(searchService.searchTokenArt).toHaveBeenCalledWith(
+        expect.objectContaining({ actorName: 'Goblin' })
+      );
+      expect(result.map((m) => m.path)).toEqual(['a.webp', 'b.webp']);
+    });
+
+    it('filters by filename attributes before applying the limit', async () => {
+      const matches = [
+        { path: 'Goblin_A1_Scimitar_01.webp' },
+        { path: 'Goblin_A2_Shortbow_01.webp' },
+        { path: 'Goblin_B1_Shortbow_01.webp' },
+      ];
+      const { api, indexService } = createHarness({ matches });
+
+      const result = await api.searchArt(npcToken(), {
+        limit: 1,
+        attributes: { weapon: 'shortbow' },
+      });
+
+      expect(indexService.filterByAttributes).toHaveBeenCalledWith(matches, {
+        weapon: 'shortbow',
+      });
+      expect(result.map((m) => m.path)).toEqual(['Goblin_A2_Shortbow_01.webp']);
+      expect(await api.searchArt(npcToken())).toHaveLength(3);
+    });
+
+    it('accepts actors and ready-made creature info', async () => {
+      const { api, searchService } = createHarness();
+      const actor = {
+        ...createMockActor({ name: 'Orc' }),
+        documentName: 'Actor',
+        uuid: 'Actor.o1',
+      };
+      await api.searchArt(actor);
+      await api.searchArt({ actorName: 'Wolf', searchTerms: ['wolf'] });
+
+      expect(searchService.searchTokenArt.mock.calls[0][0].actorName).toBe('Orc');
+      expect(searchService.searchTokenArt.mock.calls[1][0].searchTerms).toEqual(['wolf']);
+    });
+
+    it('rejects unsupported subjects with a structured error', async () => {
+      const { api } = createHarness();
+      await expect(api.searchArt('goblin')).rejects.toMatchObject({
+        errorType: 'invalid_api_target',
+      });
+    });
+  });
+
+  describe('replace()', () => {
+    it('applies an explicit path to every token inside one journal run', async () => {
+      const { api, app, journalService } = createHarness();
+      const tokens = [npcToken(), npcToken()];
+
+      const results = await api.replace(tokens, { path: 'goblin.webp' });
+
+      expect(app.replaceTokenImage).toHaveBeenCalledTimes(2);
+      expect(app.replaceTokenImage.mock.calls[0][1]).toBe('goblin.webp');
+      expect(app.replaceTokenImage.mock.calls[0][2]).toMatchObject({ label: 'Goblin' });
+      expect(results.every((r) => r.success)).toBe(true);
+      expect(journalService.beginRun).toHaveBeenCalledTimes(1);
+      expect(journalService.finishRun).toHaveBeenCalledTimes(1);
+    });
+
+    it('cycles through paths in sequential mode', async () => {
+      const { api } = createHarness();
+      const results = await api.replace([npcToken(), npcToken(), npcToken()], {
+        paths: ['a.webp', 'b.webp'],
+      });
+      expect(results.map((r) => r.path)).toEqual(['a.webp', 'b.webp', 'a.webp']);
+    });
+
+    it('prefers remembered art over searching', async () => {
+      const { api, searchService } = createHarness({
+        remembered: { paths: ['remembered.webp'], mode: 'sequential' },
+      });
+      const [result] = await api.replace(npcToken());
+
+      expect(result.path).toBe('remembered.webp');
+      expect(searchService.searchTokenArt).not.toHaveBeenCalled();
+    });
+
+    it('distributes remembered art over all tokens of a creature with its mode', async () => {
+      const { api, choiceMemoryService, searchService } = createHarness({
+        remembered: { paths: ['a.webp', 'b.webp'], mode: 'sequential' },
+      });
+      const results = await api.replace([npcToken(), npcToken(), npcToken(), npcToken('Orc')]);
+
+      expect(results.map((r) => r.path)).toEqual(['a.webp', 'b.webp', 'a.webp', 'a.webp']);
+      expect(choiceMemoryService.recall).toHaveBeenCalledTimes(2);
+      expect(searchService.searchTokenArt).not.toHaveBeenCalled();
+    });
+
+    it('searches each creature once when there is no remembered art', async () => {
+      const { api, searchService } = createHarness({ matches: [{ path: 'best.webp' }] });
+      const results = await api.replace([npcToken(), npcToken()]);
+
+      expect(results.map((r) => r.path)).toEqual(['best.webp', 'best.webp']);
+      expect(searchService.searchTokenArt).toHaveBeenCalledTimes(1);
+    });
+
+    it('falls back to the best match and skips tokens without one', async () => {
+      const { api, app } = createHarness({ matches: [{ path: 'best.webp' }] });
+      expect((await api.replace(npcToken(), { useRemembered: false }))[0].path).toBe('best.webp');
+
+      const empty = createHarness();
+      const [result] = await empty.api.replace(npcToken());
+      expect(result).toMatchObject({ path: null, success: false });
+      expect(empty.app.replaceTokenImage).not.toHaveBeenCalled();
+      expect(app.replaceTokenImage).toHaveBeenCalledTimes(1);
+    });
+
+    it('records into a run that is already open instead of starting one', async () => {
+      const { api, journalService } = createHarness({ recording: true });
+      await api.replace(npcToken(), { path: 'goblin.webp' });
+      expect(journalService.beginRun).not.toHaveBeenCalled();
+      expect(journalService.finishRun).not.toHaveBeenCalled();
+    });
+
+    it('refuses to run while the dialog flow is processing', async () => {
+      const { api, app } = createHarness();
+      app.isProcessing = true;
+      await expect(api.replace(npcToken(), { path: 'x.webp' })).rejects.toMatchObject({
+        errorType: 'replacement_in_progress',
+      });
+    });
+  });
+
+  describe('index', () => {
+    it('getIndexStats() combines index and TVA cache stats', () => {
+      const { api } = createHarness();
+      expect(api.getIndexStats()).toEqual({
+        isBuilt: true,
+        totalImages: 42,
+        tvaCache: { totalImages: 7 },
+      });
+    });
+
+    it('rebuildIndex() loads the TVA cache, forces a rebuild and fires indexReady', async () => {
+      const { api, indexService, tvaCacheService } = createHarness();
+
+      expect(await api.rebuildIndex()).toBe(true);
+      expect(tvaCacheService.loadTVACache).toHaveBeenCalled();
+      expect(indexService.build).toHaveBeenCalledWith(true, null, []);
+      expect(Hooks.callAll).toHaveBeenCalledWith(
+        HOOKS.INDEX_READY,
+        expect.objectContaining({ totalImages: 42 })
+      );
+    });
+
+    it('rebuildIndex() does not fire indexReady when the build fails', async () => {
+      const { api, indexService } = createHarness();
+      indexService.build.mockResolvedValueOnce(false);
+
+      expect(await api.rebuildIndex()).toBe(false);
+      expect(Hooks.callAll).not.toHaveBeenCalled();
+    });
+  });
+});
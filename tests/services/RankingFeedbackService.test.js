@@ -0,0 +1,154 @@
+/**
+ * RankingFeedbackService test suite
+ *
+ * Covers accept/skip recording, rank() boosting and sinking while keeping the
+ * search order otherwise, the learnFromChoices toggle, export()/import() with
+ * merge and validation, reset(), pruning, and SearchOrchestrator applying the
+ * ranking to cached results.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { RankingFeedbackService } from '../../scripts/services/RankingFeedbackService.js';
+import { SearchOrchestrator } from '../../scripts/services/SearchOrchestrator.js';
+import { MAX_FEEDBACK_PATHS } from '../../scripts/core/Constants.js';
+import { getCreatureCacheKey } from '../../scripts/core/Utils.js';
+
+// Helper: service backed by an in-memory settings store and a fake clock
+function createHarness(settings = {}) {
+  const store = new Map(Object.entries({ learnFromChoices: true, ...settings }));
+  let clock = 1000;
+  const service = new RankingFeedbackService({
+    getSetting: (_moduleId, key) => store.get(key),
+    setSetting: vi.fn(async (_moduleId, key, value) => store.set(key, value)),
+    now: () => clock++,
+  });
+  return { service, store };
+}
+
+const bandit = { actorName: 'Bandit', type: 'humanoid', subtype: null, searchTerms: ['bandit'] };
+const results = ['a.webp', 'b.webp', 'c.webp', 'd.webp'].map((path) => ({ path }));
+
+describe('RankingFeedbackService', () => {
+  let h;
+
+  beforeEach(() => {
+    h = createHarness();
+  });
+
+  describe('rank()', () => {
+    it('returns the results unchanged without feedback', () => {
+      expect(h.service.rank(bandit, results)).toBe(results);
+    });
+
+    it('moves accepted paths to the top and repeatedly skipped paths to the bottom', async () => {
+      await h.service.recordAccept(bandit, ['c.webp']);
+      await h.service.recordSkip(bandit, ['a.webp']);
+      await h.service.recordSkip(bandit, ['a.webp']);
+
+      const ranked = h.service.rank(bandit, results);
+
+      expect(ranked.map((r) => r.path)).toEqual(['c.webp', 'b.webp', 'd.webp', 'a.webp']);
+      expect(ranked[0].feedbackWeight).toBe(1);
+      expect(ranked[3].feedbackWeight).toBe(-1);
+      expect(results[2]).not.toHaveProperty('feedbackWeight');
+    });
+
+    it('keeps a single skip from burying a path', async () => {
+      await h.service.recordSkip(bandit, ['a.webp']);
+      expect(h.service.rank(bandit, results)[0].path).toBe('a.webp');
+    });
+
+    it('orders boosted paths by weight', async () => {
+      await h.service.recordAccept(bandit, ['d.webp']);
+      await h.service.recordAccept(bandit, ['b.webp']);
+      await h.service.recordAccept(bandit, ['b.webp']);
+
+      expect(h.service.rank(bandit, results).map((r) => r.path)).toEqual([
+        'b.webp',
+        'd.webp',
+        'a.webp',
+        'c.webp',
+      ]);
+    });
+
+    it('keeps feedback per creature', async () => {
+      await h.service.recordAccept(bandit, ['d.webp']);
+      const cultist = { ...bandit, actorName: 'Cultist', searchTerms: ['cultist'] };
+      expect(h.service.rank(cultist, results)).toBe(results);
+    });
+
+    it('neither records nor ranks when the setting is off', async () => {
+      await h.service.recordAccept(bandit, ['d.webp']);
+      h.store.set('learnFromChoices', false);
+
+      expect(h.service.rank(bandit, results)).toBe(results);
+      await h.service.recordAccept(bandit, ['c.webp']);
+      expect(h.service.getStats().paths).toBe(1);
+    });
+  });
+
+  describe('storage', () => {
+    it('keeps only the most recently updated paths of a creature', async () => {
+      const paths = Array.from({ length: MAX_FEEDBACK_PATHS + 5 }, (_, i) => `p${i}.webp`);
+      for (const path of paths) await h.service.recordAccept(bandit, [path]);
+
+      const entry = h.store.get('rankingFeedback')[getCreatureCacheKey(bandit)];
+      expect(Object.keys(entry.paths)).toHaveLength(MAX_FEEDBACK_PATHS);
+      expect(entry.paths['p0.webp']).toBeUndefined();
+      expect(entry.paths[paths.at(-1)].accepts).toBe(1);
+    });
+
+    it('export() and import() round-trip through JSON', async () => {
+      await h.service.recordAccept(bandit, ['c.webp']);
+      const json = JSON.stringify(h.service.export());
+
+      const other = createHarness();
+      expect(await other.service.import(json)).toBe(1);
+      expect(other.service.rank(bandit, results)[0].path).toBe('c.webp');
+    });
+
+    it('import() merges counts when asked', async () => {
+      await h.service.recordAccept(bandit, ['c.webp']);
+      const data = h.service.export();
+      await h.service.import(data, { merge: true });
+
+      expect(h.service.getWeights(bandit).get('c.webp')).toBe(2);
+    });
+
+    it('import() rejects data that is not a feedback export', async () => {
+      await expect(h.service.import('{"version":1}')).rejects.toMatchObject({
+        errorType: 'invalid_feedback_data',
+      });
+      await expect(h.service.import('not json')).rejects.toMatchObject({
+        errorType: 'invalid_feedback_data',
+      });
+    });
+
+    it('reset() forgets everything', async () => {
+      await h.service.recordAccept(bandit, ['c.webp']);
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      await h.service.reset();
+      log.mockRestore();
+
+      expect(h.service.getStats()).toEqual({ creatures: 0, paths: 0 });
+    });
+  });
+
+  describe('SearchOrchestrator integration', () => {
+    it('applies feedback to cached results without changing the cache', async () => {
+      const orchestrator = new SearchOrchestrator({
+        feedbackService: h.service,
+        getSetting: () => undefined,
+        workerFactory: () => {
+          throw new Error('no worker');
+        },
+      });
+      orchestrator.searchCache.set(getCreatureCacheKey(bandit), results);
+      await h.service.recordAccept(bandit, ['d.webp']);
+
+      const ranked = await orchestrator.searchTokenArt(bandit, []);
+
+      expect(ranked[0].path).toBe('d.webp');
+      expect(orchestrator.searchCache.get(getCreatureCacheKey(bandit))[0].path).toBe('a.webp');
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * ReplacementJournalService test suite
+ *
+ * Covers run lifecycle (beginRun/recordReplacement/finishRun), journal
+ * trimming, group summaries, and full/partial revertRun() behavior.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ReplacementJournalService } from '../../scripts/services/ReplacementJournalService.js';
+import { MAX_JOURNAL_RUNS } from '../../scripts/core/Constants.js';
+import { createMockActor, createMockToken } from '../helpers/mock-helpers.js';
+
+// Helper: in-memory settings store plus scene/actor registries backed by spies
+function createHarness() {
+  const store = new Map();
+  const tokenDocs = new Map();
+  const actors = new Map();
+  const scene = { id: 'scene-1', name: 'Crypt', tokens: tokenDocs };
+
+  const service = new ReplacementJournalService({
+    getSetting: (_moduleId, key) => store.get(key),
+    setSetting: vi.fn(async (_moduleId, key, value) => store.set(key, value)),
+    getScene: (id) => (id === scene.id ? scene : undefined),
+    getActor: (uuid) => actors.get(uuid),
+  });
+
+  // Register a token whose document/actor updates are tracked
+  const addToken = (name, image) => {
+    const actor = createMockActor({ name, tokenImg: image });
+    actor.update = vi.fn(async () => {});
+    const token = createMockToken({ actor });
+    token.document.parent = scene;
+    token.document.actorId = actor.id;
+    token.document.update = vi.fn(async () => {});
+    tokenDocs.set(token.id, token.document);
+    actor.uuid = `Actor.${actor.id}`;
+    actors.set(actor.uuid, actor);
+    return token;
+  };
+
+  return { service, store, scene, addToken, tokenDocs };
+}
+
+describe('ReplacementJournalService', () => {
+  let h;
+
+  beforeEach(() => {
+    h = createHarness();
+  });
+
+  describe('run lifecycle', () => {
+    it('default constructor does not throw', () => {
+      expect(() => new ReplacementJournalService()).not.toThrow();
+    });
+
+    it('captureState() snapshots token and prototype images before replacement', () => {
+      const token = h.addToken('Goblin', 'tokens/goblin-old.webp');
+      h.service.beginRun(h.scene);
+      const snapshot = h.service.captureState(token);
+
+      expect(snapshot).toMatchObject({
+        sceneId: 'scene-1',
+        tokenId: token.id,
+        actorId: token.actor.id,
+        previousTokenImage: 'tokens/goblin-old.webp',
+        previousPrototypeImage: 'tokens/goblin-old.webp',
+      });
+    });
+
+    it('recordReplacement() is a no-op without an active run', () => {
+      const token = h.addToken('Goblin', 'a.webp');
+      h.service.recordReplacement(h.service.captureState(token), 'b.webp');
+      expect(h.service.isRecording).toBe(false);
+    });
+
+    it('finishRun() persists runs with entries, newest first', async () => {
+      const token = h.addToken('Goblin', 'a.webp');
+
+      h.service.beginRun(h.scene);
+      h.service.recordReplacement(h.service.captureState(token), 'b.webp', {
+        key: 'goblin',
+        label: 'Goblin',
+      });
+      const first = await h.service.finishRun();
+
+      h.service.beginRun(h.scene);
+      h.service.recordReplacement(h.service.captureState(token), 'c.webp');
+      const second = await h.service.finishRun();
+
+      const runs = h.service.getRuns();
+      expect(runs.map((r) => r.id)).toEqual([second.id, first.id]);
+      expect(h.service.getLastRun().entries[0].newImage).toBe('c.webp');
+      expect(first.sceneName).toBe('Crypt');
+    });
+
+    it('finishRun() does not persist empty runs', async () => {
+      h.service.beginRun(h.scene);
+      expect(await h.service.finishRun()).toBeNull();
+      expect(h.service.getRuns()).toEqual([]);
+    });
+
+    it(`keeps only the last ${MAX_JOURNAL_RUNS} runs`, async () => {
+      const token = h.addToken('Goblin', 'a.webp');
+      for (let i = 0; i < MAX_JOURNAL_RUNS + 3; i++) {
+        h.service.beginRun(h.scene);
+        h.service.recordReplacement(h.service.captureState(token), `${i}.webp`);
+        await h.service.finishRun();
+      }
+      expect(h.service.getRuns()).toHaveLength(MAX_JOURNAL_RUNS);
+    });
+
+    it('getRunGroups() summarizes entries per creature group', () => {
+      const run = {
+        entries: [
+          { groupKey: 'goblin', groupLabel: 'Goblin' },
+          { groupKey: 'orc', groupLabel: 'Orc' },
+          { groupKey: 'goblin', groupLabel: 'Goblin' },
+        ],
+      };
+      expect(h.service.getRunGroups(run)).toEqual([
+        { key: 'goblin', label: 'Goblin', count: 2 },
+        { key: 'orc', label: 'Orc', count: 1 },
+      ]);
+    });
+  });
+
+  describe('revertRun()', () => {
+    async function recordRun(entries) {
+      h.service.beginRun(h.scene);
+      for (const [token, image, key] of entries) {
+        h.service.recordReplacement(h.service.captureState(token), image, { key, label: key });
+      }
+      return h.service.finishRun();
+    }
+
+    it('restores token and prototype images and drops the run', async () => {
+      const goblin = h.addToken('Goblin', 'goblin-old.webp');
+      const run = await recordRun([[goblin, 'goblin-new.webp', 'goblin']]);
+
+      const result = await h.service.revertRun(run.id);
+
+      expect(result).toEqual({ reverted: 1, failed: 0 });
+      expect(goblin.document.update).toHaveBeenCalledWith({ 'texture.src': 'goblin-old.webp' });
+      expect(goblin.actor.update).toHaveBeenCalledWith({
+        'prototypeToken.texture.src': 'goblin-old.webp',
+      });
+      expect(h.service.getRuns()).toEqual([]);
+    });
+
+    it('reverts only the requested creature groups and keeps the rest', async () => {
+      const goblin = h.addToken('Goblin', 'goblin-old.webp');
+      const orc = h.addToken('Orc', 'orc-old.webp');
+      const run = await recordRun([
+        [goblin, 'goblin-new.webp', 'goblin'],
+        [orc, 'orc-new.webp', 'orc'],
+      ]);
+
+      const result = await h.service.revertRun(run.id, ['orc']);
+
+      expect(result.reverted).toBe(1);
+      expect(orc.document.update).toHaveBeenCalled();
+      expect(goblin.document.update).not.toHaveBeenCalled();
+      const remaining = h.service.getLastRun();
+      expect(remaining.id).toBe(run.id);
+      expect(remaining.entries.map((e) => e.groupKey)).toEqual(['goblin']);
+    });
+
+    it('restores the prototype image once per actor using the earliest snapshot', async () => {
+      const goblin = h.addToken('Goblin', 'original.webp');
+      h.service.beginRun(h.scene);
+      h.service.recordReplacement(h.service.captureState(goblin), 'first.webp');
+      goblin.actor.prototypeToken.texture.src = 'first.webp';
+      h.service.recordReplacement(h.service.captureState(goblin), 'second.webp');
+      const run = await h.service.finishRun();
+
+      await h.service.revertRun(run.id);
+
+      expect(goblin.actor.update).toHaveBeenCalledTimes(1);
+      expect(goblin.actor.update).toHaveBeenCalledWith({
+        'prototypeToken.texture.src': 'original.webp',
+      });
+    });
+
+    it('only restores the documents the replacement scope touched', async () => {
+      const goblin = h.addToken('Goblin', 'goblin-old.webp');
+      goblin.actor.img = 'portrait-old.webp';
+      h.service.beginRun(h.scene);
+      const snapshot = h.service.captureState(goblin, {
+        token: false,
+        prototype: false,
+        portrait: true,
+      });
+      h.service.recordReplacement(snapshot, 'goblin-new.webp');
+      const run = await h.service.finishRun();
+
+      const result = await h.service.revertRun(run.id);
+
+      expect(result).toEqual({ reverted: 1, failed: 0 });
+      expect(goblin.document.update).not.toHaveBeenCalled();
+      expect(goblin.actor.update).toHaveBeenCalledWith({ img: 'portrait-old.webp' });
+    });
+
+    it('counts tokens that no longer exist as failed', async () => {
+      const goblin = h.addToken('Goblin', 'goblin-old.webp');
+      const run = await recordRun([[goblin, 'goblin-new.webp', 'goblin']]);
+      h.tokenDocs.delete(goblin.id);
+
+      const result = await h.service.revertRun(run.id);
+
+      expect(result).toEqual({ reverted: 0, failed: 1 });
+    });
+
+    it('throws a structured error for unknown runs', async () => {
+      await expect(h.service.revertRun('missing')).rejects.toMatchObject({
+        errorType: 'journal_run_missing',
+      });
+    });
+  });
+});
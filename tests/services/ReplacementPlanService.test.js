@@ -0,0 +1,111 @@
+/**
+ * ReplacementPlanService test suite
+ *
+ * Covers buildPlan() row generation from parallel search results
+ * (best match selection, threshold flagging, unmatched groups) and
+ * applyEdits() handling of switched, skipped and invalid rows.
+ */
+import { describe, it, expect } from 'vitest';
+import { ReplacementPlanService } from '../../scripts/services/ReplacementPlanService.js';
+import { MAX_PLAN_ALTERNATIVES } from '../../scripts/core/Constants.js';
+import { createMockActor, createMockToken } from '../helpers/mock-helpers.js';
+
+// Helper: build a search results entry for one creature group
+function groupResult(name, matches, tokenCount = 1) {
+  const actor = createMockActor({ name });
+  const tokens = Array.from({ length: tokenCount }, () => createMockToken({ actor }));
+  return { matches, tokens, creatureInfo: { actorName: name } };
+}
+
+describe('ReplacementPlanService', () => {
+  const service = new ReplacementPlanService({
+    getSetting: (_moduleId, key) => (key === 'autoReplaceConfidence' ? 0.8 : undefined),
+  });
+
+  describe('buildPlan()', () => {
+    it('creates one row per token with the best match preselected', () => {
+      const results = new Map([
+        [
+          'goblin_humanoid_',
+          groupResult(
+            'Goblin',
+            [
+              { path: 'a/goblin.webp', name: 'Goblin', score: 0.05, source: 'index' },
+              { path: 'a/goblin2.webp', name: 'Goblin 2', score: 0.3, source: 'index' },
+            ],
+            2
+          ),
+        ],
+      ]);
+
+      const rows = service.buildPlan(results);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({
+        groupKey: 'goblin_humanoid_',
+        groupLabel: 'Goblin',
+        path: 'a/goblin.webp',
+        score: 0.05,
+        source: 'index',
+        meetsThreshold: true,
+      });
+      expect(rows[0].alternatives).toHaveLength(2);
+      expect(rows[0].rowId).not.toBe(rows[1].rowId);
+    });
+
+    it('flags best matches below the auto-replace threshold', () => {
+      const results = new Map([
+        ['orc', groupResult('Orc', [{ path: 'orc.webp', name: 'Orc', score: 0.5 }])],
+      ]);
+      expect(service.buildPlan(results)[0].meetsThreshold).toBe(false);
+    });
+
+    it('produces skipped rows for groups without matches', () => {
+      const results = new Map([['blob', groupResult('Blob', [])]]);
+      const [row] = service.buildPlan(results);
+      expect(row.path).toBeNull();
+      expect(row.alternatives).toEqual([]);
+      expect(row.meetsThreshold).toBe(false);
+    });
+
+    it(`caps alternatives at ${MAX_PLAN_ALTERNATIVES}`, () => {
+      const matches = Array.from({ length: MAX_PLAN_ALTERNATIVES + 5 }, (_, i) => ({
+        path: `p${i}.webp`,
+        name: `P${i}`,
+        score: i / 100,
+      }));
+      const rows = service.buildPlan(new Map([['k', groupResult('K', matches)]]));
+      expect(rows[0].alternatives).toHaveLength(MAX_PLAN_ALTERNATIVES);
+    });
+  });
+
+  describe('applyEdits()', () => {
+    const results = new Map([
+      [
+        'goblin',
+        groupResult('Goblin', [
+          { path: 'best.webp', name: 'Best', score: 0.05, source: 'index' },
+          { path: 'alt.webp', name: 'Alt', score: 0.4, source: 'tva-direct' },
+        ]),
+      ],
+    ]);
+
+    it('switches a row to another alternative', () => {
+      const rows = service.buildPlan(results);
+      const [edited] = service.applyEdits(rows, { [rows[0].rowId]: 'alt.webp' });
+      expect(edited).toMatchObject({ path: 'alt.webp', score: 0.4, source: 'tva-direct' });
+    });
+
+    it('skips a row when its path is null', () => {
+      const rows = service.buildPlan(results);
+      const [edited] = service.applyEdits(rows, { [rows[0].rowId]: null });
+      expect(edited.path).toBeNull();
+    });
+
+    it('ignores paths that are not among the row alternatives', () => {
+      const rows = service.buildPlan(results);
+      const [edited] = service.applyEdits(rows, { [rows[0].rowId]: 'elsewhere.webp' });
+      expect(edited.path).toBe('best.webp');
+    });
+  });
+});
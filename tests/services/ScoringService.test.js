@@ -0,0 +1,268 @@
+/**
+ * ScoringService test suite
+ *
+ * Covers name matching, the weighted confidence with only applicable
+ * components, subtype/category/source/pack/relevance components, weights and the
+ * auto-replace confidence from settings, describe() for the match grid, and
+ * SearchOrchestrator returning scored results.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { ScoringService, scoreNameMatch } from '../../scripts/services/ScoringService.js';
+import { SearchOrchestrator } from '../../scripts/services/SearchOrchestrator.js';
+
+// Helper: service reading the given settings (unset keys use the defaults)
+function createService(settings = {}) {
+  return new ScoringService({ getSetting: (_moduleId, key) => settings[key] });
+}
+
+// Helper: components of a scored result keyed by component
+function componentsOf(result) {
+  return Object.fromEntries(result.explanation.components.map((c) => [c.key, c]));
+}
+
+const goblin = {
+  actorName: 'Goblin',
+  tokenName: 'Goblin',
+  type: 'humanoid',
+  subtype: 'goblinoid',
+  searchTerms: ['goblin'],
+};
+
+describe('ScoringService', () => {
+  describe('scoreNameMatch()', () => {
+    it('ignores case, separators, extension and numbering for exact matches', () => {
+      expect(scoreNameMatch('Goblin_Boss_02.webp', 'goblin boss')).toEqual({
+        value: 1,
+        reason: 'exact',
+      });
+    });
+
+    it('ranks prefix over other full-word, partial and run-together matches', () => {
+      expect(scoreNameMatch('Goblin Boss', 'Goblin').reason).toBe('prefix');
+      expect(scoreNameMatch('Boss Goblin', 'Goblin').reason).toBe('allWords');
+      expect(scoreNameMatch('Goblin Archer', 'Goblin Boss')).toEqual({
+        value: 0.3,
+        reason: 'partial',
+      });
+      expect(scoreNameMatch('Goblinboss', 'Goblin Boss').reason).toBe('substring');
+      expect(scoreNameMatch('Wolf', 'Goblin').value).toBe(0);
+    });
+  });
+
+  describe('scoreResults()', () => {
+    it('sorts by confidence, keeps ties in search order and does not mutate the input', () => {
+      const results = [
+        { path: 'Humanoid/Goblin_Archer.webp', name: 'Goblin Archer', score: 0.1 },
+        { path: 'Humanoid/Goblin_01.webp', name: 'Goblin', score: 0.3 },
+        { path: 'Humanoid/Goblin_Rider.webp', name: 'Goblin Rider' },
+      ];
+
+      const scored = createService().scoreResults(goblin, results);
+
+      expect(scored.map((r) => r.name)).toEqual(['Goblin', 'Goblin Archer', 'Goblin Rider']);
+      expect(scored[0].score).toBe(0);
+      expect(scored[0].explanation).toMatchObject({ confidence: 1, sourceScore: 0.3 });
+      expect(results[0]).not.toHaveProperty('explanation');
+    });
+
+    it('only counts components that apply to the creature', () => {
+      const wolf = { actorName: 'Wolf', type: null, subtype: null, searchTerms: ['wolf'] };
+      const [result] = createService({ searchPriority: 'both' }).scoreResults(wolf, [
+        { path: 'Beasts/Wolf.webp', name: 'Wolf' },
+      ]);
+
+      expect(Object.keys(componentsOf(result))).toEqual(['name']);
+      expect(result.explanation.confidence).toBe(1);
+    });
+
+    it('matches subtypes in the name or path and lets a better name match cover them', () => {
+      const service = createService();
+      const [inPath, implied] = service
+        .scoreResults(goblin, [
+          { path: 'Goblinoid/Archer.webp', name: 'Archer' },
+          { path: 'Humanoid/Goblin.webp', name: 'Goblin' },
+        ])
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      expect(componentsOf(inPath).subtype).toMatchObject({ value: 0.7, reason: 'path' });
+      expect(componentsOf(implied).subtype).toMatchObject({
+        value: 1,
+        reason: 'impliedByName',
+        term: 'Goblin',
+      });
+    });
+
+    it('scores parts of the actor name at their weight', () => {
+      const dragon = {
+        actorName: 'Adult Blue Dragon',
+        type: null,
+        subtype: null,
+        nameTerms: [
+          { term: 'adult blue dragon', weight: 1, kind: 'name' },
+          { term: 'blue dragon', weight: 0.8, kind: 'base' },
+        ],
+        searchTerms: ['adult blue dragon', 'blue dragon'],
+      };
+      const [result] = createService().scoreResults(dragon, [
+        { path: 'Dragons/Blue_Dragon.webp', name: 'Blue Dragon' },
+      ]);
+
+      expect(componentsOf(result).name).toMatchObject({
+        value: 0.8,
+        reason: 'exact',
+        term: 'blue dragon',
+      });
+    });
+
+    it('matches the creature type against the category or the path', () => {
+      const service = createService();
+      const scored = service.scoreResults(goblin, [
+        { path: 'Misc/Goblin.webp', name: 'Goblin', category: 'Humanoids' },
+        { path: 'Misc/Goblin2.webp', name: 'Goblin' },
+      ]);
+
+      expect(componentsOf(scored[0]).category.reason).toBe('category');
+      expect(scored[1].explanation.confidence).toBeLessThan(scored[0].explanation.confidence);
+    });
+
+    it('prefers the source chosen in searchPriority and paths in preferred packs', () => {
+      const service = createService({ searchPriority: 'faNexus', preferredPacks: 'My_Pack, fa' });
+      const scored = service.scoreResults(goblin, [
+        { path: 'tva/Humanoid/Goblin.webp', name: 'Goblin', source: 'tva' },
+        { path: 'My_Pack/Humanoid/Goblin.webp', name: 'Goblin', source: 'local' },
+      ]);
+
+      expect(scored[0].source).toBe('local');
+      expect(componentsOf(scored[0])).toMatchObject({
+        source: { value: 1, reason: 'preferred' },
+        pack: { value: 1, term: 'my_pack' },
+      });
+      expect(componentsOf(scored[1]).source.value).toBe(0);
+    });
+
+    it('counts index relevance against the most relevant result scored with it', () => {
+      const wolf = { actorName: 'Wolf', type: null, subtype: null, searchTerms: ['wolf'] };
+      const results = [
+        { path: 'Beast/Wolf_Dire.webp', name: 'Wolf Dire', relevance: 2 },
+        { path: 'Beast/Wolf_Pack.webp', name: 'Wolf Pack', relevance: 4 },
+        { path: 'tva/Wolf_Winter.webp', name: 'Wolf Winter' },
+      ];
+
+      const scored = createService({ searchPriority: 'both' }).scoreResults(wolf, results);
+      const byName = Object.fromEntries(scored.map((r) => [r.name, r]));
+
+      expect(scored.map((r) => r.name)).toEqual(['Wolf Pack', 'Wolf Winter', 'Wolf Dire']);
+      expect(componentsOf(byName['Wolf Pack']).relevance).toMatchObject({
+        value: 1,
+        weight: 0.1,
+        reason: 'relevance',
+        term: '4',
+      });
+      expect(componentsOf(byName['Wolf Dire']).relevance.value).toBe(0.5);
+      expect(byName['Wolf Dire'].explanation.confidence).toBeLessThan(
+        byName['Wolf Pack'].explanation.confidence
+      );
+      expect(componentsOf(byName['Wolf Winter'])).not.toHaveProperty('relevance');
+    });
+
+    it('reads weights from settings and falls back to the defaults for invalid values', () => {
+      const service = createService({ scoreWeightName: 0, scoreWeightCategory: -1 });
+      expect(service.getWeights()).toMatchObject({ name: 0, category: 0.15 });
+
+      // With name ignored, an off-name image in the right category wins
+      const scored = service.scoreResults(goblin, [
+        { path: 'Misc/Goblin.webp', name: 'Goblin' },
+        { path: 'Humanoid/Goblinoid_Scout.webp', name: 'Goblinoid Scout' },
+      ]);
+      expect(scored[0].name).toBe('Goblinoid Scout');
+    });
+  });
+
+  describe('describe()', () => {
+    it('reports how the match was found and what each component cost', () => {
+      const [scored] = createService().scoreResults(goblin, [
+        {
+          path: 'Misc/Goblin_Cart.webp',
+          name: 'Goblin Cart',
+          source: 'index',
+          fromName: true,
+          matchedTokens: ['goblin'],
+          feedbackWeight: -1,
+        },
+      ]);
+
+      const info = createService().describe(scored);
+
+      expect(info).toMatchObject({
+        confidence: scored.explanation.confidence,
+        foundBy: { kind: 'name', term: 'Goblin' },
+        source: 'index',
+        indexTokens: ['goblin'],
+        feedbackWeight: -1,
+      });
+      const penalties = Object.fromEntries(info.components.map((c) => [c.key, c.penalty]));
+      expect(penalties.category).toBeGreaterThan(0);
+      expect(penalties.name).toBeGreaterThan(0);
+      const lost = info.components.reduce((sum, c) => sum + c.penalty, 0);
+      expect(lost).toBeCloseTo(1 - info.confidence, 2);
+    });
+
+    it('describes unscored category browse results without components', () => {
+      const info = createService().describe({
+        path: 'Humanoid/Bandit.webp',
+        category: 'Humanoid',
+        fromCategory: true,
+      });
+
+      expect(info).toMatchObject({
+        confidence: null,
+        foundBy: { kind: 'category', term: 'Humanoid' },
+        components: [],
+        indexTokens: [],
+      });
+    });
+  });
+
+  describe('auto-replace confidence', () => {
+    it('compares confidence against the autoReplaceConfidence setting', () => {
+      const service = createService({ autoReplaceConfidence: 0.85 });
+
+      expect(service.meetsAutoReplace({ path: 'a.webp', score: 0.1 })).toBe(true);
+      expect(service.meetsAutoReplace({ path: 'a.webp', score: 0.2 })).toBe(false);
+      expect(service.meetsAutoReplace(null)).toBe(false);
+    });
+
+    it('treats unscored matches as 0.8 and defaults the minimum to 0.9', () => {
+      const service = createService();
+
+      expect(service.getConfidence({ path: 'a.webp' })).toBe(0.8);
+      expect(service.getAutoReplaceConfidence()).toBe(0.9);
+      expect(service.meetsAutoReplace({ path: 'a.webp', score: 0.1 })).toBe(true);
+    });
+  });
+
+  describe('SearchOrchestrator integration', () => {
+    it('returns and caches scored results with the exact name first', async () => {
+      const orchestrator = new SearchOrchestrator({
+        scoringService: createService(),
+        feedbackService: { rank: (_info, results) => results },
+        getSetting: () => undefined,
+        indexService: {
+          isBuilt: true,
+          search: vi.fn(() => [
+            { path: 'Humanoid/Goblin_Boss.webp', name: 'Goblin Boss', source: 'index' },
+            { path: 'Humanoid/Goblin_01.webp', name: 'Goblin', source: 'index' },
+          ]),
+          searchMultiple: vi.fn(() => []),
+          searchQuery: vi.fn(() => []),
+        },
+      });
+
+      const results = await orchestrator.searchTokenArt(goblin, []);
+
+      expect(results.map((r) => r.name)).toEqual(['Goblin', 'Goblin Boss']);
+      expect(results[0].explanation.components.length).toBeGreaterThan(0);
+      expect(orchestrator.searchCache.values().next().value).toBe(results);
+    });
+  });
+});
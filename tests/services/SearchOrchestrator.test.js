@@ -106,6 +106,7 @@ function createMockDeps(overrides = {}) {
     searchByCategory: vi.fn(() => []),
     search: vi.fn(() => []),
     searchMultiple: vi.fn(() => []),
+    searchQuery: vi.fn(() => []),
     ...overrides.indexService,
   };
   const mockTVACache = {
@@ -495,6 +496,30 @@ describe('SearchOrchestrator', () => {
       expect(results.length).toBeGreaterThanOrEqual(1);
     });
 
+    it('searches direct term in the pre-built index when built', async () => {
+      const indexResults = [
+        {
+          path: 'FA_Pack/Tokens/Aberrations/Hook_Horror.webp',
+          name: 'Hook Horror',
+          source: 'index',
+        },
+      ];
+      const { orchestrator, deps } = createOrchestrator({
+        indexService: {
+          isBuilt: true,
+          searchByCategory: vi.fn(() => []),
+          search: vi.fn(() => indexResults),
+          searchMultiple: vi.fn(() => []),
+        },
+      });
+
+      const results = await orchestrator.searchByCategory('horror', null, 'horror');
+
+      expect(deps.indexService.search).toHaveBeenCalledWith('horror');
+      expect(deps.indexService.searchByCategory).not.toHaveBeenCalled();
+      expect(results.map((r) => r.name)).toEqual(['Hook Horror']);
+    });
+
     it('deduplicates results by path', async () => {
       const duplicatePath = 'FA_Pack/Tokens/Beasts/Wolf/Wolf_01.webp';
       const indexResults = [{ path: duplicatePath, name: 'Wolf', source: 'index' }];
@@ -924,6 +949,41 @@ describe('SearchOrchestrator', () => {
       expect(callArg).toHaveProperty('total', 2);
       expect(callArg).toHaveProperty('currentBatch');
     });
+
+    it('searches groups of the same creature once and gives each group the results', async () => {
+      const { orchestrator } = createOrchestrator({
+        tvaCacheService: {
+          hasTVA: true,
+          tvaCacheLoaded: true,
+          isTVACacheLoaded: true,
+          tvaAPI: { doImageSearch: vi.fn(async () => []) },
+          searchTVACacheDirect: vi.fn(async (term) => [
+            { path: `FA_Pack/${term}.webp`, name: term, source: 'tva', score: 0.1 },
+          ]),
+          searchTVACacheByCategory: vi.fn(async () => []),
+          searchTVACacheMultiple: vi.fn(async () => []),
+        },
+      });
+      const bandits = makeGroup('Bandit', 'humanoid');
+      const captain = { ...makeGroup('Bandit', 'humanoid'), tokens: [{ id: 'captain' }] };
+      const groups = new Map([
+        ['bandit', bandits],
+        ['wolf', makeGroup('Wolf', 'beast')],
+        ['bandit#2', captain],
+      ]);
+
+      const searchSpy = vi.spyOn(orchestrator, 'searchTokenArt');
+      const progressCb = vi.fn();
+      const results = await orchestrator.parallelSearchCreatures(groups, null, progressCb);
+
+      expect([...results.keys()]).toEqual(['bandit', 'wolf', 'bandit#2']);
+      expect(searchSpy).toHaveBeenCalledTimes(2);
+      expect(results.get('bandit').matches).not.toHaveLength(0);
+      expect(results.get('bandit#2').matches).toEqual(results.get('bandit').matches);
+      expect(results.get('bandit#2').matches).not.toBe(results.get('bandit').matches);
+      expect(results.get('bandit#2').tokens).toEqual([{ id: 'captain' }]);
+      expect(progressCb.mock.calls[0][0]).toHaveProperty('total', 2);
+    });
   });
 
   // -----------------------------------------------------------------------
@@ -1,7 +1,7 @@
 /**
  * SearchService facade - Unit tests
- * Covers init wiring/idempotency, clearCache delegation, searchByCategory
- * and parallelSearchCreatures input validation, delegation, and error wrapping.
+ * Covers init wiring/idempotency, clearCache delegation, searchByCategory,
+ * searchTokenArt and parallelSearchCreatures input validation, delegation, and error wrapping.
  */
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
@@ -17,6 +17,7 @@ vi.mock('../../scripts/services/SearchOrchestrator.js', () => ({
     setDependencies: vi.fn(),
     clearCache: vi.fn(),
     searchByCategory: vi.fn(async () => []),
+    searchTokenArt: vi.fn(async () => []),
     parallelSearchCreatures: vi.fn(async () => new Map()),
   },
 }));
@@ -157,6 +158,39 @@ describe('SearchService', () => {
     });
   });
 
+  // -----------------------------------------------------------------------
+  // searchTokenArt()
+  // -----------------------------------------------------------------------
+  describe('searchTokenArt()', () => {
+    const creatureInfo = { actorName: 'Goblin', searchTerms: ['goblin'] };
+
+    it('delegates to searchOrchestrator.searchTokenArt with the cache enabled', async () => {
+      const expected = [{ path: 'goblin.webp', score: 0.1 }];
+      searchOrchestrator.searchTokenArt.mockResolvedValueOnce(expected);
+
+      const result = await svc.searchTokenArt(creatureInfo);
+
+      expect(searchOrchestrator.searchTokenArt).toHaveBeenCalledWith(creatureInfo, [], true);
+      expect(result).toBe(expected);
+    });
+
+    it('throws createModuleError for invalid creature info', async () => {
+      await expect(svc.searchTokenArt({ actorName: 'Goblin' })).rejects.toMatchObject({
+        errorType: 'search_failed',
+        details: expect.stringContaining('searchTerms'),
+      });
+    });
+
+    it('wraps unexpected orchestrator errors in createModuleError', async () => {
+      searchOrchestrator.searchTokenArt.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(svc.searchTokenArt(creatureInfo)).rejects.toMatchObject({
+        errorType: 'search_failed',
+        details: expect.stringContaining('boom'),
+      });
+    });
+  });
+
   // -----------------------------------------------------------------------
   // parallelSearchCreatures()
   // -----------------------------------------------------------------------
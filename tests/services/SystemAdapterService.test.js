@@ -0,0 +1,126 @@
+/**
+ * SystemAdapterService test suite
+ *
+ * Covers adapter selection by system ID with the generic fallback, dnd5e and
+ * pf2e creature data extraction, register() validation, adapter error
+ * isolation, and TokenService running on a pf2e registry.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  SystemAdapterService,
+  DND5E_ADAPTER,
+  PF2E_ADAPTER,
+  GENERIC_ADAPTER,
+} from '../../scripts/services/SystemAdapterService.js';
+import { TokenService } from '../../scripts/services/TokenService.js';
+import { createMockActor, createMockToken } from '../helpers/mock-helpers.js';
+
+// Helper: pf2e NPC actor with the given traits
+function pf2eActor(name, traits, type = 'npc') {
+  return { ...createMockActor({ name }), type, system: { traits: { value: traits } } };
+}
+
+describe('SystemAdapterService', () => {
+  describe('getAdapter()', () => {
+    it('picks the adapter of the active system', () => {
+      expect(new SystemAdapterService({ getSystemId: () => 'dnd5e' }).getAdapter()).toBe(
+        DND5E_ADAPTER
+      );
+      expect(new SystemAdapterService({ getSystemId: () => 'pf2e' }).getAdapter()).toBe(
+        PF2E_ADAPTER
+      );
+    });
+
+    it('falls back to the generic adapter for unknown systems', () => {
+      const service = new SystemAdapterService({ getSystemId: () => 'swade' });
+      expect(service.getAdapter()).toBe(GENERIC_ADAPTER);
+      expect(service.isEligibleActor({ type: 'npc' })).toBe(true);
+      expect(service.extractCreatureData({ name: 'Goblin' })).toEqual({
+        type: null,
+        subtype: null,
+        race: null,
+        traits: [],
+      });
+    });
+  });
+
+  describe('dnd5e adapter', () => {
+    it('parses the "Type (Subtype)" string format', () => {
+      const data = DND5E_ADAPTER.extractCreatureData({
+        name: 'Cultist',
+        system: { details: { type: 'Humanoid (Tiefling)', race: 'Tiefling' } },
+      });
+      expect(data).toMatchObject({ type: 'humanoid', subtype: 'Tiefling', race: 'Tiefling' });
+    });
+  });
+
+  describe('pf2e adapter', () => {
+    it('takes the type from the creature type trait and the rest as subtypes', () => {
+      const data = PF2E_ADAPTER.extractCreatureData(
+        pf2eActor('Goblin Warrior', ['goblin', 'Humanoid', 'evil'])
+      );
+      expect(data).toEqual({
+        type: 'humanoid',
+        subtype: 'goblin',
+        race: null,
+        traits: ['goblin', 'humanoid', 'evil'],
+      });
+    });
+
+    it('maps pf2e types onto the library categories', () => {
+      expect(PF2E_ADAPTER.extractCreatureData(pf2eActor('Wolf', ['animal'])).type).toBe('beast');
+      expect(PF2E_ADAPTER.extractCreatureData(pf2eActor('Owlbear', ['beast'])).type).toBe(
+        'monstrosity'
+      );
+    });
+
+    it('only accepts npc actors', () => {
+      expect(PF2E_ADAPTER.isEligibleActor(pf2eActor('Trap', [], 'hazard'))).toBe(false);
+      expect(PF2E_ADAPTER.isEligibleActor(pf2eActor('Orc', ['orc']))).toBe(true);
+    });
+  });
+
+  describe('register()', () => {
+    it('adds adapters for new systems and rejects incomplete ones', () => {
+      const service = new SystemAdapterService({ getSystemId: () => 'sw5e' });
+      const adapter = { ...GENERIC_ADAPTER, id: 'sw5e' };
+      service.register(adapter);
+      expect(service.getAdapter()).toBe(adapter);
+
+      expect(() => service.register({ id: 'broken' })).toThrow();
+    });
+
+    it('degrades to name-only data when an adapter throws', () => {
+      const service = new SystemAdapterService({ getSystemId: () => 'x', adapters: [] });
+      service.register({
+        id: 'x',
+        isEligibleActor: () => true,
+        extractCreatureData: () => {
+          throw new Error('bad data');
+        },
+      });
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(service.extractCreatureData({ name: 'Goblin' }).type).toBeNull();
+      warn.mockRestore();
+    });
+  });
+
+  describe('TokenService integration', () => {
+    it('builds creature info and search terms from pf2e traits', () => {
+      const service = new TokenService({
+        systemAdapters: new SystemAdapterService({ getSystemId: () => 'pf2e' }),
+      });
+      const actor = pf2eActor('Goblin Warrior', ['goblin', 'humanoid']);
+
+      const info = service.extractCreatureInfo(createMockToken({ actor }));
+
+      expect(info).toMatchObject({
+        type: 'humanoid',
+        subtype: 'goblin',
+        traits: ['goblin', 'humanoid'],
+      });
+      expect(info.searchTerms).toEqual(['goblin warrior', 'humanoid', 'humanoid goblin', 'goblin']);
+    });
+  });
+});
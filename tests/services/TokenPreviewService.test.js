@@ -0,0 +1,97 @@
+/**
+ * TokenPreviewService test suite
+ *
+ * Covers client-side texture swaps on token meshes, restoring the original
+ * textures, skipping tokens without a mesh or failed loads, superseded
+ * previews and the previewOnCanvas setting.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { TokenPreviewService } from '../../scripts/services/TokenPreviewService.js';
+
+// Helper: texture loader returning a texture object per path; "missing" paths fail
+function createService({ enabled = true, loadTexture } = {}) {
+  return new TokenPreviewService({
+    loadTexture:
+      loadTexture ??
+      vi.fn(async (src) => {
+        if (src.includes('missing')) throw new Error('404');
+        return { src };
+      }),
+    getSetting: () => enabled,
+  });
+}
+
+// Helper: placed token with a mesh showing its current texture
+function placedToken(id) {
+  return {
+    id,
+    mesh: { texture: { src: `${id}.webp` }, destroyed: false },
+    renderFlags: { set: vi.fn() },
+  };
+}
+
+describe('TokenPreviewService', () => {
+  it('swaps mesh textures without touching documents and restores them', async () => {
+    const service = createService();
+    const tokens = [placedToken('a'), placedToken('b'), placedToken('c')];
+    tokens[0].document = { update: vi.fn() };
+
+    expect(await service.preview(tokens, ['x.webp', 'y.webp'])).toBe(true);
+    expect(tokens.map((t) => t.mesh.texture.src)).toEqual(['x.webp', 'y.webp', 'x.webp']);
+    expect(tokens[0].renderFlags.set).toHaveBeenCalledWith({ refreshMesh: true });
+    expect(tokens[0].document.update).not.toHaveBeenCalled();
+    expect(service.isPreviewing).toBe(true);
+
+    await service.preview(tokens, ['z.webp']);
+    service.restore();
+
+    expect(tokens.map((t) => t.mesh.texture.src)).toEqual(['a.webp', 'b.webp', 'c.webp']);
+    expect(service.isPreviewing).toBe(false);
+  });
+
+  it('skips tokens without a live mesh and textures that fail to load', async () => {
+    const service = createService();
+    const placed = placedToken('a');
+    const destroyed = { ...placedToken('b'), mesh: { texture: 'old', destroyed: true } };
+    const target = { id: 'c', document: {} };
+
+    expect(await service.preview([placed, destroyed, target], ['x.webp'])).toBe(true);
+    expect(destroyed.mesh.texture).toBe('old');
+
+    await service.preview([placed], ['missing.webp']);
+    expect(placed.mesh.texture.src).toBe('x.webp');
+    expect(await service.preview([target], ['x.webp'])).toBe(false);
+  });
+
+  it('drops a preview that finishes loading after a newer preview or restore', async () => {
+    let finishSlow;
+    const loadTexture = vi.fn((src) =>
+      src === 'slow.webp'
+        ? new Promise((resolve) => (finishSlow = () => resolve({ src })))
+        : Promise.resolve({ src })
+    );
+    const service = createService({ loadTexture });
+    const token = placedToken('a');
+
+    const slow = service.preview([token], ['slow.webp']);
+    await service.preview([token], ['fast.webp']);
+    finishSlow();
+
+    expect(await slow).toBe(false);
+    expect(token.mesh.texture.src).toBe('fast.webp');
+
+    const late = service.preview([token], ['slow.webp']);
+    service.restore();
+    finishSlow();
+    expect(await late).toBe(false);
+    expect(token.mesh.texture.src).toBe('a.webp');
+  });
+
+  it('does nothing when the previewOnCanvas setting is off', async () => {
+    const service = createService({ enabled: false });
+    const token = placedToken('a');
+
+    expect(await service.preview([token], ['x.webp'])).toBe(false);
+    expect(token.mesh.texture.src).toBe('a.webp');
+  });
+});
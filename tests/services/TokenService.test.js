@@ -4,7 +4,10 @@
  * Covers constructor DI (merged from TokenService.di.test.js),
  * extractCreatureInfo() with all D&D 5e actor type formats,
  * getSceneNPCTokens() with selection/filtering/edge cases,
- * and groupTokensByCreature() grouping logic.
+ * getSceneTokenTargets() for scenes off the canvas, toReplacementTarget(),
+ * groupTokensByCreature() grouping logic by creature, actor or token name,
+ * splitGroup()/mergeGroups(), and replacement scope handling
+ * in resolveReplacementScope()/replaceTokenImage().
  */
 import { describe, it, expect, vi } from 'vitest';
 import { TokenService } from '../../scripts/services/TokenService.js';
@@ -290,6 +293,29 @@ describe('TokenService', () => {
       expect(info.searchTerms).toContain('highway robber'); // tokenName
     });
 
+    it('search terms skip a numbered token name of the same creature', () => {
+      const actor = createMockActor({ name: 'Orc', type: 'humanoid' });
+      const orc = { ...createMockToken({ actor }), name: 'Orc (2)' };
+      const chief = { ...createMockToken({ actor }), name: 'Orc Raider #3' };
+
+      expect(service.extractCreatureInfo(orc).searchTerms).toEqual(['orc', 'humanoid']);
+      expect(service.extractCreatureInfo(chief).searchTerms).toEqual([
+        'orc',
+        'orc raider',
+        'humanoid',
+      ]);
+    });
+
+    it('search terms start with the analyzed actor name, without numbering', () => {
+      const actor = createMockActor({ name: 'Zombie Ogre (2)', type: 'undead' });
+      const token = createMockToken({ actor });
+
+      const info = service.extractCreatureInfo(token);
+
+      expect(info.searchTerms.slice(0, 3)).toEqual(['zombie ogre', 'ogre', 'zombie']);
+      expect(info.nameTerms[1]).toEqual({ term: 'ogre', weight: 0.8, kind: 'base' });
+    });
+
     it('search terms do not include tokenName when same as actorName', () => {
       const actor = createMockActor({ name: 'Goblin', type: 'humanoid' });
       const token = createMockToken({ actor });
@@ -426,6 +452,84 @@ describe('TokenService', () => {
     });
   });
 
+  // -----------------------------------------------------------------
+  // getSceneTokenTargets()
+  // -----------------------------------------------------------------
+  describe('getSceneTokenTargets()', () => {
+    // Token documents as stored in scene.tokens (actor attached, no placeable)
+    const tokenDoc = (actor) => ({ ...createMockToken({ actor }).document, actor });
+
+    it('wraps eligible token documents of any scene as targets', () => {
+      const service = new TokenService({ canvas: null });
+      const goblin = tokenDoc(createMockActor({ name: 'Goblin', tokenImg: 'goblin.webp' }));
+      const hero = tokenDoc({ ...createMockActor({ name: 'Hero' }), type: 'character' });
+      const scene = { id: 'scene-7', tokens: [goblin, hero] };
+
+      const targets = service.getSceneTokenTargets(scene);
+
+      expect(targets).toHaveLength(1);
+      expect(targets[0]).toMatchObject({
+        id: goblin.id,
+        name: 'Goblin',
+        actor: goblin.actor,
+        document: goblin,
+        texture: { src: 'goblin.webp' },
+        isSceneTokenTarget: true,
+      });
+    });
+
+    it('feeds extractCreatureInfo() like a placed token', () => {
+      const service = new TokenService({ canvas: null });
+      const doc = tokenDoc(createMockActor({ name: 'Wolf', type: 'beast', tokenImg: 'wolf.webp' }));
+      const [target] = service.getSceneTokenTargets({ tokens: [doc] });
+
+      const info = service.extractCreatureInfo(target);
+      expect(info.actorName).toBe('Wolf');
+      expect(info.currentImage).toBe('wolf.webp');
+    });
+
+    it('returns empty array for a missing scene', () => {
+      expect(new TokenService().getSceneTokenTargets(null)).toEqual([]);
+    });
+  });
+
+  // -----------------------------------------------------------------
+  // toReplacementTarget()
+  // -----------------------------------------------------------------
+  describe('toReplacementTarget()', () => {
+    const service = new TokenService({ canvas: null });
+
+    it('passes placed tokens through and wraps token documents', () => {
+      const token = createMockToken({ actor: createMockActor({ name: 'Goblin' }) });
+      expect(service.toReplacementTarget(token)).toBe(token);
+
+      const doc = { ...token.document, actor: token.actor, documentName: 'Token' };
+      expect(service.toReplacementTarget(doc)).toMatchObject({
+        document: doc,
+        isSceneTokenTarget: true,
+      });
+    });
+
+    it('targets the token of a synthetic actor and the prototype of a world actor', () => {
+      const tokenDoc = { id: 'tok-1', name: 'Goblin', documentName: 'Token' };
+      const synthetic = { ...createMockActor({ name: 'Goblin' }), documentName: 'Actor' };
+      synthetic.isToken = true;
+      synthetic.token = tokenDoc;
+      expect(service.toReplacementTarget(synthetic).document).toBe(tokenDoc);
+
+      const world = { ...createMockActor({ name: 'Goblin' }), documentName: 'Actor' };
+      expect(service.toReplacementTarget(world)).toMatchObject({
+        actor: world,
+        isActorTarget: true,
+      });
+    });
+
+    it('returns null for anything else', () => {
+      expect(service.toReplacementTarget('goblin')).toBeNull();
+      expect(service.toReplacementTarget(null)).toBeNull();
+    });
+  });
+
   // -----------------------------------------------------------------
   // groupTokensByCreature()
   // -----------------------------------------------------------------
@@ -507,5 +611,161 @@ describe('TokenService', () => {
       const groups = service.groupTokensByCreature([]);
       expect(groups.size).toBe(0);
     });
+
+    it('keeps two actors that share a name apart when grouping by actor', () => {
+      const t1 = createMockToken({ actor: createMockActor({ name: 'Bandit', id: 'a1' }) });
+      const t2 = createMockToken({ actor: createMockActor({ name: 'Bandit', id: 'a2' }) });
+      const t3 = createMockToken({ actor: t1.actor });
+
+      const groups = service.groupTokensByCreature([t1, t2, t3], 'actor');
+
+      expect([...groups.keys()]).toEqual(['actor:a1', 'actor:a2']);
+      expect(groups.get('actor:a1').tokens).toEqual([t1, t3]);
+    });
+
+    it('groups by token name without numbering and names the group after it', () => {
+      const bandit = createMockActor({ name: 'Bandit', type: 'humanoid' });
+      const tokens = ['Bandit 1', 'Bandit Captain', 'Bandit 2'].map((name) => ({
+        ...createMockToken({ actor: bandit }),
+        name,
+      }));
+
+      const groups = [...service.groupTokensByCreature(tokens, 'name').values()];
+
+      expect(groups.map((g) => g.tokens.length)).toEqual([2, 1]);
+      expect(groups[1].creatureInfo.actorName).toBe('Bandit Captain');
+      expect(groups[1].searchTerms.slice(0, 3)).toEqual(['bandit captain', 'bandit', 'humanoid']);
+    });
+  });
+
+  describe('splitGroup() and mergeGroups()', () => {
+    let service;
+    let bandits;
+    let wolf;
+    let groups;
+    beforeEach(() => {
+      service = new TokenService();
+      const bandit = createMockActor({ name: 'Bandit', type: 'humanoid' });
+      bandits = ['Bandit 1', 'Bandit Captain', 'Bandit 2'].map((name, i) => ({
+        ...createMockToken({ actor: bandit, id: `b${i}` }),
+        name,
+      }));
+      wolf = createMockToken({ actor: createMockActor({ name: 'Wolf', type: 'beast' }) });
+      groups = service.groupTokensByCreature([...bandits, wolf]);
+    });
+
+    it('moves tokens into a new group after the original, named after its first token', () => {
+      const [banditKey, wolfKey] = [...groups.keys()];
+      const split = service.splitGroup(groups, banditKey, ['b1']);
+
+      expect([...split.keys()]).toEqual([banditKey, `${banditKey}#2`, wolfKey]);
+      expect(split.get(banditKey).tokens).toEqual([bandits[0], bandits[2]]);
+      expect(split.get(`${banditKey}#2`).tokens).toEqual([bandits[1]]);
+      expect(split.get(`${banditKey}#2`).creatureInfo.actorName).toBe('Bandit Captain');
+      expect(groups.get(banditKey).tokens).toHaveLength(3);
+    });
+
+    it('does not split off no tokens or every token', () => {
+      const [banditKey] = groups.keys();
+      expect(service.splitGroup(groups, banditKey, [])).toBe(groups);
+      expect(service.splitGroup(groups, banditKey, ['b0', 'b1', 'b2'])).toBe(groups);
+      expect(service.splitGroup(groups, 'unknown', ['b0'])).toBe(groups);
+    });
+
+    it('merges groups into the first of them in group order', () => {
+      const [banditKey, wolfKey] = [...groups.keys()];
+      const split = service.splitGroup(groups, banditKey, ['b1']);
+
+      const merged = service.mergeGroups(split, [wolfKey, `${banditKey}#2`]);
+
+      expect([...merged.keys()]).toEqual([banditKey, `${banditKey}#2`]);
+      expect(merged.get(`${banditKey}#2`).tokens).toEqual([bandits[1], wolf]);
+      expect(service.mergeGroups(split, [wolfKey, 'unknown'])).toBe(split);
+    });
+  });
+
+  // -----------------------------------------------------------------
+  // Replacement scope
+  // -----------------------------------------------------------------
+  describe('replacement scope', () => {
+    // Helper: token with spied document/actor updates and an explicit link state
+    function scopedToken(actorLink) {
+      const actor = createMockActor({ name: 'Goblin' });
+      actor.update = vi.fn(async () => {});
+      const token = createMockToken({ actor });
+      token.document.actorLink = actorLink;
+      token.document.update = vi.fn(async () => {});
+      return token;
+    }
+
+    function serviceWith(settings) {
+      return new TokenService({ getSetting: (_moduleId, key) => settings[key] });
+    }
+
+    it('defaults to placed token only for unlinked and both for linked tokens', () => {
+      const service = new TokenService();
+      expect(service.resolveReplacementScope(scopedToken(false))).toEqual({
+        token: true,
+        prototype: false,
+        portrait: false,
+      });
+      expect(service.resolveReplacementScope(scopedToken(true))).toEqual({
+        token: true,
+        prototype: true,
+        portrait: false,
+      });
+    });
+
+    it('reads the linked/unlinked scope and portrait settings', () => {
+      const service = serviceWith({
+        replaceScopeLinked: 'token',
+        replaceScopeUnlinked: 'prototype',
+        replaceActorPortrait: true,
+      });
+      expect(service.resolveReplacementScope(scopedToken(false))).toEqual({
+        token: false,
+        prototype: true,
+        portrait: true,
+      });
+      expect(service.resolveReplacementScope(scopedToken(true)).prototype).toBe(false);
+    });
+
+    it('replaceTokenImage() leaves the prototype alone for token-only scope', async () => {
+      const token = scopedToken(false);
+      const ok = await new TokenService().replaceTokenImage(token, 'new.webp');
+
+      expect(ok).toBe(true);
+      expect(token.document.update).toHaveBeenCalledWith({ 'texture.src': 'new.webp' });
+      expect(token.actor.update).not.toHaveBeenCalled();
+    });
+
+    it('replaceTokenImage() updates prototype and portrait on the base actor in one call', async () => {
+      const token = scopedToken(false);
+      const baseActor = { id: 'base', update: vi.fn(async () => {}) };
+      token.document.baseActor = baseActor;
+
+      await new TokenService().replaceTokenImage(token, 'new.webp', {
+        token: false,
+        prototype: true,
+        portrait: true,
+      });
+
+      expect(token.document.update).not.toHaveBeenCalled();
+      expect(token.actor.update).not.toHaveBeenCalled();
+      expect(baseActor.update).toHaveBeenCalledWith({
+        'prototypeToken.texture.src': 'new.webp',
+        img: 'new.webp',
+      });
+    });
+
+    it('replaceTokenImage() returns false when an update fails', async () => {
+      const token = scopedToken(true);
+      token.document.update = vi.fn(async () => {
+        throw new Error('permission denied');
+      });
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await new TokenService().replaceTokenImage(token, 'new.webp')).toBe(false);
+    });
   });
 });
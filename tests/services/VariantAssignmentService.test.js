@@ -0,0 +1,171 @@
+/**
+ * VariantAssignmentService test suite
+ *
+ * Covers every assignment mode: sequential and random distribution, token name
+ * numbers, spatial spread between neighbouring tokens, weighted apportionment
+ * and stable hashing across reruns and changed selections, plus token grid positions.
+ */
+import { describe, it, expect } from 'vitest';
+import { VariantAssignmentService } from '../../scripts/services/VariantAssignmentService.js';
+
+const paths = ['a.webp', 'b.webp', 'c.webp'];
+
+// Helper: service with a deterministic random source and 100px grid squares
+function createService(random = () => 0) {
+  return new VariantAssignmentService({ random, getGridSize: () => 100 });
+}
+
+// Helper: placed token at a grid square
+function token(id, col = null, row = null, name = `Goblin ${id}`) {
+  const document = col === null ? { id, name } : { id, name, x: col * 100, y: row * 100 };
+  return { id, name, document };
+}
+
+// Helper: count how often each path was assigned
+function countPaths(assigned) {
+  return assigned.reduce((counts, path) => ({ ...counts, [path]: (counts[path] ?? 0) + 1 }), {});
+}
+
+describe('VariantAssignmentService', () => {
+  describe('assign()', () => {
+    it('returns nothing without paths or tokens', () => {
+      const service = createService();
+      expect(service.assign([token('1')], [], 'sequential')).toEqual([]);
+      expect(service.assign([], paths, 'random')).toEqual([]);
+      expect(service.assign([token('1')], null)).toEqual([]);
+    });
+
+    it('cycles through the paths in sequential mode, also for unknown modes', () => {
+      const tokens = [1, 2, 3, 4].map((i) => token(String(i)));
+      expect(createService().assign(tokens, paths, 'sequential')).toEqual([
+        'a.webp',
+        'b.webp',
+        'c.webp',
+        'a.webp',
+      ]);
+      expect(createService().assign(tokens, paths, 'bogus')[3]).toBe('a.webp');
+    });
+
+    it('shuffles once in random mode so every path is used before any repeats', () => {
+      const tokens = [1, 2, 3].map((i) => token(String(i)));
+      const assigned = createService(() => 0.5).assign(tokens, paths, 'random');
+      expect([...assigned].sort()).toEqual(paths);
+    });
+  });
+
+  describe('name-number mode', () => {
+    it('picks the path by the number in the token name', () => {
+      const tokens = [token('x', null, null, 'Goblin 3'), token('y', null, null, 'Goblin (1)')];
+      expect(createService().assign(tokens, paths, 'name-number')).toEqual(['c.webp', 'a.webp']);
+    });
+
+    it('wraps past the last path and takes unnumbered tokens in order', () => {
+      const tokens = [
+        token('x', null, null, 'Goblin 5'),
+        token('y', null, null, 'Goblin'),
+        token('z', null, null, 'Goblin Boss'),
+      ];
+      expect(createService().assign(tokens, paths, 'name-number')).toEqual([
+        'b.webp',
+        'a.webp',
+        'b.webp',
+      ]);
+    });
+  });
+
+  describe('spread mode', () => {
+    it('never gives touching tokens the same path when there are enough paths', () => {
+      // 2x2 block: every token touches the other three (diagonals included)
+      const block = [token('1', 0, 0), token('2', 1, 0), token('3', 0, 1), token('4', 1, 1)];
+      const assigned = createService().assign(block, [...paths, 'd.webp'], 'spread');
+      expect(new Set(assigned).size).toBe(4);
+    });
+
+    it('alternates along a line with only two paths', () => {
+      const line = [0, 1, 2, 3].map((col) => token(String(col), col, 0));
+      expect(createService().assign(line, ['a.webp', 'b.webp'], 'spread')).toEqual([
+        'a.webp',
+        'b.webp',
+        'a.webp',
+        'b.webp',
+      ]);
+    });
+
+    it('lets tokens a square apart or without a position share paths', () => {
+      const apart = [token('1', 0, 0), token('2', 2, 0), token('3')];
+      expect(createService().assign(apart, ['a.webp'], 'spread')).toEqual([
+        'a.webp',
+        'a.webp',
+        'a.webp',
+      ]);
+    });
+
+    it('uses each token size and the scene grid size', () => {
+      const service = createService();
+      const ogre = {
+        id: 'o',
+        document: { x: 0, y: 0, width: 2, height: 2, parent: { grid: { size: 50 } } },
+      };
+      const goblin = { id: 'g', document: { x: 100, y: 100, parent: { grid: { size: 50 } } } };
+      expect(service.assign([ogre, goblin], ['a.webp', 'b.webp'], 'spread')).toEqual([
+        'a.webp',
+        'b.webp',
+      ]);
+    });
+  });
+
+  describe('weighted mode', () => {
+    it('uses each path in proportion to its weight', () => {
+      const tokens = [1, 2, 3, 4, 5, 6, 7, 8].map((i) => token(String(i)));
+      const assigned = createService(() => 0.3).assign(tokens, paths, 'weighted', {
+        weights: [2, 1, 1],
+      });
+      expect(countPaths(assigned)).toEqual({ 'a.webp': 4, 'b.webp': 2, 'c.webp': 2 });
+    });
+
+    it('skips zero weights and treats missing or invalid weights as 1', () => {
+      const tokens = [1, 2, 3, 4].map((i) => token(String(i)));
+      const service = createService();
+      expect(countPaths(service.assign(tokens, paths, 'weighted', { weights: [0, 1, 1] }))).toEqual(
+        {
+          'b.webp': 2,
+          'c.webp': 2,
+        }
+      );
+      expect(
+        Object.keys(countPaths(service.assign(tokens, paths, 'weighted', { weights: ['x'] })))
+      ).toHaveLength(3);
+    });
+  });
+
+  describe('stable-hash mode', () => {
+    it('gives a token the same path on every run, whatever the path order', () => {
+      const tokens = ['t1', 't2', 't3', 't4', 't5'].map((id) => token(id));
+      const first = createService().assign(tokens, paths, 'stable-hash');
+      const again = createService(() => 0.9).assign(tokens, [...paths].reverse(), 'stable-hash');
+      expect(again).toEqual(first);
+    });
+
+    it('only moves tokens whose path was removed', () => {
+      const tokens = Array.from({ length: 20 }, (_, i) => token(`t${i}`));
+      const service = createService();
+      const before = service.assign(tokens, paths, 'stable-hash');
+      const after = service.assign(tokens, ['a.webp', 'b.webp'], 'stable-hash');
+      before.forEach((path, i) => {
+        if (path !== 'c.webp') expect(after[i]).toBe(path);
+      });
+    });
+  });
+
+  describe('getGridPosition()', () => {
+    it('returns the grid square of placed tokens and null for actors', () => {
+      const service = createService();
+      expect(service.getGridPosition(token('1', 3, 5))).toEqual({ col: 3, row: 5 });
+      expect(service.getGridPosition({ x: 150, y: 0, parent: { grid: { size: 50 } } })).toEqual({
+        col: 3,
+        row: 0,
+      });
+      expect(service.getGridPosition(token('2'))).toBeNull();
+    });
+  });
+});
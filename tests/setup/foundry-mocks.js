@@ -221,13 +221,30 @@ export { MockWorker };
 game.settings.register('token-replacer-fa', 'fuzzyThreshold', { default: 0.1 });
 game.settings.register('token-replacer-fa', 'searchPriority', { default: 'both' });
 game.settings.register('token-replacer-fa', 'autoReplace', { default: false });
+game.settings.register('token-replacer-fa', 'autoReplaceConfidence', { default: 0.9 });
 game.settings.register('token-replacer-fa', 'confirmReplace', { default: true });
 game.settings.register('token-replacer-fa', 'fallbackFullSearch', { default: false });
 game.settings.register('token-replacer-fa', 'useTVACache', { default: true });
 game.settings.register('token-replacer-fa', 'refreshTVACache', { default: false });
 game.settings.register('token-replacer-fa', 'additionalPaths', { default: '' });
 game.settings.register('token-replacer-fa', 'indexUpdateFrequency', { default: 'weekly' });
+game.settings.register('token-replacer-fa', 'replaceScopeLinked', { default: 'both' });
+game.settings.register('token-replacer-fa', 'replaceScopeUnlinked', { default: 'token' });
+game.settings.register('token-replacer-fa', 'replaceActorPortrait', { default: false });
+game.settings.register('token-replacer-fa', 'autoAssignOnCreate', { default: false });
+game.settings.register('token-replacer-fa', 'rememberChoices', { default: true });
+game.settings.register('token-replacer-fa', 'learnFromChoices', { default: true });
+game.settings.register('token-replacer-fa', 'preferredPacks', { default: '' });
+game.settings.register('token-replacer-fa', 'scoreWeightName', { default: 0.6 });
+game.settings.register('token-replacer-fa', 'scoreWeightSubtype', { default: 0.15 });
+game.settings.register('token-replacer-fa', 'scoreWeightCategory', { default: 0.15 });
+game.settings.register('token-replacer-fa', 'scoreWeightSource', { default: 0.1 });
+game.settings.register('token-replacer-fa', 'scoreWeightPack', { default: 0.1 });
+game.settings.register('token-replacer-fa', 'scoreWeightRelevance', { default: 0.1 });
 game.settings.register('token-replacer-fa', 'debugMode', { default: false });
+game.settings.register('token-replacer-fa', 'replacementJournal', { default: [] });
+game.settings.register('token-replacer-fa', 'rememberedArt', { default: {} });
+game.settings.register('token-replacer-fa', 'rankingFeedback', { default: {} });
 
 // ---------------------------------------------------------------------------
 // 12. beforeEach reset block